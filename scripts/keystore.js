@@ -0,0 +1,45 @@
+// scripts/keystore.js
+
+import fs from 'fs';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createKeyPairSignerFromBytes } from '@solana/kit';
+import { base58 } from '@scure/base';
+import { encryptKeystore } from '../src/utils/signers.js';
+
+// ============================================================
+// Encrypt a settlement key into a V3 keystore file
+//
+//   KEY=0x...        KEYSTORE_PASSWORD=... npm run keystore -- evm settlement.json
+//   KEY=<base58>     KEYSTORE_PASSWORD=... npm run keystore -- svm solana-fee-payer.json
+//
+// KEY and KEYSTORE_PASSWORD only need to exist in the shell
+// that runs this — the gateway reads the encrypted file plus
+// KEYSTORE_PASSWORD_FILE. EVM keystores from geth or
+// `cast wallet import` work as-is.
+// ============================================================
+
+const [vm, outFile] = process.argv.slice(2);
+const { KEY, KEYSTORE_PASSWORD } = process.env;
+
+if (!['evm', 'svm'].includes(vm) || !outFile || !KEY || !KEYSTORE_PASSWORD) {
+  console.error('Usage: KEY=... KEYSTORE_PASSWORD=... npm run keystore -- <evm|svm> <output file>');
+  process.exit(1);
+}
+if (fs.existsSync(outFile)) {
+  console.error(`${outFile} already exists`);
+  process.exit(1);
+}
+
+let secret, address;
+if (vm === 'evm') {
+  address = privateKeyToAccount(KEY).address;
+  secret = Buffer.from(KEY.replace(/^0x/, ''), 'hex');
+} else {
+  // 64-byte keypair — base58 (as in SOLANA_FACILITATOR_PRIVATE_KEY) or solana-keygen JSON array
+  secret = KEY.trim().startsWith('[') ? Uint8Array.from(JSON.parse(KEY)) : base58.decode(KEY.trim());
+  address = (await createKeyPairSignerFromBytes(secret)).address;
+}
+
+const keystore = encryptKeystore(secret, KEYSTORE_PASSWORD, vm === 'evm' ? { address } : {});
+fs.writeFileSync(outFile, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+console.log(`Wrote ${outFile} for ${address}`);
@@ -0,0 +1,442 @@
+// src/config/loader.js
+
+import crypto from 'crypto';
+import path from 'path';
+import YAML from 'yaml';
+import { formatUsd } from '../utils/pricing.js';
+import { QUOTE_MODES } from '../middleware/quote.js';
+import { OVERPAYMENT_MODES } from '../settlement/overpayment.js';
+
+// ============================================================
+// Declarative route loader
+//
+// Parses paid routes from a JSON or YAML document (ROUTES_FILE
+// or ROUTES_REDIS_KEY, see reloader.js) so new endpoints can be
+// added without editing JavaScript.
+//
+// String values support env interpolation:
+//   ${VAR}            — value of VAR, empty string if unset
+//   ${VAR:-fallback}  — value of VAR, or fallback (may nest ${...})
+//
+// Example (routes.yaml):
+//
+//   routes:
+//     myapi:
+//       backendName: My API
+//       backendUrl: ${MY_BACKEND_URL}
+//       backendApiKeyEnv: MY_BACKEND_API_KEY
+//       backendApiKeyHeader: x-api-key
+//       price: $0.01
+//       priceAtomic: "10000"
+//       payTo: ${MY_PAY_TO_ADDRESS:-${PAY_TO_ADDRESS}}
+//       description: My API
+//       targetPathPrefix: /api/
+//       pathAliases:
+//         analyze: internal-analyze-endpoint
+//       forceMethod: POST
+//       freeRoutes:
+//         - { method: GET, path: health, targetPath: /api/health }
+//       upto:      # usage-based settlement, see src/middleware/upto.js
+//         maxPriceAtomic: "1000000"
+//       pricing:   # see src/utils/pricing.js
+//         - { match: { method: POST, path: generate }, priceAtomic: "50000" }
+//       pass:      # access passes, see src/middleware/pass.js
+//         { priceAtomic: "1000000", durationSeconds: 86400, maxCalls: 500 }
+//       networks: [eip155:8453, eip155:42161, eip155:1]   # allow-list, preferred first
+//       assets: [USDC]                                    # token symbols or addresses
+//       networkPricing:                                   # see src/utils/pricing.js
+//         eip155:1: { surchargeAtomic: "40000" }
+//
+// Optional top-level keys: `version` (reported by /health),
+// `networks` (CAIP-2 allow-list narrowing the active networks)
+// and `chains` (extra EVM chains, no code changes needed):
+//
+//   chains:
+//     - chainId: 8217
+//       name: Kaia                          # display name
+//       rpcEnvVar: KAIA_RPC_URL             # chain is active once this is set
+//       nativeCurrency: { name: Kaia, symbol: KAIA, decimals: 18 }
+//       explorerUrl: https://kaiascan.io
+//       settlementTimeoutMs: 60000          # request wait for a settlement receipt
+//       testnet: false
+//       token:                              # or assets: [token, ...]
+//         address: "0x..."
+//         name: USD Coin                    # EIP-712 domain name — checked at startup
+//         version: "2"                      # EIP-712 domain version
+//         decimals: 6
+// ============================================================
+
+const ROUTE_KEY_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// Mounted by the gateway itself (prepaid balances, access passes)
+const RESERVED_ROUTE_KEYS = ['deposit', 'balance', 'pass'];
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const TRANSFER_METHODS = ['eip3009', 'permit2', 'eip2612'];
+const ENV_VAR_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// ─── Env Interpolation ─────────────────────────────────────
+
+function interpolateString(value, env) {
+  let out = '';
+  let i = 0;
+  while (i < value.length) {
+    const start = value.indexOf('${', i);
+    if (start === -1) {
+      out += value.slice(i);
+      break;
+    }
+    out += value.slice(i, start);
+
+    // Find the matching closing brace (defaults may nest ${...})
+    let depth = 1;
+    let end = start + 2;
+    while (end < value.length && depth > 0) {
+      if (value.startsWith('${', end)) { depth++; end += 2; continue; }
+      if (value[end] === '}') depth--;
+      if (depth > 0) end++;
+    }
+    if (depth > 0) throw new Error(`Unterminated \${ in "${value}"`);
+
+    const expr = value.slice(start + 2, end);
+    const sep = expr.indexOf(':-');
+    const name = sep === -1 ? expr : expr.slice(0, sep);
+    const envValue = env[name.trim()];
+    if (envValue !== undefined && envValue !== '') {
+      out += envValue;
+    } else if (sep !== -1) {
+      out += interpolateString(expr.slice(sep + 2), env);
+    }
+    i = end + 1;
+  }
+  return out;
+}
+
+export function interpolateEnv(value, env = process.env) {
+  if (typeof value === 'string') return interpolateString(value, env);
+  if (Array.isArray(value)) return value.map(v => interpolateEnv(v, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v, env)]));
+  }
+  return value;
+}
+
+// ─── Parsing ───────────────────────────────────────────────
+
+export function parseConfigSource(text, filePath = '') {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.json') return JSON.parse(text);
+  // YAML is a superset of JSON, so it also handles extension-less sources
+  return YAML.parse(text);
+}
+
+// ─── Validation + Normalization ────────────────────────────
+
+function normalizeRoute(key, raw, errors, isKnownNetwork = () => true) {
+  const where = `routes.${key}`;
+  if (!ROUTE_KEY_PATTERN.test(key)) errors.push(`${where}: route key must match ${ROUTE_KEY_PATTERN}`);
+  if (RESERVED_ROUTE_KEYS.includes(key)) errors.push(`${where}: route key "${key}" is reserved`);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+
+  const priceAtomic = raw.priceAtomic === undefined ? '' : String(raw.priceAtomic).trim();
+  if (!/^\d+$/.test(priceAtomic)) errors.push(`${where}.priceAtomic: must be an integer string (USDC atomic units)`);
+
+  const forceMethod = raw.forceMethod ? String(raw.forceMethod).toUpperCase() : undefined;
+  if (forceMethod && !HTTP_METHODS.includes(forceMethod)) errors.push(`${where}.forceMethod: unsupported method ${raw.forceMethod}`);
+
+  const pathAliases = raw.pathAliases ?? {};
+  if (typeof pathAliases !== 'object' || Array.isArray(pathAliases)
+    || Object.values(pathAliases).some(v => typeof v !== 'string')) {
+    errors.push(`${where}.pathAliases: must map strings to strings`);
+  }
+
+  const freeRoutes = [];
+  if (raw.freeRoutes !== undefined && !Array.isArray(raw.freeRoutes)) {
+    errors.push(`${where}.freeRoutes: must be an array`);
+  }
+  for (const [i, free] of (Array.isArray(raw.freeRoutes) ? raw.freeRoutes : []).entries()) {
+    const method = String(free?.method || 'GET').toUpperCase();
+    if (!HTTP_METHODS.includes(method)) errors.push(`${where}.freeRoutes[${i}].method: unsupported method ${free?.method}`);
+    if (!free?.path || typeof free.path !== 'string') {
+      errors.push(`${where}.freeRoutes[${i}].path: required`);
+      continue;
+    }
+    freeRoutes.push({
+      method,
+      path: free.path.replace(/^\/+/, ''),
+      ...(free.targetPath && { targetPath: String(free.targetPath) }),
+    });
+  }
+
+  const pricing = [];
+  if (raw.pricing !== undefined && !Array.isArray(raw.pricing)) {
+    errors.push(`${where}.pricing: must be an array`);
+  }
+  for (const [i, rule] of (Array.isArray(raw.pricing) ? raw.pricing : []).entries()) {
+    const ruleAtomic = rule?.priceAtomic === undefined ? '' : String(rule.priceAtomic).trim();
+    if (!/^\d+$/.test(ruleAtomic)) {
+      errors.push(`${where}.pricing[${i}].priceAtomic: must be an integer string (USDC atomic units)`);
+      continue;
+    }
+    const match = rule.match ?? {};
+    if (typeof match !== 'object' || Array.isArray(match)) {
+      errors.push(`${where}.pricing[${i}].match: must be an object`);
+      continue;
+    }
+    const unknown = Object.keys(match).filter(k => !['path', 'method', 'query', 'body'].includes(k));
+    if (unknown.length > 0) errors.push(`${where}.pricing[${i}].match: unknown field(s) ${unknown.join(', ')}`);
+    pricing.push({ match, price: rule.price || formatUsd(ruleAtomic), priceAtomic: ruleAtomic });
+  }
+
+  if (raw.upto !== undefined) {
+    const upto = raw.upto;
+    if (!upto || typeof upto !== 'object' || Array.isArray(upto)) {
+      errors.push(`${where}.upto: must be an object`);
+    } else {
+      for (const field of ['maxPriceAtomic', 'unitPriceAtomic']) {
+        if (upto[field] !== undefined && !/^\d+$/.test(String(upto[field]))) {
+          errors.push(`${where}.upto.${field}: must be an integer string (USDC atomic units)`);
+        }
+      }
+      if (upto.usageUnitsHeader && upto.unitPriceAtomic === undefined) {
+        errors.push(`${where}.upto.unitPriceAtomic: required with usageUnitsHeader`);
+      }
+      if (!raw.payTo) errors.push(`${where}.upto: requires an EVM payTo address`);
+    }
+  }
+
+  if (raw.pass !== undefined) {
+    const pass = raw.pass;
+    if (!pass || typeof pass !== 'object' || Array.isArray(pass)) {
+      errors.push(`${where}.pass: must be an object`);
+    } else {
+      if (!/^\d+$/.test(String(pass.priceAtomic ?? ''))) {
+        errors.push(`${where}.pass.priceAtomic: must be an integer string (USDC atomic units)`);
+      }
+      for (const field of ['durationSeconds', 'maxCalls']) {
+        if (pass[field] !== undefined && !(Number.isInteger(pass[field]) && pass[field] > 0)) {
+          errors.push(`${where}.pass.${field}: must be a positive integer`);
+        }
+      }
+      if (pass.durationSeconds === undefined && pass.maxCalls === undefined) {
+        errors.push(`${where}.pass: durationSeconds or maxCalls is required`);
+      }
+    }
+  }
+
+  if (raw.settleOnSuccess !== undefined && typeof raw.settleOnSuccess !== 'boolean') {
+    errors.push(`${where}.settleOnSuccess: must be true or false`);
+  }
+  if (raw.successStatusCodes !== undefined && (!Array.isArray(raw.successStatusCodes)
+    || raw.successStatusCodes.some(code => !Number.isInteger(code) || code < 100 || code > 599))) {
+    errors.push(`${where}.successStatusCodes: must be an array of HTTP status codes`);
+  }
+
+  if (raw.overpayment !== undefined && !OVERPAYMENT_MODES.includes(raw.overpayment)) {
+    errors.push(`${where}.overpayment: must be one of ${OVERPAYMENT_MODES.join(', ')}`);
+  }
+  if (raw.quote !== undefined && !QUOTE_MODES.includes(raw.quote)) {
+    errors.push(`${where}.quote: must be one of ${QUOTE_MODES.join(', ')}`);
+  }
+
+  if (raw.acceptBalance !== undefined && typeof raw.acceptBalance !== 'boolean') {
+    errors.push(`${where}.acceptBalance: must be true or false`);
+  }
+  if (raw.acceptCredits !== undefined && typeof raw.acceptCredits !== 'boolean') {
+    errors.push(`${where}.acceptCredits: must be true or false`);
+  }
+  if (raw.maxCreditAtomic !== undefined && !/^\d+$/.test(String(raw.maxCreditAtomic))) {
+    errors.push(`${where}.maxCreditAtomic: must be an integer string (USDC atomic units)`);
+  }
+
+  for (const field of ['testnet', 'allowMixedNetworks']) {
+    if (raw[field] !== undefined && typeof raw[field] !== 'boolean') errors.push(`${where}.${field}: must be true or false`);
+  }
+
+  if (raw.networks !== undefined) {
+    if (!Array.isArray(raw.networks) || raw.networks.length === 0 || raw.networks.some(n => typeof n !== 'string')) {
+      errors.push(`${where}.networks: must be a non-empty array of CAIP-2 network IDs`);
+    } else {
+      for (const caip2 of raw.networks) {
+        if (!isKnownNetwork(caip2)) errors.push(`${where}.networks: unknown network ${caip2}`);
+      }
+    }
+  }
+
+  if (raw.assets !== undefined
+    && (!Array.isArray(raw.assets) || raw.assets.length === 0 || raw.assets.some(a => typeof a !== 'string'))) {
+    errors.push(`${where}.assets: must be a non-empty array of token symbols or addresses`);
+  }
+
+  if (raw.networkPricing !== undefined) {
+    if (!raw.networkPricing || typeof raw.networkPricing !== 'object' || Array.isArray(raw.networkPricing)) {
+      errors.push(`${where}.networkPricing: must be a map of CAIP-2 network ID to { priceAtomic, surchargeAtomic }`);
+    } else {
+      for (const [caip2, override] of Object.entries(raw.networkPricing)) {
+        if (!isKnownNetwork(caip2)) errors.push(`${where}.networkPricing: unknown network ${caip2}`);
+        const fields = ['priceAtomic', 'surchargeAtomic'].filter(field => override?.[field] !== undefined);
+        if (fields.length === 0) errors.push(`${where}.networkPricing.${caip2}: set priceAtomic and/or surchargeAtomic`);
+        for (const field of fields) {
+          if (!/^\d+$/.test(String(override[field]).trim())) {
+            errors.push(`${where}.networkPricing.${caip2}.${field}: must be an integer string (USDC atomic units)`);
+          }
+        }
+      }
+    }
+  }
+
+  if (!raw.payTo && !raw.payToSol) errors.push(`${where}: payTo or payToSol is required`);
+
+  return {
+    ...raw,
+    path: `/v1/${key}/*`,
+    backendName: raw.backendName || key,
+    backendUrl: raw.backendUrl || '',
+    price: raw.price || (/^\d+$/.test(priceAtomic) ? formatUsd(priceAtomic) : ''),
+    priceAtomic,
+    description: raw.description || `${raw.backendName || key} (x402 paid route)`,
+    mimeType: raw.mimeType || 'application/json',
+    targetPathPrefix: raw.targetPathPrefix ?? '/api/',
+    pathAliases,
+    forceMethod,
+    freeRoutes,
+    pricing,
+  };
+}
+
+function normalizeChainToken(raw, where, errors) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  if (!/^0x[0-9a-fA-F]{40}$/.test(String(raw.address ?? ''))) errors.push(`${where}.address: must be a 0x-prefixed EVM address`);
+  if (!raw.name || typeof raw.name !== 'string') errors.push(`${where}.name: required (EIP-712 domain name)`);
+  if (raw.version === undefined || raw.version === '') errors.push(`${where}.version: required (EIP-712 domain version)`);
+  if (!(Number.isInteger(raw.decimals) && raw.decimals >= 0 && raw.decimals <= 36)) errors.push(`${where}.decimals: must be an integer 0-36`);
+  if (raw.transferMethod !== undefined && !TRANSFER_METHODS.includes(raw.transferMethod)) {
+    errors.push(`${where}.transferMethod: must be one of ${TRANSFER_METHODS.join(', ')}`);
+  }
+  if (raw.rate !== undefined && !/^\d+(\.\d+)?$/.test(String(raw.rate))) errors.push(`${where}.rate: must be a positive decimal`);
+  return { ...raw, version: String(raw.version) };
+}
+
+function normalizeChain(raw, i, errors, knownNetworks) {
+  const where = `chains[${i}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+
+  const { chainId } = raw;
+  if (!(Number.isInteger(chainId) && chainId > 0)) errors.push(`${where}.chainId: must be a positive integer`);
+  const caip2 = raw.caip2 || `eip155:${chainId}`;
+  if (caip2 !== `eip155:${chainId}`) errors.push(`${where}.caip2: must be eip155:${chainId}`);
+  if (knownNetworks?.includes(caip2)) errors.push(`${where}: ${caip2} is a built-in network`);
+  if (!raw.name || typeof raw.name !== 'string') errors.push(`${where}.name: required (display name)`);
+  if (!ENV_VAR_PATTERN.test(String(raw.rpcEnvVar ?? ''))) errors.push(`${where}.rpcEnvVar: must be an env var name (e.g. KAIA_RPC_URL)`);
+  if (raw.testnet !== undefined && typeof raw.testnet !== 'boolean') errors.push(`${where}.testnet: must be true or false`);
+  if (raw.explorerUrl !== undefined && !/^https?:\/\/\S+$/.test(String(raw.explorerUrl))) errors.push(`${where}.explorerUrl: must be an http(s) URL`);
+  if (raw.settlementTimeoutMs !== undefined && !(Number.isInteger(raw.settlementTimeoutMs) && raw.settlementTimeoutMs > 0)) {
+    errors.push(`${where}.settlementTimeoutMs: must be a positive integer (milliseconds)`);
+  }
+
+  const currency = raw.nativeCurrency ?? { name: 'Ether', symbol: 'ETH', decimals: 18 };
+  if (!currency || typeof currency !== 'object' || !currency.name || !currency.symbol || !Number.isInteger(currency.decimals)) {
+    errors.push(`${where}.nativeCurrency: must be { name, symbol, decimals }`);
+  }
+
+  if ((raw.token === undefined) === (raw.assets === undefined)) {
+    errors.push(`${where}: exactly one of token or assets is required`);
+    return null;
+  }
+  if (raw.assets !== undefined && (!Array.isArray(raw.assets) || raw.assets.length === 0)) {
+    errors.push(`${where}.assets: must be a non-empty array`);
+    return null;
+  }
+  const assets = (raw.assets || [raw.token])
+    .map((token, j) => normalizeChainToken(token, raw.assets ? `${where}.assets[${j}]` : `${where}.token`, errors));
+
+  return {
+    vm: 'evm',
+    name: raw.name,
+    caip2,
+    chainId,
+    rpcEnvVar: raw.rpcEnvVar,
+    nativeCurrency: currency,
+    ...(raw.explorerUrl && { explorerUrl: String(raw.explorerUrl).replace(/\/+$/, '') }),
+    ...(raw.settlementTimeoutMs && { settlementTimeoutMs: raw.settlementTimeoutMs }),
+    ...(raw.testnet && { testnet: true }),
+    custom: true,
+    ...(raw.assets ? { assets } : { token: assets[0] }),
+  };
+}
+
+/**
+ * Validate and normalize a parsed config document.
+ * Throws a single Error listing every problem found.
+ *
+ * Document shape:
+ *   version  — optional label reported by /health (defaults to a content hash)
+ *   routes   — route map, same shape as ROUTE_CONFIG
+ *   networks — optional CAIP-2 allow-list narrowing the active network set
+ *   chains   — optional extra EVM chains ({ caip2: network } once normalized)
+ */
+export function normalizeConfigDocument(doc, source = 'routes file', knownNetworks = null) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || !doc.routes || typeof doc.routes !== 'object') {
+    throw new Error(`Invalid route config (${source}): expected a top-level "routes" object`);
+  }
+
+  const chains = {};
+  if (doc.chains !== undefined && !Array.isArray(doc.chains)) errors.push('chains: must be an array');
+  for (const [i, raw] of (Array.isArray(doc.chains) ? doc.chains : []).entries()) {
+    const chain = normalizeChain(raw, i, errors, knownNetworks);
+    if (!chain) continue;
+    if (chains[chain.caip2]) errors.push(`chains[${i}]: duplicate chain ${chain.caip2}`);
+    chains[chain.caip2] = chain;
+  }
+  const isKnownNetwork = caip2 => !knownNetworks || knownNetworks.includes(caip2) || !!chains[caip2];
+
+  const routes = {};
+  for (const [key, raw] of Object.entries(doc.routes)) {
+    const route = normalizeRoute(key, raw, errors, isKnownNetwork);
+    if (route) routes[key] = route;
+  }
+  if (Object.keys(routes).length === 0) errors.push('routes: at least one route is required');
+
+  let networks = null;
+  if (doc.networks !== undefined) {
+    if (!Array.isArray(doc.networks) || doc.networks.some(n => typeof n !== 'string')) {
+      errors.push('networks: must be an array of CAIP-2 network IDs');
+    } else {
+      networks = doc.networks;
+      for (const caip2 of networks) {
+        if (!isKnownNetwork(caip2)) errors.push(`networks: unknown network ${caip2}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid route config (${source}):\n  - ${errors.join('\n  - ')}`);
+  }
+  return {
+    routes,
+    networks,
+    chains,
+    ...(doc.version !== undefined && { version: String(doc.version) }),
+  };
+}
+
+/**
+ * Parse, interpolate and validate config source text.
+ * Returns { routes, networks, chains, version }.
+ */
+export function parseConfig(text, source, { env = process.env, knownNetworks = null } = {}) {
+  const doc = interpolateEnv(parseConfigSource(text, source), env);
+  const config = normalizeConfigDocument(doc, source, knownNetworks);
+  return {
+    ...config,
+    version: config.version || crypto.createHash('sha256').update(text).digest('hex').slice(0, 12),
+  };
+}
@@ -0,0 +1,154 @@
+// src/config/reloader.js
+
+import fs from 'fs';
+import path from 'path';
+import { replaceRouteConfig, setNetworkAllowList, setCustomNetworks, KNOWN_NETWORK_IDS } from './routes.js';
+import { parseConfig } from './loader.js';
+import { getConfigDocument } from '../utils/redis.js';
+
+// ============================================================
+// Config source + hot reload
+//
+// Sources (first match wins):
+//   ROUTES_FILE      — JSON/YAML file on disk
+//   ROUTES_REDIS_KEY — JSON/YAML document stored in Redis
+//   (neither)        — built-in ROUTE_CONFIG from routes.js
+//
+// With CONFIG_WATCH=true the source is polled every
+// CONFIG_POLL_INTERVAL_MS (default 5000). A changed document
+// is validated first; only a valid config is swapped in, and
+// routes, prices, declared chains and the active network set
+// change together.
+// In-flight requests keep the route/network objects they
+// already resolved, so settlements are never dropped.
+// ============================================================
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+const status = {
+  source: 'built-in',
+  version: 'built-in',
+  loadedAt: null,
+  reloads: 0,
+  watching: false,
+  lastError: null,
+};
+
+const listeners = [];
+let lastText = null;
+let pollTimer = null;
+
+function getConfigSource() {
+  if (process.env.ROUTES_FILE) {
+    const location = path.resolve(process.env.ROUTES_FILE);
+    return { type: 'file', location, label: `file:${location}` };
+  }
+  if (process.env.ROUTES_REDIS_KEY) {
+    const location = process.env.ROUTES_REDIS_KEY;
+    return { type: 'redis', location, label: `redis:${location}` };
+  }
+  return null;
+}
+
+async function readSource(source) {
+  if (source.type === 'file') return fs.promises.readFile(source.location, 'utf8');
+  const text = await getConfigDocument(source.location);
+  if (text === null) throw new Error(`Redis key ${source.location} is empty`);
+  return text;
+}
+
+function parseSource(source, text) {
+  // Redis keys have no extension — the YAML parser also accepts JSON
+  const parseAs = source.type === 'file' ? source.location : source.label;
+  return parseConfig(text, parseAs, { knownNetworks: KNOWN_NETWORK_IDS });
+}
+
+function applyConfig(config) {
+  // Synchronous swap — no request can observe a mix of old and new
+  replaceRouteConfig(config.routes);
+  setCustomNetworks(config.chains);
+  setNetworkAllowList(config.networks);
+  status.version = config.version;
+  status.loadedAt = new Date().toISOString();
+  status.lastError = null;
+  for (const listener of listeners) listener(config);
+}
+
+/**
+ * Register a callback invoked after every successful config swap
+ * (e.g. to rebuild the Express router).
+ */
+export function onConfigApplied(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Load the initial config. Throws if the configured source is
+ * missing or invalid — the gateway should not start half-configured.
+ */
+export async function loadConfig() {
+  const source = getConfigSource();
+  if (!source) {
+    status.loadedAt = new Date().toISOString();
+    return status;
+  }
+
+  status.source = source.label;
+  const text = await readSource(source);
+  applyConfig(parseSource(source, text));
+  lastText = text;
+  return status;
+}
+
+async function pollOnce(source) {
+  let text;
+  try {
+    text = await readSource(source);
+  } catch (err) {
+    status.lastError = `Read failed: ${err.message}`;
+    console.error(`[config] Reload read failed (${source.label}): ${err.message}`);
+    return;
+  }
+  if (text === lastText) return;
+
+  try {
+    const config = parseSource(source, text);
+    const previous = status.version;
+    applyConfig(config);
+    lastText = text;
+    status.reloads++;
+    console.log(`[config] Reloaded ${source.label} | version ${previous} -> ${config.version} | routes: ${Object.keys(config.routes).join(', ')}`);
+  } catch (err) {
+    // Keep serving the current config; remember the text so we don't re-log every poll
+    lastText = text;
+    status.lastError = err.message;
+    console.error(`[config] Reload rejected, keeping version ${status.version}: ${err.message}`);
+  }
+}
+
+/**
+ * Start polling the config source when CONFIG_WATCH=true.
+ */
+export function watchConfig() {
+  const source = getConfigSource();
+  if (!source || process.env.CONFIG_WATCH !== 'true' || pollTimer) return;
+
+  const interval = parseInt(process.env.CONFIG_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+  let polling = false;
+  pollTimer = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await pollOnce(source);
+    } finally {
+      polling = false;
+    }
+  }, interval);
+  pollTimer.unref();
+  status.watching = true;
+  console.log(`[config] Watching ${source.label} every ${interval}ms`);
+}
+
+export function getConfigStatus() {
+  return { ...status };
+}
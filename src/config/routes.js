@@ -1,5 +1,7 @@
 // src/config/routes.js
 
+import { isSvmSignerConfigured } from '../utils/signers.js';
+
 // ============================================================
 // Route configuration for x402 gateway
 //
@@ -15,18 +17,30 @@
 //
 //   SVM: Solana USDC (SPL Token) via x402 SVM facilitator
 //        Uses TransferChecked with partial signing
-//        Requires SOLANA_FACILITATOR_PRIVATE_KEY for gas
+//        Requires a Solana fee payer signer for gas
+//
+// Tokens without EIP-3009 (bridged USDC.e, USDT, DAI, …) need a
+//   `transferMethod` on their token config:
+//     transferMethod: 'permit2'  — Uniswap Permit2 signature transfer
+//     transferMethod: 'eip2612'  — token permit() + transferFrom()
+//   See src/middleware/permit.js. Default: 'eip3009'.
 //
-// IMPORTANT: Only native USDC is supported, NOT bridged USDC.e
-//   Bridged tokens use different contract implementations
-//   that may not support EIP-3009.
+// A network accepts one `token`, or several via `assets: [primary, ...]`.
+//   The primary is always accepted; the others (e.g. EURC) are opt-in
+//   via EXTRA_ASSETS=EURC. Clients pick one with the `asset` of the
+//   accepts entry they pay against. Non-USD tokens set `rate` (see eurc()).
 //
 // To add a new EVM chain:
+//   Without code — declare it under `chains:` in a route file
+//   (see src/config/loader.js). The token's EIP-712 domain and
+//   decimals are checked against the contract at startup.
+//
+//   Built in:
 //   1. Add network config below with CAIP-2 ID and RPC env var
 //   2. Register in ALL_NETWORKS
 //   3. Add RPC URL to .env
 //   4. Fund settlement wallet with gas on that chain
-//   5. Add viem chain import in src/middleware/x402.js
+//   5. Add viem chain import in src/utils/evm.js
 //
 // To add a new SVM chain:
 //   1. Add network config with CAIP-2 ID (solana:<genesis-hash>)
@@ -40,10 +54,15 @@
 //   name: "USD Coin"
 //   version: "2"
 //   decimals: 6
+//
+// Route prices are in USD. A token's optional `rate` is how many
+// tokens one USD buys (default 1 — a USD stablecoin); amounts are
+// rounded up in the gateway's favour.
 
 function usdc(address) {
   return {
     address,
+    symbol: 'USDC',
     name: 'USD Coin',
     version: '2',
     decimals: 6,
@@ -53,48 +72,88 @@ function usdc(address) {
 function usdcv2(address) {
   return {
     address,
+    symbol: 'USDC',
     name: 'USDC',
     version: '2',
     decimals: 6,
   };
 }
 
+// Circle EURC (EIP-3009 on EVM, same FiatToken contract as USDC).
+// EURC_PER_USD is euros per dollar, e.g. 0.86 — keep it current.
+function eurc(address) {
+  return {
+    address,
+    symbol: 'EURC',
+    name: 'EURC',
+    version: '2',
+    decimals: 6,
+    get rate() { return process.env.EURC_PER_USD || '1'; },
+  };
+}
+
 // ─── Credit System Defaults ────────────────────────────────
 // Global defaults for the credit system. Each route can override
 // any of these values. Set ENABLE_CREDIT_SYSTEM=true to activate.
 //
 // Credits compensate payers when their paid request settles
-// on-chain but the backend returns an error. The payer can
-// redeem credits on subsequent requests without paying again.
+// on-chain but the backend returns an error: the price of the
+// request, in USD atomic units, redeemed in full or in part on
+// subsequent requests (see src/middleware/credit.js).
 export const CREDIT_DEFAULTS = {
   creditOnStatusCodes: [500, 502, 503, 504],  // Backend errors that earn credits
-  maxCreditsPerPayer: 10,                       // Max credits per payer per route
+  acceptCredits: false,                         // Redeem credits (opt-in per route)
+  maxCreditAtomic: null,                        // Cap on a payer's credit (USD atomic); null → below
+  maxCreditsPerPayer: 10,                       // Cap as a number of calls at the route's price
   creditTtl: 86400,                             // 24 hours in seconds
 };
 
+// ─── Prepaid Deposits ──────────────────────────────────────
+// Payers deposit once via POST /v1/deposit and draw down the
+// balance per request with a signed "balance" payment instead
+// of an on-chain settlement. Set ENABLE_DEPOSITS=true to activate.
+// Routes opt out with acceptBalance: false.
+export const DEPOSIT_CONFIG = {
+  get enabled() { return process.env.ENABLE_DEPOSITS === 'true'; },
+  get minDepositAtomic() { return process.env.DEPOSIT_MIN_ATOMIC || '1000000'; },  // $1.00
+  get payTo() { return process.env.DEPOSIT_PAY_TO_ADDRESS || process.env.PAY_TO_ADDRESS; },
+  get payToSol() { return process.env.DEPOSIT_PAY_TO_ADDRESS_SOL; },
+  description: 'Prepaid balance deposit. The settled amount is credited to the payer and drawn down per request.',
+};
+
 // ─── EVM Network Configs ───────────────────────────────────
 
 // Base (Coinbase L2) — Recommended primary chain (lowest fees)
 const BASE = {
   vm: 'evm',
+  name: 'Base',
   caip2: 'eip155:8453',
   chainId: 8453,
   rpcEnvVar: 'BASE_RPC_URL',
-  token: usdc('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'),
+  assets: [
+    usdc('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'),
+    eurc('0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42'),
+  ],
 };
 
 // Ethereum Mainnet
 const ETHEREUM = {
   vm: 'evm',
+  name: 'Ethereum',
   caip2: 'eip155:1',
   chainId: 1,
   rpcEnvVar: 'ETHEREUM_RPC_URL',
-  token: usdc('0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'),
+  settlementTimeoutMs: 180000,           // 12s blocks — see src/utils/evm.js (Stuck Transactions)
+  assets: [
+    usdc('0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'),
+    eurc('0x1aBaEA1f7C830bD89Acc67eC4af516284b1bC33c'),
+  ],
 };
 
 // Arbitrum One
 const ARBITRUM = {
   vm: 'evm',
+  name: 'Arbitrum',
   caip2: 'eip155:42161',
   chainId: 42161,
   rpcEnvVar: 'ARBITRUM_RPC_URL',
@@ -104,6 +163,7 @@ const ARBITRUM = {
 // Optimism (OP Mainnet)
 const OPTIMISM = {
   vm: 'evm',
+  name: 'Optimism',
   caip2: 'eip155:10',
   chainId: 10,
   rpcEnvVar: 'OPTIMISM_RPC_URL',
@@ -113,6 +173,7 @@ const OPTIMISM = {
 // Polygon PoS (native USDC, NOT USDC.e)
 const POLYGON = {
   vm: 'evm',
+  name: 'Polygon',
   caip2: 'eip155:137',
   chainId: 137,
   rpcEnvVar: 'POLYGON_RPC_URL',
@@ -122,6 +183,7 @@ const POLYGON = {
 // Avalanche C-Chain (native USDC, NOT USDC.e)
 const AVALANCHE = {
   vm: 'evm',
+  name: 'Avalanche',
   caip2: 'eip155:43114',
   chainId: 43114,
   rpcEnvVar: 'AVALANCHE_RPC_URL',
@@ -131,6 +193,7 @@ const AVALANCHE = {
 // Unichain
 const UNICHAIN = {
   vm: 'evm',
+  name: 'Unichain',
   caip2: 'eip155:130',
   chainId: 130,
   rpcEnvVar: 'UNICHAIN_RPC_URL',
@@ -140,6 +203,7 @@ const UNICHAIN = {
 // Linea
 const LINEA = {
   vm: 'evm',
+  name: 'Linea',
   caip2: 'eip155:59144',
   chainId: 59144,
   rpcEnvVar: 'LINEA_RPC_URL',
@@ -149,6 +213,7 @@ const LINEA = {
 // Sonic
 const SONIC = {
   vm: 'evm',
+  name: 'Sonic',
   caip2: 'eip155:146',
   chainId: 146,
   rpcEnvVar: 'SONIC_RPC_URL',
@@ -158,6 +223,7 @@ const SONIC = {
 // HyperEVM
 const HYPEREVM = {
   vm: 'evm',
+  name: 'HyperEVM',
   caip2: 'eip155:999',
   chainId: 999,
   rpcEnvVar: 'HYPEREVM_RPC_URL',
@@ -167,6 +233,7 @@ const HYPEREVM = {
 // Ink
 const INK = {
   vm: 'evm',
+  name: 'Ink',
   caip2: 'eip155:57073',
   chainId: 57073,
   rpcEnvVar: 'INK_RPC_URL',
@@ -176,6 +243,7 @@ const INK = {
 // Monad
 const MONAD = {
   vm: 'evm',
+  name: 'Monad',
   caip2: 'eip155:143',
   chainId: 143,
   rpcEnvVar: 'MONAD_RPC_URL',
@@ -195,6 +263,7 @@ const MONAD = {
 //   - 1% fee on withdrawal from Meridian
 const MEGAETH = {
   vm: 'evm',
+  name: 'MegaETH',
   caip2: 'eip155:4326',
   chainId: 4326,
   rpcEnvVar: 'MEGAETH_RPC_URL',
@@ -207,6 +276,7 @@ const MEGAETH = {
   },
   token: {
     address: '0xFAfDdbb3FC7688494971a79cc65DCa3EF82079E7',
+    symbol: 'USDM',
     name: 'MegaUSD',
     version: '1',
     decimals: 18,           // ⚠️ USDM uses 18 decimals, NOT 6
@@ -222,10 +292,98 @@ const MEGAETH = {
 
 const SOLANA_MAINNET = {
   vm: 'svm',
+  name: 'Solana',
   caip2: 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp',
   rpcEnvVar: 'SOLANA_RPC_URL',
+  assets: [
+    { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', name: 'USDC', decimals: 6 },
+    eurc('HzwqbKZw8HxMN6bF2yFZNrht3c2iXXzpKcFu7uBEDKtr'),
+  ],
+};
+
+// ─── Testnet Networks ──────────────────────────────────────
+// Registered only with X402_NETWORK_MODE=testnet or both, so
+// developers can exercise the gateway with faucet USDC
+// (https://faucet.circle.com). Marked `testnet: true` — see
+// getRouteNetworks() for how routes keep the two apart.
+
+// Base Sepolia
+const BASE_SEPOLIA = {
+  vm: 'evm',
+  name: 'Base Sepolia',
+  caip2: 'eip155:84532',
+  chainId: 84532,
+  testnet: true,
+  rpcEnvVar: 'BASE_SEPOLIA_RPC_URL',
+  token: usdcv2('0x036CbD53842c5426634e7929541eC2318f3dCF7e'),
+};
+
+// Ethereum Sepolia
+const ETHEREUM_SEPOLIA = {
+  vm: 'evm',
+  name: 'Ethereum Sepolia',
+  caip2: 'eip155:11155111',
+  chainId: 11155111,
+  testnet: true,
+  rpcEnvVar: 'ETHEREUM_SEPOLIA_RPC_URL',
+  settlementTimeoutMs: 180000,
+  token: usdcv2('0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238'),
+};
+
+// Arbitrum Sepolia
+const ARBITRUM_SEPOLIA = {
+  vm: 'evm',
+  name: 'Arbitrum Sepolia',
+  caip2: 'eip155:421614',
+  chainId: 421614,
+  testnet: true,
+  rpcEnvVar: 'ARBITRUM_SEPOLIA_RPC_URL',
+  token: usdcv2('0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d'),
+};
+
+// OP Sepolia
+const OPTIMISM_SEPOLIA = {
+  vm: 'evm',
+  name: 'OP Sepolia',
+  caip2: 'eip155:11155420',
+  chainId: 11155420,
+  testnet: true,
+  rpcEnvVar: 'OPTIMISM_SEPOLIA_RPC_URL',
+  token: usdcv2('0x5fd84259d66Cd46123540766Be93DFE6D43130D7'),
+};
+
+// Polygon Amoy
+const POLYGON_AMOY = {
+  vm: 'evm',
+  name: 'Polygon Amoy',
+  caip2: 'eip155:80002',
+  chainId: 80002,
+  testnet: true,
+  rpcEnvVar: 'POLYGON_AMOY_RPC_URL',
+  token: usdcv2('0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582'),
+};
+
+// Avalanche Fuji
+const AVALANCHE_FUJI = {
+  vm: 'evm',
+  name: 'Avalanche Fuji',
+  caip2: 'eip155:43113',
+  chainId: 43113,
+  testnet: true,
+  rpcEnvVar: 'AVALANCHE_FUJI_RPC_URL',
+  token: usdc('0x5425890298aed601595a70AB815c96711a31Bc65'),
+};
+
+// Solana Devnet
+const SOLANA_DEVNET = {
+  vm: 'svm',
+  name: 'Solana Devnet',
+  caip2: 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1',
+  testnet: true,
+  rpcEnvVar: 'SOLANA_DEVNET_RPC_URL',
   token: {
-    address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    address: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+    symbol: 'USDC',
     name: 'USDC',
     decimals: 6,
   },
@@ -249,17 +407,60 @@ const ALL_NETWORKS = {
   'eip155:57073': INK,
   'eip155:143': MONAD,
   'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp': SOLANA_MAINNET,
+  // Testnets (X402_NETWORK_MODE=testnet|both)
+  'eip155:84532': BASE_SEPOLIA,
+  'eip155:11155111': ETHEREUM_SEPOLIA,
+  'eip155:421614': ARBITRUM_SEPOLIA,
+  'eip155:11155420': OPTIMISM_SEPOLIA,
+  'eip155:80002': POLYGON_AMOY,
+  'eip155:43113': AVALANCHE_FUJI,
+  'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1': SOLANA_DEVNET,
 };
 
 // ─── Active Network Filter ────────────────────────────────
 // Auto-filters to only networks with configured RPC URLs.
-// SVM networks also require SOLANA_FACILITATOR_PRIVATE_KEY.
+// SVM networks also require a Solana fee payer signer
+// (SOLANA_FACILITATOR_PRIVATE_KEY, or see src/utils/signers.js).
+// X402_NETWORK_MODE picks mainnets (default), testnets or both.
+// An optional allow-list (from a route config file) narrows
+// the set further. Chains declared in the route file are
+// registered alongside the built-in ones.
+let _networkAllowList = null;
+let _customNetworks = {};
+
+const NETWORK_MODES = ['mainnet', 'testnet', 'both'];
+
+export function getNetworkMode() {
+  const mode = process.env.X402_NETWORK_MODE || 'mainnet';
+  if (!NETWORK_MODES.includes(mode)) throw new Error(`X402_NETWORK_MODE must be one of: ${NETWORK_MODES.join(', ')}`);
+  return mode;
+}
+
+function isNetworkInMode(network, mode) {
+  return mode === 'both' || (mode === 'testnet') === !!network.testnet;
+}
+
+function getExtraAssetSymbols() {
+  return (process.env.EXTRA_ASSETS || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+}
+
+// { ...network, assets: [primary, ...enabled extras], token: primary }
+function withAcceptedAssets(network) {
+  const [primary, ...extras] = network.assets || [network.token];
+  const enabled = getExtraAssetSymbols();
+  const assets = [primary, ...extras.filter(asset => enabled.includes(asset.symbol?.toUpperCase()))];
+  return { ...network, assets, token: primary };
+}
+
 function getActiveNetworks() {
+  const mode = getNetworkMode();
   const active = {};
-  for (const [caip2, network] of Object.entries(ALL_NETWORKS)) {
+  for (const [caip2, network] of Object.entries({ ...ALL_NETWORKS, ..._customNetworks })) {
+    if (!isNetworkInMode(network, mode)) continue;
     if (!process.env[network.rpcEnvVar]) continue;
-    if (network.vm === 'svm' && !process.env.SOLANA_FACILITATOR_PRIVATE_KEY) continue;
-    active[caip2] = network;
+    if (network.vm === 'svm' && !isSvmSignerConfigured()) continue;
+    if (_networkAllowList && !_networkAllowList.includes(caip2)) continue;
+    active[caip2] = withAcceptedAssets(network);
   }
   return active;
 }
@@ -285,6 +486,84 @@ export const SUPPORTED_NETWORKS = new Proxy({}, {
   },
 });
 
+export const KNOWN_NETWORK_IDS = Object.keys(ALL_NETWORKS);
+
+/**
+ * The network as seen when paying with one of its accepted assets:
+ * `token` is swapped for that asset, so verification and settlement
+ * code can keep reading network.token. No asset selects the primary.
+ * Returns null if the asset is not accepted on this network.
+ */
+export function selectNetworkAsset(network, assetAddress) {
+  if (!assetAddress) return network;
+  const wanted = network.vm === 'evm' ? String(assetAddress).toLowerCase() : String(assetAddress);
+  const asset = network.assets.find(a => (network.vm === 'evm' ? a.address.toLowerCase() : a.address) === wanted);
+  return asset ? { ...network, token: asset } : null;
+}
+
+/**
+ * Active networks a route accepts payment on, in the route's
+ * preferred order. Testnet and mainnet payments never unlock the
+ * same route unless it sets allowMixedNetworks: true — with
+ * X402_NETWORK_MODE=both a route stays on mainnets, or on testnets
+ * with `testnet: true`. A route `networks` list narrows the set
+ * further and orders it (first = advertised first).
+ */
+export function getRouteNetworks(routeConfig) {
+  let networks = Object.values(SUPPORTED_NETWORKS);
+  if (!routeConfig.allowMixedNetworks) {
+    const testnet = routeConfig.testnet ?? getNetworkMode() === 'testnet';
+    networks = networks.filter(network => !!network.testnet === !!testnet);
+  }
+  if (!Array.isArray(routeConfig.networks)) return networks;
+  return routeConfig.networks
+    .map(caip2 => networks.find(network => network.caip2 === caip2))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a route accepts payment in this token. A route `assets`
+ * list holds token symbols or addresses; without one every asset
+ * enabled on the network is accepted.
+ */
+export function isRouteAsset(routeConfig, token) {
+  if (!Array.isArray(routeConfig.assets)) return true;
+  return routeConfig.assets.some(entry => {
+    const value = String(entry);
+    if (token.symbol && value.toUpperCase() === token.symbol.toUpperCase()) return true;
+    return value.startsWith('0x') ? value.toLowerCase() === token.address.toLowerCase() : value === token.address;
+  });
+}
+
+/**
+ * One network view per accepted asset (primary first).
+ */
+export function getNetworkAssetViews(network) {
+  return network.assets.map(asset => ({ ...network, token: asset }));
+}
+
+/**
+ * Every (network, asset) view a route accepts, in advertised order.
+ */
+export function getRouteAssetViews(routeConfig) {
+  return getRouteNetworks(routeConfig)
+    .flatMap(getNetworkAssetViews)
+    .filter(view => isRouteAsset(routeConfig, view.token));
+}
+
+// Re-evaluates the active network set (e.g. on config reload).
+// Pass null to advertise every network with a configured RPC URL.
+export function setNetworkAllowList(allowList) {
+  _networkAllowList = allowList ? [...allowList] : null;
+  _cachedNetworks = getActiveNetworks();
+}
+
+// Replaces the config-declared chains ({ caip2: network }).
+// Takes effect with the next setNetworkAllowList().
+export function setCustomNetworks(networks) {
+  _customNetworks = { ...(networks || {}) };
+}
+
 // ============================================================
 // ROUTE CONFIG — CUSTOMIZE THIS FOR YOUR API
 // ============================================================
@@ -308,8 +587,38 @@ export const SUPPORTED_NETWORKS = new Proxy({}, {
 //   payToSol         — Solana address for SOL payments
 //   bazaarSchema     — Input/output schemas for Bazaar discovery (see BAZAAR_SCHEMAS in x402.js)
 //   creditOnStatusCodes — Backend status codes that earn a credit (default: [500,502,503,504])
-//   maxCreditsPerPayer  — Max credits per payer per route (default: 10)
+//   acceptCredits       — true to redeem credits here (default: false,
+//                         see src/middleware/credit.js)
+//   maxCreditAtomic     — Cap on a payer's credit when issuing here (USD atomic)
+//   maxCreditsPerPayer  — Same cap as a number of calls at this route's price (default: 10)
 //   creditTtl           — Credit TTL in seconds (default: 86400 / 24 hours)
+//   targetPathPrefix — Backend path prefix for proxied requests (default: '/api/')
+//   pathAliases      — Map friendly subpaths to backend endpoints
+//   forceMethod      — Override the HTTP method sent to the backend (e.g. 'POST')
+//   freeRoutes       — Unpaid sub-routes: [{ method, path, targetPath }]
+//   pricing          — Per-endpoint price rules matched on subpath, method,
+//                       query or JSON body field (see src/utils/pricing.js)
+//   settleOnSuccess  — true to settle only after the backend succeeds; failed
+//                       calls are never charged (replaces credits for the route)
+//   successStatusCodes — Statuses that count as success (default: any 2xx)
+//   acceptBalance    — false to refuse prepaid balance payments (ENABLE_DEPOSITS)
+//   quote            — 'off' | 'optional' | 'required': 402 quotes for this route
+//                       (default: QUOTES env, see src/middleware/quote.js)
+//   overpayment      — 'balance' | 'refund' | 'keep': what happens to the surplus of a
+//                       payment signed above the price (see src/settlement/overpayment.js)
+//   pass             — Sell access passes: { priceAtomic, durationSeconds, maxCalls }
+//                       (see src/middleware/pass.js, needs PASS_SIGNING_SECRET)
+//   testnet          — true to accept testnet payments only (X402_NETWORK_MODE=testnet|both)
+//   allowMixedNetworks — true to accept testnet AND mainnet payments on one route
+//   networks         — CAIP-2 allow-list in preferred order, e.g. ['eip155:8453', 'eip155:42161']
+//                       (default: every active network, registry order)
+//   assets           — Token symbols or addresses accepted, e.g. ['USDC'] (default: all enabled)
+//   networkPricing   — Per-network price: { 'eip155:1': { surchargeAtomic: '20000' } }
+//                       or { priceAtomic: '50000' } (see src/utils/pricing.js)
+//
+// Routes can also be declared in a JSON/YAML file instead of
+// code — set ROUTES_FILE and see src/config/loader.js. A route
+// file replaces the routes defined below.
 
 export const ROUTE_CONFIG = {
   // ── Example Route: "myapi" ─────────────────────────────
@@ -327,8 +636,29 @@ export const ROUTE_CONFIG = {
     get payToSol() { return process.env.MY_PAY_TO_ADDRESS_SOL; },
     description: 'Your API description here. This appears in 402 responses and agent discovery.',
     mimeType: 'application/json',
+    targetPathPrefix: '/api/',
+    pathAliases: {
+      // 'friendly-name': 'actual-backend-endpoint',
+    },
+    freeRoutes: [
+      // { method: 'GET', path: 'health', targetPath: '/api/health' },
+    ],
+    pricing: [
+      // { match: { method: 'POST', path: 'generate' }, price: '$0.05', priceAtomic: '50000' },
+      // { match: { body: { model: 'large' } }, price: '$0.10', priceAtomic: '100000' },
+    ],
+    // Access pass (optional) — $1 for 24 hours or 500 calls, whichever comes first
+    // pass: { priceAtomic: '1000000', durationSeconds: 86400, maxCalls: 500 },
+    // Accepted networks, cheapest gas first, with an L1 surcharge (optional)
+    // networks: ['eip155:8453', 'eip155:42161', 'eip155:10', 'eip155:1'],
+    // networkPricing: { 'eip155:1': { surchargeAtomic: '40000' } },
+    // Settle only if the backend succeeds (optional — alternative to credits)
+    // settleOnSuccess: true,
+    // successStatusCodes: [200, 201],
     // Credit system overrides (optional — falls back to CREDIT_DEFAULTS)
     // creditOnStatusCodes: [500, 502, 503, 504],
+    // acceptCredits: true,
+    // maxCreditAtomic: '500000',
     // maxCreditsPerPayer: 10,
     // creditTtl: 86400,
   },
@@ -348,7 +678,18 @@ export const ROUTE_CONFIG = {
   //   mimeType: 'application/json',
   //   Credit system overrides (optional — falls back to CREDIT_DEFAULTS)
   //   creditOnStatusCodes: [500, 502, 503, 504],
+  //   acceptCredits: true,
+  //   maxCreditAtomic: '5000000',
   //   maxCreditsPerPayer: 10,
   //   creditTtl: 86400,
   // },
 };
+
+// ─── Route File Support ────────────────────────────────────
+// Replaces ROUTE_CONFIG in place so modules holding a reference
+// (middleware, discovery endpoints) see the new routes. Runs
+// synchronously, so no request observes a half-applied config.
+export function replaceRouteConfig(routes) {
+  for (const key of Object.keys(ROUTE_CONFIG)) delete ROUTE_CONFIG[key];
+  Object.assign(ROUTE_CONFIG, routes);
+}
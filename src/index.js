@@ -3,10 +3,35 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { x402PaymentMiddleware } from './middleware/x402.js';
-import { proxyToBackend } from './proxy.js';
-import { ROUTE_CONFIG, SUPPORTED_NETWORKS } from './config/routes.js';
+import { buildRouteRouter } from './registry.js';
+import {
+  ROUTE_CONFIG,
+  SUPPORTED_NETWORKS,
+  DEPOSIT_CONFIG,
+  getNetworkMode,
+  getRouteNetworks,
+  getRouteAssetViews,
+} from './config/routes.js';
+import { toTokenAmount, applyNetworkPricing } from './utils/pricing.js';
+import { isPassEnabled, getPassDuration } from './middleware/pass.js';
+import { getQuoteMode, getQuoteTtlSeconds } from './middleware/quote.js';
+import { isCreditSystemEnabled, migrateLegacyCredits } from './middleware/credit.js';
+import { getTransferMethod } from './middleware/permit.js';
+import { loadConfig, watchConfig, onConfigApplied, getConfigStatus } from './config/reloader.js';
 import { pingRedis } from './utils/redis.js';
+import {
+  getSettlementAccounts,
+  getSettlementWalletStatus,
+  getExplorerUrl,
+  checkTokenConfigs,
+  getTokenCheckStatus,
+} from './utils/evm.js';
+import { getEvmSignerKind } from './utils/signers.js';
+import { isSettlementQueueEnabled, startSettlementWorker, getSettlementQueueStatus } from './settlement/queue.js';
+import { isGasGuardEnabled, getGasGuardStatus } from './settlement/gas.js';
+import { isGasMonitorEnabled, startGasMonitor, checkGasBalances, getGasMonitorStatus } from './settlement/monitor.js';
+import { startNonceRecovery, getNonceRecoveryStatus } from './settlement/recovery.js';
+import { startRefundWorker, getRefundStatus } from './settlement/overpayment.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -15,6 +40,9 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
+// Declarative routes (optional) — ROUTES_FILE / ROUTES_REDIS_KEY replace ROUTE_CONFIG
+await loadConfig();
+
 const app = express();
 const PORT = process.env.PORT || 8080;
 
@@ -30,11 +58,6 @@ app.use(express.static('public'));
 
 // ─── Helpers ───────────────────────────────────────────────
 
-// Express 5 returns wildcard params as arrays
-function getSubpath(params) {
-  return Array.isArray(params.path) ? params.path.join('/') : params.path;
-}
-
 // Extract payer address from x402 payment header
 function extractPayerFromPaymentHeader(req) {
   const paymentHeader = req.headers['payment-signature'] || req.headers['x-payment'];
@@ -79,21 +102,38 @@ app.get('/health', async (req, res) => {
     status: redisHealthy ? 'healthy' : 'degraded',
     service: 'x402-gateway',
     version: '1.0.0',
+    config: getConfigStatus(),
     backends,
     redis: {
       status: redisHealthy ? 'connected' : 'unreachable',
-      features: ['nonce-tracking', 'idempotency-cache'],
+      features: [
+        'nonce-tracking', 'idempotency-cache',
+        ...(DEPOSIT_CONFIG.enabled ? ['prepaid-balances'] : []),
+        ...(isSettlementQueueEnabled() ? ['settlement-queue'] : []),
+      ],
     },
     payment: {
+      networkMode: getNetworkMode(),
       settlement: 'local',
+      settlementQueue: await getSettlementQueueStatus(),
+      settlementWallets: getSettlementWalletStatus(),
+      gasGuard: getGasGuardStatus(),
+      gasMonitor: getGasMonitorStatus(),
+      nonceRecovery: getNonceRecoveryStatus(),
+      refunds: await getRefundStatus(),
       networks: networkKeys.map(caip2 => {
         const net = SUPPORTED_NETWORKS[caip2];
         return {
           network: caip2,
+          name: net.name,
           vm: net.vm,
           ...(net.chainId && { chainId: net.chainId }),
+          ...(net.testnet && { testnet: true }),
+          ...(net.custom && { source: 'config' }),
           token: net.token.address,
+          ...(net.assets.length > 1 && { assets: net.assets.map(a => a.symbol || a.address) }),
           settlement: net.facilitator ? 'facilitator' : 'local',
+          ...(net.vm === 'evm' && !net.facilitator && { tokenCheck: getTokenCheckStatus(net) }),
         };
       }),
       summary: {
@@ -122,13 +162,8 @@ app.get('/.well-known/x402', (req, res) => {
   const networkKeys = Object.keys(SUPPORTED_NETWORKS);
   const chainNames = networkKeys.map(caip2 => {
     const net = SUPPORTED_NETWORKS[caip2];
-    // Simple name extraction from CAIP-2 or config
-    if (net.vm === 'svm') return 'Solana';
-    const chainMap = {
-      8453: 'Base', 1: 'Ethereum', 42161: 'Arbitrum', 10: 'Optimism',
-      137: 'Polygon', 43114: 'Avalanche', 130: 'Unichain', 59144: 'Linea',
-    };
-    return chainMap[net.chainId] || `Chain ${net.chainId}`;
+    const name = net.name || caip2;
+    return net.testnet ? `${name} (testnet)` : name;
   });
 
   // Build route documentation
@@ -153,7 +188,20 @@ app.get('/.well-known/x402', (req, res) => {
       '## Payment',
       '',
       `Pay on any of ${networkKeys.length} chains: ${chainNames.join(', ')}.`,
-      'Idempotency supported via `payment-identifier` extension — safe retries without double-charging.',
+      'Idempotency supported via `payment-identifier` extension — a retry of the same request with the same id replays the original response without charging again.',
+      'Each 402 response carries a short-lived quote (`extensions.quote`, `accepts[].extra.quoteId`); echo the chosen accepts entry back as `accepted` and the payment is bound to that request at the quoted price. Signing the quote id as the EIP-3009 `authorization.nonce` (or Permit2 nonce) binds it into the signature.',
+      ...(DEPOSIT_CONFIG.enabled ? [
+        '',
+        '## Prepaid Balance',
+        '',
+        `Deposit once with \`POST /v1/deposit?amount=<USD atomic>\` (minimum ${DEPOSIT_CONFIG.minDepositAtomic}), then pay per request with a signed \`balance\` payment. Check your balance at \`GET /v1/balance/{payer}\`.`,
+      ] : []),
+      ...(isCreditSystemEnabled() ? [
+        '',
+        '## Credits',
+        '',
+        'A paid request that fails with a backend error credits you its price. A full-price payment is then served from credits without settling; an EIP-3009 authorization signed for less than the price has the rest taken from credits. Check your credits and their history at `GET /v1/credits/{payer}`.',
+      ] : []),
     ].join('\n'),
   });
 });
@@ -162,29 +210,47 @@ app.get('/.well-known/x402', (req, res) => {
 // Accepted payment routes (agent-friendly discovery)
 // ============================================================
 app.get('/accepted', (req, res) => {
-  const basePriceDecimals = 6;
-
   const routes = Object.entries(ROUTE_CONFIG).map(([key, route]) => {
-    const basePriceAtomic = BigInt(route.priceAtomic);
-
-    const networks = Object.entries(SUPPORTED_NETWORKS).map(([caip2, network]) => {
-      const decimalDiff = network.token.decimals - basePriceDecimals;
-      const amountRequired = decimalDiff > 0
-        ? (basePriceAtomic * (10n ** BigInt(decimalDiff))).toString()
-        : basePriceAtomic.toString();
-
+    // One entry per accepted asset on each network, in the route's preferred order
+    const networks = getRouteAssetViews(route).map(network => {
+      // upto is settled locally on EVM; other networks fall back to exact
+      const upto = !!route.upto && network.vm === 'evm' && !network.facilitator;
+      const priced = applyNetworkPricing(route, network);
       return {
-        network: caip2,
+        network: network.caip2,
+        name: network.name,
         vm: network.vm,
         ...(network.chainId && { chainId: network.chainId }),
+        ...(network.testnet && { testnet: true }),
+        ...(getExplorerUrl(network) && { explorer: getExplorerUrl(network) }),
+        scheme: upto ? 'upto' : 'exact',
         asset: network.token.address,
         assetName: network.token.name || network.token.address,
+        ...(network.token.symbol && { symbol: network.token.symbol }),
         decimals: network.token.decimals,
-        amountRequired,
+        ...(network.token.rate !== undefined && { rate: String(network.token.rate) }),
+        ...(priced !== route && { price: priced.price, priceAtomic: priced.priceAtomic }),
+        amountRequired: toTokenAmount(upto ? (priced.upto.maxPriceAtomic || priced.priceAtomic) : priced.priceAtomic, network.token),
+        ...(network.vm === 'evm' && !network.facilitator && {
+          assetTransferMethod: upto ? 'eip2612' : getTransferMethod(network.token),
+        }),
         settlement: network.facilitator ? 'facilitator' : 'local',
       };
     });
 
+    // Per-endpoint pricing rules — first match wins, otherwise the route price applies.
+    // Amounts include networkPricing and are keyed by network for the primary token,
+    // by CAIP-19 asset ID for the others.
+    const pricing = (route.pricing || []).map(rule => ({
+      match: rule.match || {},
+      price: rule.price,
+      priceAtomic: String(rule.priceAtomic),
+      amounts: Object.fromEntries(getRouteAssetViews(route).map(view => [
+        view.token === view.assets[0] ? view.caip2 : `${view.caip2}/${view.vm === 'evm' ? 'erc20' : 'token'}:${view.token.address}`,
+        toTokenAmount(applyNetworkPricing({ ...route, priceAtomic: String(rule.priceAtomic) }, view).priceAtomic, view.token),
+      ])),
+    }));
+
     return {
       path: `/v1/${key}/*`,
       backend: route.backendName,
@@ -194,6 +260,24 @@ app.get('/accepted', (req, res) => {
       description: route.description,
       mimeType: route.mimeType,
       networks,
+      settlement: route.settleOnSuccess ? 'on-success' : 'before-request',
+      ...(route.settleOnSuccess && Array.isArray(route.successStatusCodes) && { successStatusCodes: route.successStatusCodes }),
+      ...(pricing.length > 0 && { pricing }),
+      ...(isPassEnabled(route) && {
+        pass: {
+          purchasePath: `/v1/pass/${key}`,
+          priceAtomic: String(route.pass.priceAtomic),
+          durationSeconds: getPassDuration(route.pass),
+          ...(route.pass.maxCalls && { maxCalls: route.pass.maxCalls }),
+        },
+      }),
+      ...(route.upto && {
+        upto: {
+          maxPriceAtomic: String(route.upto.maxPriceAtomic || route.priceAtomic),
+          usageHeader: route.upto.usageUnitsHeader || route.upto.usageHeader || 'x-usage-amount',
+          ...(route.upto.unitPriceAtomic && { unitPriceAtomic: String(route.upto.unitPriceAtomic) }),
+        },
+      }),
       extensions: {
         'payment-identifier': {
           supported: true,
@@ -202,6 +286,15 @@ app.get('/accepted', (req, res) => {
         bazaar: {
           discoverable: true,
         },
+        ...(getQuoteMode(route) !== 'off' && {
+          quote: { supported: true, required: getQuoteMode(route) === 'required', ttlSeconds: getQuoteTtlSeconds() },
+        }),
+        ...(isPassEnabled(route) && {
+          'access-pass': { supported: true, header: 'X-x402-Pass' },
+        }),
+        ...(DEPOSIT_CONFIG.enabled && route.acceptBalance !== false && {
+          'prepaid-balance': { supported: true, scheme: 'balance' },
+        }),
       },
     };
   });
@@ -209,77 +302,46 @@ app.get('/accepted', (req, res) => {
   res.json({
     x402Version: 2,
     service: 'x402-gateway',
+    networkMode: getNetworkMode(),
     routes,
+    ...(DEPOSIT_CONFIG.enabled && {
+      deposit: {
+        path: '/v1/deposit',
+        balancePath: '/v1/balance/{payer}',
+        minDepositAtomic: DEPOSIT_CONFIG.minDepositAtomic,
+        payTo: DEPOSIT_CONFIG.payTo || null,
+        payToSol: DEPOSIT_CONFIG.payToSol || null,
+      },
+    }),
+    ...(isCreditSystemEnabled() && { credits: { path: '/v1/credits/{payer}' } }),
   });
 });
 
 // ============================================================
-// REGISTER YOUR ROUTES BELOW
+// Paid routes (auto-mounted from ROUTE_CONFIG)
 // ============================================================
 //
-// For each route in ROUTE_CONFIG, create:
-//   1. A paid route with x402PaymentMiddleware
-//   2. Optional free routes (health checks, job polling, etc.)
+// Every entry in ROUTE_CONFIG (or ROUTES_FILE) is mounted at
+// /v1/{key}/* with x402PaymentMiddleware + proxyToBackend.
+// Free sub-routes, path aliases, target path prefix and
+// forceMethod are declared on the route — see src/registry.js.
 //
 // The middleware handles:
 //   - Returning 402 with payment requirements if no payment header
 //   - Verifying the payment signature
 //   - Settling the payment on-chain
-//   - Calling next() so your handler runs
+//   - Calling next() so the proxy handler runs
 //
-// Your handler then proxies the request to your backend.
-
-// ── Example: "myapi" route (PAID) ────────────────────────
-app.all('/v1/myapi/{*path}', x402PaymentMiddleware('myapi'), async (req, res) => {
-  try {
-    const subpath = getSubpath(req.params);
-    const route = ROUTE_CONFIG.myapi;
-
-    if (!route.backendUrl) {
-      return res.status(503).json({
-        error: 'Backend not configured',
-        message: 'MY_BACKEND_URL environment variable is not set',
-      });
-    }
-
-    // Optional: Map friendly paths to backend paths
-    const PATH_ALIASES = {
-      // 'friendly-name': 'actual-backend-endpoint',
-    };
-    const resolvedSubpath = PATH_ALIASES[subpath] || subpath;
-
-    await proxyToBackend({
-      req,
-      res,
-      targetBase: route.backendUrl,
-      targetPath: '/api/' + resolvedSubpath,
-      apiKey: process.env[route.backendApiKeyEnv],
-      apiKeyHeader: route.backendApiKeyHeader,
-    });
-  } catch (err) {
-    console.error('[myapi] Proxy error:', err.message);
-    res.status(502).json({ error: 'Backend unavailable' });
-  }
+// The router is rebuilt whenever a new config is hot-reloaded.
+let routeRouter = buildRouteRouter();
+onConfigApplied(() => {
+  routeRouter = buildRouteRouter();
+  // Newly declared chains or assets get their token config checked
+  checkTokenConfigs(Object.values(SUPPORTED_NETWORKS));
+  // …and their settlement wallets' gas balance
+  if (isGasMonitorEnabled()) checkGasBalances().catch(() => {});
 });
-
-// ── Example: Free health check for "myapi" ───────────────
-// app.get('/v1/myapi/health', async (req, res) => {
-//   try {
-//     const route = ROUTE_CONFIG.myapi;
-//     if (!route.backendUrl) {
-//       return res.status(503).json({ error: 'Backend not configured' });
-//     }
-//     await proxyToBackend({
-//       req, res,
-//       targetBase: route.backendUrl,
-//       targetPath: '/api/health',
-//       apiKey: process.env[route.backendApiKeyEnv],
-//       apiKeyHeader: route.backendApiKeyHeader,
-//     });
-//   } catch (err) {
-//     res.status(502).json({ error: 'Backend unavailable' });
-//   }
-// });
+app.use((req, res, next) => routeRouter(req, res, next));
 
 // ============================================================
 // Start server
@@ -288,6 +350,20 @@ app.listen(PORT, async () => {
   console.log(`[x402-gateway] Listening on port ${PORT}`);
   console.log(`[x402-gateway] Settlement: local (viem + @x402/svm)`);
 
+  // Load settlement keys up front so a bad keystore or signer config shows here
+  try {
+    const wallets = getSettlementAccounts();
+    const strategy = wallets.length > 1 ? `, ${process.env.SETTLEMENT_WALLET_STRATEGY || 'least-pending'}` : '';
+    console.log(`[x402-gateway] Settlement signer: ${getEvmSignerKind()} (${wallets.length} wallet${wallets.length > 1 ? 's' : ''}${strategy}): ${wallets.map(w => w.address).join(', ')}`);
+  } catch (err) {
+    console.error(`[x402-gateway] Settlement signer: ✗ ${err.message}`);
+  }
+
+  if (isGasGuardEnabled()) {
+    const source = process.env.NATIVE_PRICE_URL ? 'price URL' : 'NATIVE_TOKEN_PRICES_USD';
+    console.log(`[x402-gateway] Gas guard: settlement gas capped at ${process.env.GAS_GUARD_MAX_FRACTION} of revenue (native prices: ${source})`);
+  }
+
   // Check Redis connectivity
   const redisOk = await pingRedis();
   console.log(`[x402-gateway] Redis: ${redisOk ? '✓ connected' : '✗ unreachable'}`);
@@ -303,7 +379,7 @@ app.listen(PORT, async () => {
   const networkKeys = Object.keys(SUPPORTED_NETWORKS);
   const evmCount = networkKeys.filter(k => SUPPORTED_NETWORKS[k].vm === 'evm').length;
   const svmCount = networkKeys.filter(k => SUPPORTED_NETWORKS[k].vm === 'svm').length;
-  console.log(`[x402-gateway] Active networks (${networkKeys.length}): ${evmCount} EVM, ${svmCount} SVM`);
+  console.log(`[x402-gateway] Active networks (${networkKeys.length}): ${evmCount} EVM, ${svmCount} SVM | mode: ${getNetworkMode()}`);
 
   networkKeys.forEach(caip2 => {
     const net = SUPPORTED_NETWORKS[caip2];
@@ -316,12 +392,38 @@ app.listen(PORT, async () => {
       mode = 'local settlement (viem)';
     }
     const chainLabel = net.chainId ? `chain ${net.chainId}` : net.vm.toUpperCase();
-    console.log(`  ${caip2} (${chainLabel}) — ${mode}`);
+    const assets = net.assets.map(a => a.symbol || a.address).join(', ');
+    console.log(`  ${caip2} ${net.name} (${chainLabel}${net.testnet ? ', testnet' : ''}${net.custom ? ', from config' : ''}) — ${mode} | ${assets}`);
   });
 
+  // EIP-712 domain + decimals vs. the token contracts (logs mismatches)
+  checkTokenConfigs(Object.values(SUPPORTED_NETWORKS));
+
   // Log routes
+  const config = getConfigStatus();
+  console.log(`[x402-gateway] Config: ${config.source} (version ${config.version})`);
   console.log(`[x402-gateway] Routes:`);
   Object.entries(ROUTE_CONFIG).forEach(([key, route]) => {
-    console.log(`  /v1/${key}/* -> ${route.backendName} (${route.price})`);
+    const networks = getRouteNetworks(route);
+    const label = route.allowMixedNetworks ? ' [testnet + mainnet]' : networks.some(n => n.testnet) ? ' [testnet]' : '';
+    console.log(`  /v1/${key}/* -> ${route.backendName} (${route.price})${label}`);
+    if (route.networks || route.networkPricing) {
+      const priced = networks.map(network => {
+        const { price } = applyNetworkPricing(route, network);
+        return price === route.price ? network.name : `${network.name} ${price}`;
+      });
+      console.log(`      networks: ${priced.join(', ')}`);
+    }
+    if (networks.length === 0) {
+      const hint = route.networks ? 'its networks list, ' : '';
+      console.warn(`  ⚠ /v1/${key}/* accepts no active network (check ${hint}X402_NETWORK_MODE=${getNetworkMode()})`);
+    }
   });
+
+  watchConfig();
+  startSettlementWorker();
+  startGasMonitor();
+  startNonceRecovery();
+  startRefundWorker();
+  migrateLegacyCredits();
 });
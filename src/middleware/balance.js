@@ -0,0 +1,211 @@
+// src/middleware/balance.js
+
+import { verifyTypedData } from 'viem';
+import { getPublicKeyFromAddress, verifySignature } from '@solana/kit';
+import { base58 } from '@scure/base';
+import { DEPOSIT_CONFIG, SUPPORTED_NETWORKS, selectNetworkAsset } from '../config/routes.js';
+import { getBalance, creditBalance } from '../utils/redis.js';
+import { formatUsd, toUsdAtomic } from '../utils/pricing.js';
+
+// ============================================================
+// Prepaid deposit balances
+//
+// 1. Payer settles one larger payment to POST /v1/deposit
+//    (?amount=<USD atomic> to choose more than the minimum).
+//    The settled amount is credited as a USD atomic balance.
+// 2. Later requests send a "balance" payment instead of an
+//    on-chain authorization. It is a wallet signature over
+//    { payer, resource, maxAmount, nonce, validBefore } that
+//    proves payer identity; the price is drawn down from the
+//    balance and nothing touches the chain.
+//
+// EVM payers sign EIP-712 typed data (BALANCE_AUTH_DOMAIN /
+// BALANCE_AUTH_TYPES). Solana payers sign the UTF-8 message
+// from buildSvmBalanceMessage() with their ed25519 key.
+//
+// Payload:
+//   { scheme: 'balance', payload: {
+//       authorization: { payer, resource, maxAmount, nonce, validBefore },
+//       signature } }
+//
+// resource is the request path (e.g. /v1/myapi/generate) and
+// maxAmount is in USD atomic units (6 decimals).
+// ============================================================
+
+// Balance authorizations are short-lived bearer proofs
+const MAX_VALIDITY_SECONDS = 3600;
+
+export const BALANCE_AUTH_DOMAIN = { name: 'x402 Gateway', version: '1' };
+
+export const BALANCE_AUTH_TYPES = {
+  BalanceAuthorization: [
+    { name: 'payer', type: 'address' },
+    { name: 'resource', type: 'string' },
+    { name: 'maxAmount', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'validBefore', type: 'uint256' },
+  ],
+};
+
+export function isBalanceEnabled() {
+  return DEPOSIT_CONFIG.enabled;
+}
+
+/**
+ * Whether a route accepts balance drawdown (routes opt out with acceptBalance: false).
+ */
+export function routeAcceptsBalance(routeConfig) {
+  return isBalanceEnabled() && routeConfig.acceptBalance !== false;
+}
+
+export function buildSvmBalanceMessage({ payer, resource, maxAmount, nonce, validBefore }) {
+  return [
+    'x402 Gateway balance authorization',
+    `payer: ${payer}`,
+    `resource: ${resource}`,
+    `maxAmount: ${maxAmount}`,
+    `nonce: ${nonce}`,
+    `validBefore: ${validBefore}`,
+  ].join('\n');
+}
+
+/**
+ * 402 `extensions` entry advertising balance drawdown.
+ */
+export function buildBalanceExtension(req) {
+  return {
+    supported: true,
+    scheme: 'balance',
+    depositUrl: `${req.protocol}://${req.get('host')}/v1/deposit`,
+    minDepositAtomic: DEPOSIT_CONFIG.minDepositAtomic,
+    domain: BALANCE_AUTH_DOMAIN,
+  };
+}
+
+export function getBalanceNonceKey(payer, nonce) {
+  const normalized = payer.startsWith('0x') ? payer.toLowerCase() : payer;
+  return `balance:${normalized}:${nonce}`;
+}
+
+// ============================================================
+// Verify a balance authorization (identity only — no funds move)
+// ============================================================
+export async function verifyBalanceAuthorization(paymentPayload, routeConfig, req) {
+  const { authorization, signature } = paymentPayload.payload || {};
+  if (!authorization || !signature) return { valid: false, reason: 'Missing authorization or signature' };
+
+  const { payer, resource, maxAmount, nonce, validBefore } = authorization;
+  if (!payer || !resource || !/^0x[0-9a-fA-F]{64}$/.test(nonce || '')) {
+    return { valid: false, reason: 'Malformed balance authorization' };
+  }
+  if (!/^\d+$/.test(String(maxAmount)) || !/^\d+$/.test(String(validBefore))) {
+    return { valid: false, reason: 'Malformed balance authorization' };
+  }
+
+  const expectedResource = req.originalUrl.split('?')[0];
+  if (resource !== expectedResource) {
+    return { valid: false, reason: `Authorization is for ${resource}, not ${expectedResource}` };
+  }
+
+  if (BigInt(maxAmount) < BigInt(routeConfig.priceAtomic)) {
+    return { valid: false, reason: `Authorized amount ${maxAmount} is below price ${routeConfig.priceAtomic}` };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (now > Number(validBefore)) return { valid: false, reason: 'Authorization expired' };
+  if (Number(validBefore) > now + MAX_VALIDITY_SECONDS) {
+    return { valid: false, reason: `Authorization validity exceeds ${MAX_VALIDITY_SECONDS}s` };
+  }
+
+  try {
+    let isValid;
+    if (payer.startsWith('0x')) {
+      isValid = await verifyTypedData({
+        address: payer,
+        domain: BALANCE_AUTH_DOMAIN,
+        types: BALANCE_AUTH_TYPES,
+        primaryType: 'BalanceAuthorization',
+        message: { payer, resource, maxAmount: BigInt(maxAmount), nonce, validBefore: BigInt(validBefore) },
+        signature,
+      });
+    } else {
+      const publicKey = await getPublicKeyFromAddress(payer);
+      const message = new TextEncoder().encode(buildSvmBalanceMessage(authorization));
+      isValid = await verifySignature(publicKey, base58.decode(signature), message);
+    }
+    if (!isValid) return { valid: false, reason: 'Signature does not match payer' };
+  } catch (err) {
+    return { valid: false, reason: `Signature verification failed: ${err.message}` };
+  }
+
+  return { valid: true, payer };
+}
+
+// ============================================================
+// Deposit route (mounted at POST /v1/deposit)
+// ============================================================
+
+/**
+ * Route config for a deposit request. The client picks the amount
+ * with ?amount=<USD atomic>; anything below the minimum is raised to it.
+ */
+export function getDepositRouteConfig(req) {
+  const min = BigInt(DEPOSIT_CONFIG.minDepositAtomic);
+  const requested = /^\d+$/.test(String(req.query?.amount || '')) ? BigInt(req.query.amount) : 0n;
+  const amount = requested > min ? requested : min;
+
+  return {
+    path: '/v1/deposit',
+    backendName: 'Prepaid deposit',
+    price: formatUsd(amount),
+    priceAtomic: amount.toString(),
+    payTo: DEPOSIT_CONFIG.payTo,
+    payToSol: DEPOSIT_CONFIG.payToSol,
+    description: DEPOSIT_CONFIG.description,
+    mimeType: 'application/json',
+    creditOnStatusCodes: [],
+    acceptBalance: false,
+    overpayment: false,          // The full settled value is the deposit
+  };
+}
+
+export async function depositHandler(req, res) {
+  const { payer, payment } = res.locals.x402 || {};
+  const supportedNetwork = SUPPORTED_NETWORKS[payment?.network];
+  const network = supportedNetwork && selectNetworkAsset(supportedNetwork, payment.asset);
+  if (!payer || payer === 'unknown' || !network) {
+    return res.status(500).json({ error: 'Deposit settled but payer could not be determined', payment });
+  }
+
+  // Credit the full settled value — overpaying the quote deposits more
+  const depositedAtomic = toUsdAtomic(payment.amount, network.token);
+  const balance = await creditBalance(payer, depositedAtomic);
+  if (balance < 0) {
+    console.error(`[x402] Deposit NOT credited — reconcile manually: payer ${payer} | amount ${depositedAtomic} | tx ${payment.txHash}`);
+    return res.status(503).json({
+      error: 'Deposit settled but balance could not be credited',
+      message: 'Your payment was received. Contact the operator with the transaction hash to reconcile.',
+      payment,
+    });
+  }
+
+  console.log(`[x402] Deposit credited: ${payer.slice(0, 10)}... | +${depositedAtomic} | balance: ${balance}`);
+  res.set('X-x402-Balance', String(balance));
+  res.json({
+    success: true,
+    payer,
+    deposited: depositedAtomic.toString(),
+    depositedUsd: formatUsd(depositedAtomic),
+    balance: String(balance),
+    balanceUsd: formatUsd(balance),
+    txHash: payment.txHash,
+    network: payment.network,
+  });
+}
+
+// GET /v1/balance/:payer — remaining balance (free)
+export async function balanceLookupHandler(req, res) {
+  const balance = await getBalance(req.params.payer);
+  res.set('X-x402-Balance', String(balance));
+  res.json({ payer: req.params.payer, balance: String(balance), balanceUsd: formatUsd(balance) });
+}
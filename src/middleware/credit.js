@@ -0,0 +1,158 @@
+// src/middleware/credit.js
+
+import { ROUTE_CONFIG, CREDIT_DEFAULTS } from '../config/routes.js';
+import {
+  getCredit,
+  issueCredit,
+  getCreditHistory,
+  getLegacyCreditKeys,
+  migrateLegacyCredit,
+} from '../utils/redis.js';
+import { formatUsd, toUsdAtomic } from '../utils/pricing.js';
+
+// ============================================================
+// Credits — backend failure compensation
+//
+// A paid request the backend answers with a creditworthy status
+// (creditOnStatusCodes, 5xx by default) credits the payer with what
+// it cost, in USD atomic units. Credits form one balance per payer,
+// spent on later requests:
+//
+//   in full — a valid payment for the full price is presented (it
+//             proves wallet ownership) and the price comes out of
+//             credits; nothing settles
+//   in part — an EIP-3009 authorization is signed for less than the
+//             price; the shortfall comes out of credits and the
+//             authorization settles as usual (clients look the
+//             balance up at GET /v1/credits/{payer})
+//
+// Redemption is opt-in: only routes with `acceptCredits: true` (or
+// CREDIT_DEFAULTS.acceptCredits: true) redeem credits, whichever
+// route they were earned on.
+//
+// Every issuance, redemption and expiry is logged (see Credit
+// Operations in src/utils/redis.js). Per-route call counts from
+// before the USD ledger are converted at startup at each route's
+// price (migrateLegacyCredits).
+//
+// Per-route settings (fall back to CREDIT_DEFAULTS):
+//   creditOnStatusCodes — statuses that earn credits ([] issues none)
+//   acceptCredits       — redeem credits here (see above)
+//   maxCreditAtomic     — cap on the payer's balance when issuing
+//                         (default maxCreditsPerPayer × the price)
+//   maxCreditsPerPayer  — cap in calls of this route (default 10)
+//   creditTtl           — seconds credits last after the last issuance
+//
+// Env:
+//   ENABLE_CREDIT_SYSTEM=true  — turn credits on (off by default)
+// ============================================================
+
+export function isCreditSystemEnabled() {
+  return process.env.ENABLE_CREDIT_SYSTEM === 'true';
+}
+
+export function getCreditConfig(routeConfig) {
+  const creditOnStatusCodes = routeConfig.creditOnStatusCodes || CREDIT_DEFAULTS.creditOnStatusCodes;
+  return {
+    creditOnStatusCodes,
+    acceptCredits: routeConfig.acceptCredits ?? CREDIT_DEFAULTS.acceptCredits,
+    maxCreditAtomic: routeConfig.maxCreditAtomic ?? CREDIT_DEFAULTS.maxCreditAtomic,
+    maxCreditsPerPayer: routeConfig.maxCreditsPerPayer ?? CREDIT_DEFAULTS.maxCreditsPerPayer,
+    creditTtl: routeConfig.creditTtl ?? CREDIT_DEFAULTS.creditTtl,
+  };
+}
+
+/**
+ * Cap on a payer's credit balance when a request at priceAtomic
+ * earns credit (USD atomic).
+ */
+export function getCreditCap(creditConfig, priceAtomic) {
+  if (creditConfig.maxCreditAtomic != null) return BigInt(creditConfig.maxCreditAtomic);
+  return BigInt(creditConfig.maxCreditsPerPayer) * BigInt(priceAtomic);
+}
+
+/**
+ * USD atomic shortfall of an EIP-3009 authorization signed below the
+ * route price that the claimed payer's credits cover — 0n when the
+ * payment isn't partial or credits can't cover it (it is then
+ * verified at the full price and fails as underpaid). Redeem it once
+ * the signature is verified; the balance may have moved by then.
+ */
+export async function getCreditShortfall({ routeConfig, networkRouteConfig, network, paymentPayload }) {
+  const authorization = paymentPayload.payload?.authorization;
+  if (!authorization?.from || authorization.value == null) return 0n;
+  if (!getCreditConfig(routeConfig).acceptCredits) return 0n;
+
+  let paid;
+  try {
+    paid = toUsdAtomic(authorization.value, network.token);
+  } catch {
+    return 0n;
+  }
+  const shortfall = BigInt(networkRouteConfig.priceAtomic) - paid;
+  if (shortfall <= 0n) return 0n;
+
+  return BigInt(await getCredit(authorization.from)) >= shortfall ? shortfall : 0n;
+}
+
+/**
+ * Route config priced at what's left to pay after credits cover
+ * `shortfall`.
+ */
+export function applyCreditShortfall(routeConfig, shortfall) {
+  if (!shortfall) return routeConfig;
+  const priceAtomic = String(BigInt(routeConfig.priceAtomic) - shortfall);
+  return { ...routeConfig, price: formatUsd(priceAtomic), priceAtomic };
+}
+
+/**
+ * Give back credits applied to a payment that then didn't settle
+ * (uncapped — it's the payer's own balance).
+ */
+export async function restoreCredit({ payerAddress, creditApplied, creditConfig, routeKey, ref }) {
+  if (!creditApplied) return;
+  const result = await issueCredit(payerAddress, creditApplied, {
+    ttlSeconds: creditConfig.creditTtl, route: routeKey, reason: 'payment not settled', ref,
+  });
+  if (!result) {
+    console.error(`[x402] Credit NOT restored — reconcile manually: payer ${payerAddress} | ${creditApplied} on ${routeKey}`);
+  }
+}
+
+/**
+ * Convert credits left from before the USD ledger (per-route call
+ * counts) into USD balances at each route's price. Runs once at
+ * startup with the credit system on. Counts for routes no longer
+ * configured are left to expire, as are Solana payers' (their keys
+ * were lowercased, so the address can't be recovered).
+ */
+export async function migrateLegacyCredits() {
+  if (!isCreditSystemEnabled()) return;
+
+  const legacy = await getLegacyCreditKeys();
+  let migrated = 0;
+  for (const entry of legacy) {
+    const routeConfig = ROUTE_CONFIG[entry.routeKey];
+    if (!routeConfig || !entry.payer.startsWith('0x')) {
+      console.warn(`[x402] Legacy credits not migrated (left to expire): ${entry.key}`);
+      continue;
+    }
+    const amount = await migrateLegacyCredit(entry, routeConfig.priceAtomic, getCreditConfig(routeConfig).creditTtl);
+    if (amount > 0) migrated++;
+  }
+  if (migrated) console.log(`[x402] Migrated legacy credits of ${migrated} payer/route pair(s) to USD balances`);
+}
+
+/**
+ * GET /v1/credits/:payer — credit balance and recent log entries
+ * (?limit=, default 50, max 500).
+ */
+export async function creditLookupHandler(req, res) {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const [credit, history] = await Promise.all([
+    getCredit(req.params.payer),
+    getCreditHistory(req.params.payer, limit),
+  ]);
+  res.set('X-x402-Credit-Balance', String(credit));
+  res.json({ payer: req.params.payer, credit: String(credit), creditUsd: formatUsd(credit), history });
+}
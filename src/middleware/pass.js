@@ -0,0 +1,179 @@
+// src/middleware/pass.js
+
+import crypto from 'crypto';
+import { ROUTE_CONFIG } from '../config/routes.js';
+import { setPassCalls } from '../utils/redis.js';
+import { formatUsd } from '../utils/pricing.js';
+
+// ============================================================
+// Time-boxed access passes
+//
+// A route can sell a pass — e.g. $1 for 24 hours or 500 calls —
+// at POST /v1/pass/{key}. After settlement the gateway issues
+// a signed bearer token (JWT, HS256) bound to the payer and the
+// route key. Sending it in the X-x402-Pass header replaces the
+// payment header until the pass expires or its call budget
+// (tracked in Redis) runs out.
+//
+// Route config:
+//   pass: {
+//     priceAtomic: '1000000',   // Pass price (USDC atomic)
+//     durationSeconds: 86400,   // Valid for 24 hours
+//     maxCalls: 500,            // …or until 500 calls are used
+//   }
+//
+// Either limit may be omitted. A pass with only maxCalls
+// expires after DEFAULT_PASS_DURATION_SECONDS.
+//
+// Tokens are signed with PASS_SIGNING_SECRET. Without it, no
+// passes are sold or accepted. Rotating the secret revokes
+// every outstanding pass.
+// ============================================================
+
+export const PASS_HEADER = 'x-x402-pass';
+
+const DEFAULT_PASS_DURATION_SECONDS = 2592000;  // 30 days
+
+const TOKEN_HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function getSigningSecret() {
+  return process.env.PASS_SIGNING_SECRET || null;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Whether a route sells (and accepts) access passes.
+ */
+export function isPassEnabled(routeConfig) {
+  return !!routeConfig?.pass && !!getSigningSecret();
+}
+
+export function getPassDuration(pass) {
+  return pass.durationSeconds || DEFAULT_PASS_DURATION_SECONDS;
+}
+
+export function issuePassToken(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${TOKEN_HEADER}.${payload}.${sign(`${TOKEN_HEADER}.${payload}`)}`;
+}
+
+/**
+ * Verify a pass token's signature, expiry and route binding.
+ * Does not touch the call budget.
+ */
+export function verifyPassToken(token, routeKey) {
+  if (!getSigningSecret()) return { valid: false, reason: 'Access passes are not enabled' };
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_HEADER) return { valid: false, reason: 'Malformed pass token' };
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'Invalid pass signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch {
+    return { valid: false, reason: 'Malformed pass token' };
+  }
+
+  if (claims.route !== routeKey) return { valid: false, reason: `Pass is for route "${claims.route}", not "${routeKey}"` };
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return { valid: false, reason: 'Pass expired' };
+
+  return { valid: true, claims };
+}
+
+/**
+ * 402 `extensions` entry advertising a route's pass.
+ */
+export function buildPassExtension(routeKey, routeConfig, req) {
+  const { pass } = routeConfig;
+  return {
+    supported: true,
+    purchaseUrl: `${req.protocol}://${req.get('host')}/v1/pass/${routeKey}`,
+    price: pass.price || formatUsd(pass.priceAtomic),
+    priceAtomic: String(pass.priceAtomic),
+    durationSeconds: getPassDuration(pass),
+    ...(pass.maxCalls && { maxCalls: pass.maxCalls }),
+    header: 'X-x402-Pass',
+  };
+}
+
+// ============================================================
+// Pass purchase route (mounted at POST /v1/pass/{key})
+// ============================================================
+
+/**
+ * Route config for buying a pass: the route itself, priced at
+ * the pass price, without its per-request pricing or upto terms.
+ * Network surcharges still apply; flat per-network prices don't.
+ */
+export function getPassRouteConfig(routeKey) {
+  const route = ROUTE_CONFIG[routeKey];
+  if (!route?.pass) return undefined;
+
+  return {
+    ...route,
+    path: `/v1/pass/${routeKey}`,
+    price: route.pass.price || formatUsd(route.pass.priceAtomic),
+    priceAtomic: String(route.pass.priceAtomic),
+    description: `Access pass for ${route.backendName}. ${route.description}`,
+    pricing: [],
+    networkPricing: route.networkPricing && Object.fromEntries(
+      Object.entries(route.networkPricing)
+        .filter(([, override]) => override.surchargeAtomic)
+        .map(([caip2, override]) => [caip2, { surchargeAtomic: override.surchargeAtomic }])
+    ),
+    upto: undefined,
+    pass: undefined,
+    creditOnStatusCodes: [],
+  };
+}
+
+export function passPurchaseHandler(routeKey) {
+  return async (req, res) => {
+    const route = ROUTE_CONFIG[routeKey];
+    const { payer, payment } = res.locals.x402 || {};
+    if (!payer || payer === 'unknown' || !route?.pass) {
+      return res.status(500).json({ error: 'Pass paid but could not be issued', payment });
+    }
+
+    const duration = getPassDuration(route.pass);
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      sub: payer,
+      route: routeKey,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + duration,
+      ...(route.pass.maxCalls && { calls: route.pass.maxCalls }),
+    };
+
+    if (claims.calls && !(await setPassCalls(claims.jti, claims.calls, duration))) {
+      console.error(`[x402] Pass NOT issued — reconcile manually: payer ${payer} | route ${routeKey} | tx ${payment?.txHash}`);
+      return res.status(503).json({
+        error: 'Pass paid but could not be issued',
+        message: 'Your payment was received. Contact the operator with the transaction hash to reconcile.',
+        payment,
+      });
+    }
+
+    console.log(`[x402] Pass issued: ${payer.slice(0, 10)}... | route: ${routeKey} | expires: ${new Date(claims.exp * 1000).toISOString()}${claims.calls ? ` | calls: ${claims.calls}` : ''}`);
+    res.json({
+      success: true,
+      token: issuePassToken(claims),
+      header: 'X-x402-Pass',
+      payer,
+      route: routeKey,
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+      ...(claims.calls && { calls: claims.calls }),
+      ...(payment && { payment }),
+    });
+  };
+}
@@ -0,0 +1,395 @@
+// src/middleware/permit.js
+
+import { parseAbi, parseSignature } from 'viem';
+import {
+  ERC20_ABI,
+  getPublicClient,
+  getSettlementAccount,
+  sendSettlementTransaction,
+  waitForSettlementReceipt,
+  checkBalance,
+} from '../utils/evm.js';
+import { getNonce } from '../utils/redis.js';
+import { toTokenAmount } from '../utils/pricing.js';
+
+// ============================================================
+// Permit-based "exact" payments (EVM, local settlement)
+//
+// For tokens without EIP-3009 transferWithAuthorization (USDT,
+// DAI, bridged USDC.e, …). A network's token opts in with
+// `transferMethod`:
+//
+//   eip3009  — transferWithAuthorization (default, see x402.js)
+//   permit2  — Uniswap Permit2 signature transfer. The payer
+//              approves Permit2 once, then signs a
+//              PermitTransferFrom per payment
+//   eip2612  — token permit() + transferFrom()
+//
+// In both permit methods the gateway's primary settlement
+// wallet is the spender and moves the route price to payTo.
+//
+// Payloads (scheme: 'exact'):
+//   permit2: { permit2Authorization: {
+//              from, permitted: { token, amount }, spender, nonce, deadline },
+//            signature }
+//   eip2612: { permit: { owner, spender, value, nonce, deadline }, signature }
+// ============================================================
+
+// Canonical Permit2 deployment (same address on every chain)
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const PERMIT2_ABI = parseAbi([
+  'function permitTransferFrom(((address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, (address to, uint256 requestedAmount) transferDetails, address owner, bytes signature)',
+]);
+
+const PERMIT2_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+  ],
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Permits must stay valid long enough to cover the backend call
+export const MIN_DEADLINE_SECONDS = 60;
+
+export function getTransferMethod(token) {
+  return token.transferMethod || 'eip3009';
+}
+
+function getPermit2Address(network) {
+  return network.permit2Address || PERMIT2_ADDRESS;
+}
+
+/**
+ * 402 `extra` for an exact accepts entry on a local EVM network.
+ * Throws if a permit method has no settlement account to act as spender.
+ */
+export function buildExactAcceptExtra(network) {
+  const method = getTransferMethod(network.token);
+  const extra = { name: network.token.name, version: network.token.version };
+  if (method === 'eip3009') return extra;
+
+  return {
+    ...extra,
+    assetTransferMethod: method,
+    spender: getSettlementAccount().address,
+    ...(method === 'permit2' && { permit2: getPermit2Address(network) }),
+  };
+}
+
+// The payload field each transfer method signs
+const METHOD_FIELDS = { eip3009: 'authorization', permit2: 'permit2Authorization', eip2612: 'permit' };
+
+/**
+ * Whether exact payments on this (local EVM) network settle through
+ * a permit. The token decides — never the payload, whose fields for
+ * another method nothing verifies.
+ */
+export function isPermitMethod(network) {
+  return getTransferMethod(network.token) !== 'eip3009';
+}
+
+/**
+ * Reason an exact payload doesn't fit the token's transfer method —
+ * its fields are missing, or it carries another method's — or null.
+ */
+export function checkPayloadTransferMethod(paymentPayload, network) {
+  const method = getTransferMethod(network.token);
+  const payload = paymentPayload.payload || {};
+  if (!payload[METHOD_FIELDS[method]]) return `${network.caip2} accepts ${method} payments`;
+  for (const [other, field] of Object.entries(METHOD_FIELDS)) {
+    if (other !== method && payload[field] != null) {
+      return `Unexpected ${field}: ${network.token.symbol || network.token.address} on ${network.caip2} settles via ${method}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replay key for a permit payment (method defaults to the token's).
+ * EIP-2612 keys include the deadline so a permit that settled
+ * nothing can be re-signed with the same on-chain nonce.
+ */
+export function getPermitNonceKey(paymentPayload, network, method = getTransferMethod(network.token)) {
+  const { permit2Authorization, permit } = paymentPayload.payload;
+  if (method === 'permit2') {
+    return `permit2:${network.chainId}:${permit2Authorization.from.toLowerCase()}:${permit2Authorization.nonce}`;
+  }
+  return `permit:${network.chainId}:${permit.owner.toLowerCase()}:${permit.nonce}:${permit.deadline}`;
+}
+
+// ============================================================
+// EIP-2612 primitives (shared with the upto scheme)
+// ============================================================
+
+/**
+ * Verify an EIP-2612 permit naming the settlement account as
+ * spender for at least minValue.
+ */
+export async function verifyEip2612Permit({ permit, signature }, network, minValue) {
+  if (!permit || !signature) return { valid: false, reason: 'Missing permit or signature' };
+
+  let value, nonce, deadline;
+  try {
+    value = BigInt(permit.value);
+    nonce = BigInt(permit.nonce);
+    deadline = BigInt(permit.deadline);
+  } catch {
+    return { valid: false, reason: 'Malformed permit' };
+  }
+
+  // Spender must be the settlement account that will call transferFrom
+  let spender;
+  try {
+    spender = getSettlementAccount().address;
+  } catch (err) {
+    return { valid: false, reason: err.message };
+  }
+  if (permit.spender?.toLowerCase() !== spender.toLowerCase()) {
+    return { valid: false, reason: `Wrong spender: expected ${spender}` };
+  }
+
+  if (value < minValue) {
+    return { valid: false, reason: `Insufficient authorization: got ${value}, need ${minValue}` };
+  }
+
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  if (deadline < now + BigInt(MIN_DEADLINE_SECONDS)) return { valid: false, reason: 'Permit expired or expires too soon' };
+
+  const client = getPublicClient(network);
+  if (!client) return { valid: false, reason: `No RPC configured for ${network.caip2}` };
+
+  // Permit nonces are sequential — a stale nonce can never settle
+  try {
+    const expected = await client.readContract({
+      address: network.token.address, abi: ERC20_ABI,
+      functionName: 'nonces', args: [permit.owner],
+    });
+    if (expected !== nonce) return { valid: false, reason: `Stale permit nonce: expected ${expected}` };
+  } catch (err) {
+    console.warn(`[x402] Permit nonce check failed (non-critical): ${err.message}`);
+  }
+
+  try {
+    const isValid = await client.verifyTypedData({
+      address: permit.owner,
+      domain: {
+        name: network.token.name,
+        version: network.token.version,
+        chainId: network.chainId,
+        verifyingContract: network.token.address,
+      },
+      types: PERMIT_TYPES,
+      primaryType: 'Permit',
+      message: { owner: permit.owner, spender: permit.spender, value, nonce, deadline },
+      signature,
+      mode: 'eoa',
+    });
+    if (!isValid) return { valid: false, reason: 'Signature does not match owner' };
+  } catch (err) {
+    return { valid: false, reason: `Signature verification failed: ${err.message}` };
+  }
+
+  return { valid: true, payer: permit.owner };
+}
+
+/**
+ * permit() (skipped if allowance already covers amount) then
+ * transferFrom(owner, to, amount), both from the spender wallet.
+ */
+export async function settleEip2612Permit({ permit, signature }, network, to, amount) {
+  // Pinned to the permit spender — not distributed across the wallet pool
+  const account = getSettlementAccount();
+  const publicClient = getPublicClient(network);
+
+  const allowance = await publicClient.readContract({
+    address: network.token.address, abi: ERC20_ABI,
+    functionName: 'allowance', args: [permit.owner, account.address],
+  });
+
+  if (allowance < amount) {
+    const { v, r, s } = parseSignature(signature);
+    const permitHash = await sendSettlementTransaction(network, {
+      address: network.token.address,
+      abi: ERC20_ABI,
+      functionName: 'permit',
+      args: [permit.owner, account.address, BigInt(permit.value), BigInt(permit.deadline), Number(v), r, s],
+    }, { account });
+    const permitReceipt = await waitForSettlementReceipt(network, permitHash, { prerequisite: true });
+    // A reverted permit leaves no allowance — don't pay gas for a transferFrom that can't succeed
+    if (permitReceipt.status !== 'success') throw new Error(`Permit ${permitReceipt.transactionHash} reverted`);
+  }
+
+  const txHash = await sendSettlementTransaction(network, {
+    address: network.token.address,
+    abi: ERC20_ABI,
+    functionName: 'transferFrom',
+    args: [permit.owner, to, amount],
+  }, { account });
+
+  const receipt = await waitForSettlementReceipt(network, txHash);
+  if (receipt.status !== 'success') throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+  // A fee-bump replacement may be the version that was mined
+  return { txHash: receipt.transactionHash, blockNumber: Number(receipt.blockNumber) };
+}
+
+// ============================================================
+// Permit2 signature transfer
+// ============================================================
+
+function buildPermit2Request(permit2Authorization, signature, network, to, amount) {
+  return {
+    address: getPermit2Address(network),
+    abi: PERMIT2_ABI,
+    functionName: 'permitTransferFrom',
+    args: [
+      {
+        permitted: { token: permit2Authorization.permitted.token, amount: BigInt(permit2Authorization.permitted.amount) },
+        nonce: BigInt(permit2Authorization.nonce),
+        deadline: BigInt(permit2Authorization.deadline),
+      },
+      { to, requestedAmount: amount },
+      permit2Authorization.from,
+      signature,
+    ],
+  };
+}
+
+async function verifyPermit2(paymentPayload, routeConfig, network, requiredAmount) {
+  const { permit2Authorization: auth, signature } = paymentPayload.payload;
+  if (!auth?.permitted || !signature) return { valid: false, reason: 'Missing permit2Authorization or signature' };
+
+  let amount, nonce, deadline;
+  try {
+    amount = BigInt(auth.permitted.amount);
+    nonce = BigInt(auth.nonce);
+    deadline = BigInt(auth.deadline);
+  } catch {
+    return { valid: false, reason: 'Malformed permit2Authorization' };
+  }
+
+  if (auth.permitted.token?.toLowerCase() !== network.token.address.toLowerCase()) {
+    return { valid: false, reason: `Wrong token: expected ${network.token.address}` };
+  }
+  if (amount < requiredAmount) {
+    return { valid: false, reason: `Insufficient payment: got ${amount}, need ${requiredAmount}` };
+  }
+
+  let spender;
+  try {
+    spender = getSettlementAccount();
+  } catch (err) {
+    return { valid: false, reason: err.message };
+  }
+  if (auth.spender?.toLowerCase() !== spender.address.toLowerCase()) {
+    return { valid: false, reason: `Wrong spender: expected ${spender.address}` };
+  }
+
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  if (deadline < now + BigInt(MIN_DEADLINE_SECONDS)) return { valid: false, reason: 'Permit expired or expires too soon' };
+
+  const client = getPublicClient(network);
+  if (!client) return { valid: false, reason: `No RPC configured for ${network.caip2}` };
+
+  try {
+    const isValid = await client.verifyTypedData({
+      address: auth.from,
+      domain: { name: 'Permit2', chainId: network.chainId, verifyingContract: getPermit2Address(network) },
+      types: PERMIT2_TYPES,
+      primaryType: 'PermitTransferFrom',
+      message: {
+        permitted: { token: auth.permitted.token, amount },
+        spender: auth.spender, nonce, deadline,
+      },
+      signature,
+      mode: 'eoa',
+    });
+    if (!isValid) return { valid: false, reason: 'Signature does not match sender' };
+  } catch (err) {
+    return { valid: false, reason: `Signature verification failed: ${err.message}` };
+  }
+
+  // Dry run covers the Permit2 approval, balance and unordered nonce in one call
+  try {
+    await client.simulateContract({
+      account: spender,
+      ...buildPermit2Request(auth, signature, network, routeConfig.payTo, requiredAmount),
+    });
+  } catch (err) {
+    return { valid: false, reason: `Permit2 transfer would fail (is Permit2 approved for the token?): ${err.shortMessage || err.message}` };
+  }
+
+  return { valid: true, payer: auth.from };
+}
+
+// ============================================================
+// Verify + settle (called from verifyPaymentEvm / settleExactPayment)
+// ============================================================
+export async function verifyPaymentPermit(paymentPayload, routeConfig, network) {
+  const method = getTransferMethod(network.token);
+  const mismatch = checkPayloadTransferMethod(paymentPayload, network);
+  if (mismatch) return { valid: false, reason: mismatch };
+
+  if (!routeConfig.payTo) return { valid: false, reason: 'No payTo address configured' };
+
+  const existing = await getNonce(getPermitNonceKey(paymentPayload, network));
+  if (existing?.status === 'submitted') return { valid: false, pending: existing, reason: `Settlement ${existing.txHash} is still in flight — retry later` };
+  if (existing) return { valid: false, reason: `Nonce already used (${existing.status || 'unknown'})` };
+
+  const requiredAmount = BigInt(toTokenAmount(routeConfig.priceAtomic, network.token));
+  if (method === 'permit2') return verifyPermit2(paymentPayload, routeConfig, network, requiredAmount);
+
+  const verification = await verifyEip2612Permit(paymentPayload.payload, network, requiredAmount);
+  if (!verification.valid) return verification;
+
+  const balanceCheck = await checkBalance(network, verification.payer, requiredAmount);
+  if (!balanceCheck.sufficient) {
+    return { valid: false, reason: `Insufficient balance: has ${balanceCheck.balance}, needs ${balanceCheck.required}` };
+  }
+  return verification;
+}
+
+/**
+ * Settle the route price (not the full permitted amount) to payTo.
+ */
+export async function settlePaymentPermit(paymentPayload, routeConfig, network) {
+  const amount = BigInt(toTokenAmount(routeConfig.priceAtomic, network.token));
+  const method = getTransferMethod(network.token);
+  const { permit2Authorization, signature } = paymentPayload.payload;
+
+  let txHash, blockNumber, payer;
+  if (method === 'permit2') {
+    payer = permit2Authorization.from;
+    txHash = await sendSettlementTransaction(
+      network,
+      buildPermit2Request(permit2Authorization, signature, network, routeConfig.payTo, amount),
+      { account: getSettlementAccount() },
+    );
+    const receipt = await waitForSettlementReceipt(network, txHash);
+    if (receipt.status !== 'success') throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+    ({ transactionHash: txHash } = receipt);
+    blockNumber = Number(receipt.blockNumber);
+  } else {
+    payer = paymentPayload.payload.permit.owner;
+    ({ txHash, blockNumber } = await settleEip2612Permit(paymentPayload.payload, network, routeConfig.payTo, amount));
+  }
+
+  console.log(`[x402] EVM ${method} settled: ${txHash} | block ${blockNumber} | payer ${payer}`);
+  return { txHash, network: paymentPayload.network, blockNumber, payer, amount: amount.toString() };
+}
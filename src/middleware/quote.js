@@ -0,0 +1,193 @@
+// src/middleware/quote.js
+
+import crypto from 'crypto';
+import { setQuote, getQuote } from '../utils/redis.js';
+import { resolveRoutePrice, formatUsd } from '../utils/pricing.js';
+
+// ============================================================
+// Payment quotes
+//
+// Every 402 challenge carries a short-lived quote: an ID stored in
+// Redis with the route, the request it was issued for (method,
+// URL and resource), the pricing rule that matched, and the amount,
+// payTo and price of each accepts entry. The ID goes out in every
+// entry's `extra.quoteId` and in the `quote` extension.
+//
+// The ID is a random 32-byte value. Clients echo it back with the
+// chosen accepts entry (`accepted.extra.quoteId`), and may sign it:
+// EIP-3009 authorizations as their `nonce`, Permit2 transfers as
+// their (unordered) `nonce`. A quote is only accepted on the request
+// it was issued for, on one of its networks/assets, before it
+// expires. A signed quote can't be dropped or swapped — an
+// authorization made out for a cheap route can't be spent on another
+// one that shares the payTo, since the quote it signed names the
+// route; an echoed one is outside the signature and binds only the
+// request it comes with. Within that window the quoted price is
+// locked: a price change (config reload, flat networkPricing)
+// doesn't fail payments made against the old quote. The signed
+// amount is checked against the quoted price by verification.
+//
+// EIP-2612 permits (the nonce is the token's counter) and Solana
+// transactions can't sign a quote, only echo one.
+//
+// Modes (env QUOTES, or per route `quote`):
+//   optional — issue quotes and check the ones payments present;
+//              random nonces go unquoted (default)
+//   required — every payment must present a quote: EIP-3009 and
+//              Permit2 payments must sign one, others echo one
+//   off      — neither issue nor check
+//
+// Env:
+//   QUOTES=optional            — default mode
+//   QUOTE_TTL_SECONDS=300      — quote lifetime
+// ============================================================
+
+export const QUOTE_MODES = ['off', 'optional', 'required'];
+
+const DEFAULT_TTL_SECONDS = 300;
+
+export function getQuoteTtlSeconds() {
+  return parseInt(process.env.QUOTE_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Quote mode for a route: its `quote` setting, else QUOTES.
+ */
+export function getQuoteMode(routeConfig) {
+  const mode = routeConfig?.quote ?? process.env.QUOTES;
+  return QUOTE_MODES.includes(mode) ? mode : 'optional';
+}
+
+function getAcceptKey(network, asset) {
+  return `${network}:${String(asset).toLowerCase()}`;
+}
+
+/**
+ * Store a quote for a 402 challenge. `prices` holds one entry per
+ * accepts entry: { accept, priceAtomic } (priceAtomic after network
+ * pricing). Returns { id, expiresAt }, or null when quotes are off or
+ * the quote couldn't be stored — the challenge then goes out without.
+ */
+export async function issueQuote({ routeKey, routeConfig, req, prices }) {
+  if (getQuoteMode(routeConfig) === 'off' || !prices.length) return null;
+
+  const ttl = getQuoteTtlSeconds();
+  const quote = {
+    id: '0x' + crypto.randomBytes(32).toString('hex'),
+    route: routeKey,
+    method: req.method,
+    path: req.originalUrl,
+    resource: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    rule: resolveRoutePrice(routeConfig, req).rule,
+    accepts: Object.fromEntries(prices.map(({ accept, priceAtomic }) => [
+      getAcceptKey(accept.network, accept.asset),
+      { scheme: accept.scheme, amount: accept.amount, payTo: accept.payTo, priceAtomic: String(priceAtomic) },
+    ])),
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttl * 1000,
+  };
+
+  if (!(await setQuote(quote.id, quote, ttl))) return null;
+  return { id: quote.id, expiresAt: quote.expiresAt };
+}
+
+/**
+ * 402 `extensions` entry describing the quote.
+ */
+export function buildQuoteExtension(quote, routeConfig) {
+  return {
+    id: quote.id,
+    sign: 'EIP-3009 authorization.nonce / Permit2 nonce',
+    expiresAt: new Date(quote.expiresAt).toISOString(),
+    required: getQuoteMode(routeConfig) === 'required',
+  };
+}
+
+/**
+ * The quote a payment signed: its EIP-3009 or Permit2 nonce as a
+ * 32-byte hex quote ID. undefined when the payment has no nonce that
+ * could carry one (EIP-2612 permits, Solana), null when it has one
+ * that isn't a quote ID.
+ */
+export function getSignedQuoteId(paymentPayload) {
+  const { authorization, permit2Authorization } = paymentPayload.payload || {};
+  const nonce = authorization?.nonce ?? permit2Authorization?.nonce;
+  if (nonce === undefined) return undefined;
+  try {
+    const value = BigInt(nonce);
+    return value >= 0n && value < 2n ** 256n ? '0x' + value.toString(16).padStart(64, '0') : null;
+  } catch {
+    return null;
+  }
+}
+
+// Quote ID a payment echoes back: the chosen accepts entry, or the extension
+function getEchoedQuoteId(paymentPayload) {
+  const id = paymentPayload.accepted?.extra?.quoteId ?? paymentPayload.extensions?.quote?.id;
+  return typeof id === 'string' && id ? id.toLowerCase() : null;
+}
+
+/**
+ * Check a payment's quote against the request and the network/asset
+ * paid on. An echoed quote must be valid for the request; a signed
+ * one binds the payment to it. In `required` mode, payments with a
+ * nonce must sign one; in `optional` mode a nonce that isn't a quote
+ * is just a random nonce. Returns { valid, reason?, quote? } — quote
+ * is null when the payment goes unquoted.
+ */
+export async function checkPaymentQuote({ paymentPayload, routeKey, routeConfig, req, network }) {
+  const mode = getQuoteMode(routeConfig);
+  if (mode === 'off') return { valid: true, quote: null };
+
+  const signed = getSignedQuoteId(paymentPayload);
+  const echoed = getEchoedQuoteId(paymentPayload);
+  let quoteId;
+  if (mode === 'required') {
+    quoteId = signed === undefined ? echoed : signed;
+    if (!quoteId) {
+      const reason = signed === null
+        ? 'Payment nonce is not a quote — sign the quote ID from a fresh 402 response as the nonce'
+        : 'This route requires a quote — pay against a fresh 402 response';
+      return { valid: false, reason };
+    }
+  } else {
+    quoteId = echoed ?? signed;
+    if (!quoteId) return { valid: true, quote: null };
+  }
+
+  const quote = await getQuote(quoteId);
+  if (!quote || quote.expiresAt <= Date.now()) {
+    // A random nonce, not a quote
+    if (mode === 'optional' && !echoed) return { valid: true, quote: null };
+    const hint = mode === 'required' && signed ? ' — sign the quote ID from a fresh 402 response as the nonce' : '';
+    return { valid: false, reason: `Quote ${quoteId} is unknown or expired${hint}` };
+  }
+  const isSigned = signed === quote.id;
+
+  const resource = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  if (quote.route !== routeKey || quote.method !== req.method || quote.path !== req.originalUrl || quote.resource !== resource) {
+    return { valid: false, reason: `Quote ${quoteId} was issued for ${quote.method} ${quote.path}` };
+  }
+  if (quote.rule !== resolveRoutePrice(routeConfig, req).rule) {
+    return { valid: false, reason: `Request no longer matches the pricing of quote ${quoteId}` };
+  }
+
+  const accept = quote.accepts[getAcceptKey(paymentPayload.network, network.token.address)];
+  if (!accept) {
+    return { valid: false, reason: `Quote ${quoteId} does not cover ${network.token.symbol || network.token.address} on ${paymentPayload.network}` };
+  }
+  const signedTo = paymentPayload.payload?.authorization?.to;
+  if (isSigned && signedTo && signedTo.toLowerCase() !== String(accept.payTo).toLowerCase()) {
+    return { valid: false, reason: `Quote ${quoteId} pays ${accept.payTo}, not ${signedTo}` };
+  }
+
+  return { valid: true, quote: { id: quote.id, expiresAt: quote.expiresAt, ...accept } };
+}
+
+/**
+ * Route config (already network-priced) at the quoted price.
+ */
+export function applyQuotedPrice(routeConfig, quote) {
+  if (!quote || routeConfig.priceAtomic === quote.priceAtomic) return routeConfig;
+  return { ...routeConfig, price: formatUsd(quote.priceAtomic), priceAtomic: quote.priceAtomic };
+}
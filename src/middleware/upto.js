@@ -0,0 +1,128 @@
+// src/middleware/upto.js
+
+import { getSettlementAccount, checkBalance } from '../utils/evm.js';
+import { toTokenAmount } from '../utils/pricing.js';
+import { verifyEip2612Permit, settleEip2612Permit, getPermitNonceKey } from './permit.js';
+
+// ============================================================
+// "upto" payment scheme (EVM, local settlement)
+//
+// The client signs an EIP-2612 permit allowing the gateway's
+// settlement account to spend up to a maximum. The request is
+// proxied first; the backend reports what the call actually
+// cost, and the gateway settles only that amount with
+// permit() + transferFrom() before the response is delivered.
+//
+// Route config:
+//   upto: {
+//     maxPriceAtomic: '1000000',          // Max per call (USDC atomic) — advertised in 402
+//     usageHeader: 'x-usage-amount',      // Backend header with consumed amount (USDC atomic)
+//     usageUnitsHeader: 'x-usage-tokens', // …or consumed units (e.g. LLM tokens)
+//     unitPriceAtomic: '2',               // Price per unit (USDC atomic) with usageUnitsHeader
+//   }
+//
+// If the backend reports no usage the route's priceAtomic is
+// charged; backend 5xx responses are not charged. Charges are
+// always capped at the authorized maximum.
+//
+// Payload:
+//   { scheme: 'upto', network, payload: {
+//       permit: { owner, spender, value, nonce, deadline },
+//       signature } }
+// ============================================================
+
+const DEFAULT_USAGE_HEADER = 'x-usage-amount';
+
+export function isUptoRoute(routeConfig) {
+  return !!routeConfig.upto;
+}
+
+/**
+ * Maximum chargeable amount per call, in the token's atomic units.
+ */
+export function getUptoMaxAmount(routeConfig, token) {
+  return toTokenAmount(routeConfig.upto.maxPriceAtomic || routeConfig.priceAtomic, token);
+}
+
+/**
+ * Build the 402 `accepts` entry for an upto-priced route.
+ */
+export function buildUptoAccept(routeConfig, network, resource) {
+  const maxAmount = getUptoMaxAmount(routeConfig, network.token);
+  return {
+    scheme: 'upto', network: network.caip2,
+    maxAmountRequired: maxAmount, amount: maxAmount,
+    maxTimeoutSeconds: 3600, resource,
+    description: routeConfig.description, mimeType: routeConfig.mimeType,
+    payTo: routeConfig.payTo, asset: network.token.address,
+    extra: {
+      name: network.token.name,
+      version: network.token.version,
+      spender: getSettlementAccount().address,
+      assetTransferMethod: 'eip2612',
+      usageHeader: routeConfig.upto.usageUnitsHeader || routeConfig.upto.usageHeader || DEFAULT_USAGE_HEADER,
+    },
+  };
+}
+
+/**
+ * Replay key for a permit — see getPermitNonceKey in permit.js.
+ */
+export function getUptoNonceKey(paymentPayload, network) {
+  return getPermitNonceKey(paymentPayload, network, 'eip2612');
+}
+
+// ============================================================
+// Verify an upto permit (local, no facilitator)
+// ============================================================
+export async function verifyPaymentUpto(paymentPayload, routeConfig, network) {
+  if (!routeConfig.payTo) return { valid: false, reason: 'No payTo address configured' };
+
+  const maxAmount = BigInt(getUptoMaxAmount(routeConfig, network.token));
+  const verification = await verifyEip2612Permit(paymentPayload.payload || {}, network, maxAmount);
+  if (!verification.valid) return verification;
+
+  const balanceCheck = await checkBalance(network, verification.payer, maxAmount);
+  if (!balanceCheck.sufficient) {
+    return { valid: false, reason: `Insufficient balance: has ${balanceCheck.balance}, needs ${balanceCheck.required}` };
+  }
+
+  return { valid: true, payer: verification.payer, maxAmount };
+}
+
+// ============================================================
+// Compute the amount to settle from the backend response
+// ============================================================
+export function getUsageAmount(routeConfig, network, status, headers, maxAmount) {
+  if (status >= 500) return 0n;
+
+  const { usageHeader = DEFAULT_USAGE_HEADER, usageUnitsHeader, unitPriceAtomic } = routeConfig.upto;
+  const units = usageUnitsHeader ? headers.get(usageUnitsHeader) : null;
+  const reported = headers.get(usageHeader);
+
+  let usageAtomic;
+  if (units && /^\d+$/.test(units) && unitPriceAtomic) {
+    usageAtomic = BigInt(units) * BigInt(unitPriceAtomic);
+  } else if (reported && /^\d+$/.test(reported)) {
+    usageAtomic = BigInt(reported);
+  } else {
+    usageAtomic = BigInt(routeConfig.priceAtomic);
+  }
+
+  const amount = BigInt(toTokenAmount(usageAtomic, network.token));
+  return amount > maxAmount ? maxAmount : amount;
+}
+
+// ============================================================
+// Settle the consumed amount on-chain (permit + transferFrom)
+// ============================================================
+export async function settlePaymentUpto(paymentPayload, routeConfig, network, amount) {
+  const { permit } = paymentPayload.payload;
+  const rpcUrl = process.env[network.rpcEnvVar];
+  if (!rpcUrl) throw new Error(`No RPC URL for ${paymentPayload.network} (env: ${network.rpcEnvVar})`);
+
+  const { txHash, blockNumber } = await settleEip2612Permit(paymentPayload.payload, network, routeConfig.payTo, amount);
+  console.log(`[x402] EVM upto settled: ${txHash} | block ${blockNumber} | payer ${permit.owner} | amount ${amount}`);
+
+  return { txHash, network: paymentPayload.network, blockNumber, amount: amount.toString() };
+}
@@ -1,168 +1,106 @@
 // src/middleware/x402.js
 
+import crypto from 'crypto';
 import {
-  createPublicClient,
-  createWalletClient,
-  http,
-  verifyTypedData,
-  parseSignature,
-  parseAbi,
-} from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
-import {
-  base,
-  mainnet,
-  arbitrum,
-  optimism,
-  polygon,
-  avalanche,
-  linea,
-  unichain,
-  megaeth,
-  sonic,
-  hyperEvm,
-  ink,
-  monad
-} from 'viem/chains';
-import { ROUTE_CONFIG, SUPPORTED_NETWORKS, CREDIT_DEFAULTS } from '../config/routes.js';
+  ROUTE_CONFIG,
+  SUPPORTED_NETWORKS,
+  selectNetworkAsset,
+  getRouteNetworks,
+  getRouteAssetViews,
+  isRouteAsset,
+  getNetworkMode,
+} from '../config/routes.js';
 import {
   getNonce,
   setNoncePending,
   setNonceConfirmed,
+  setNonceQueued,
+  setNonceSubmitted,
+  setNonceFailed,
   deleteNonce,
   getIdempotencyCache,
   setIdempotencyCache,
-  getCreditCount,
-  decrementCredit,
-  incrementCredit,
+  setIdempotencyResponse,
+  setIdempotencyUndelivered,
+  claimIdempotentDelivery,
+  issueCredit,
+  redeemCredit,
+  debitBalance,
+  creditBalance,
+  consumePassCall,
 } from '../utils/redis.js';
+import { resolveRoutePrice, applyNetworkPricing, toTokenAmount, toUsdAtomic, formatUsd } from '../utils/pricing.js';
+import {
+  getPublicClient,
+  getSettlementAccount,
+  checkBalance,
+  getTransferAuthorizationTypedData,
+  simulateSmartWalletSettlement,
+  submitTransferWithAuthorization,
+  waitForSettlementReceipt,
+  estimateTransferWithAuthorizationGas,
+  isAuthorizationUsed,
+} from '../utils/evm.js';
+import {
+  isUptoRoute,
+  buildUptoAccept,
+  getUptoNonceKey,
+  verifyPaymentUpto,
+  getUsageAmount,
+  settlePaymentUpto,
+} from './upto.js';
+import {
+  getTransferMethod,
+  buildExactAcceptExtra,
+  isPermitMethod,
+  checkPayloadTransferMethod,
+  getPermitNonceKey,
+  verifyPaymentPermit,
+  settlePaymentPermit,
+} from './permit.js';
+import {
+  routeAcceptsBalance,
+  buildBalanceExtension,
+  getBalanceNonceKey,
+  verifyBalanceAuthorization,
+} from './balance.js';
+import { isSettlementQueueEnabled, enqueueSettlement } from '../settlement/queue.js';
+import {
+  getOverpaymentMode,
+  getOverpaidAmount,
+  describeOverpayment,
+  applyOverpayment,
+} from '../settlement/overpayment.js';
+import {
+  isGasGuardEnabled,
+  getDefaultSettlementGas,
+  checkSettlementCost,
+  isNetworkProfitable,
+} from '../settlement/gas.js';
+import { isNetworkFunded } from '../settlement/monitor.js';
+import {
+  PASS_HEADER,
+  isPassEnabled,
+  buildPassExtension,
+  verifyPassToken,
+} from './pass.js';
+import {
+  isCreditSystemEnabled,
+  getCreditConfig,
+  getCreditCap,
+  getCreditShortfall,
+  applyCreditShortfall,
+  restoreCredit,
+} from './credit.js';
+import {
+  issueQuote,
+  buildQuoteExtension,
+  checkPaymentQuote,
+  applyQuotedPrice,
+} from './quote.js';
 
-// ─── SVM Imports ───────────────────────────────────────────
-import { toFacilitatorSvmSigner } from '@x402/svm';
-import { ExactSvmScheme } from '@x402/svm/exact/facilitator';
-import { createKeyPairSignerFromBytes } from '@solana/kit';
-import { base58 } from '@scure/base';
-
-// ============================================================
-// EIP-3009 transferWithAuthorization ABI (EVM only)
-// ============================================================
-const ERC3009_ABI = parseAbi([
-  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
-  'function balanceOf(address account) view returns (uint256)',
-]);
-
-// ============================================================
-// EIP-712 types for TransferWithAuthorization (EVM only)
-// ============================================================
-const EIP712_TYPES = {
-  TransferWithAuthorization: [
-    { name: 'from', type: 'address' },
-    { name: 'to', type: 'address' },
-    { name: 'value', type: 'uint256' },
-    { name: 'validAfter', type: 'uint256' },
-    { name: 'validBefore', type: 'uint256' },
-    { name: 'nonce', type: 'bytes32' },
-  ],
-};
-
-// ============================================================
-// Viem chain configs (EVM only)
-// Add new chains here when adding EVM network support
-// ============================================================
-const VIEM_CHAINS = {
-  1: mainnet,
-  8453: base,
-  42161: arbitrum,
-  10: optimism,
-  137: polygon,
-  43114: avalanche,
-  59144: linea,
-  130: unichain,
-  4326: megaeth,
-  146: sonic,
-  999: hyperEvm,
-  57073: ink,
-  143: monad,
-  // Add more: import from viem/chains and register here
-};
-
-function getViemChain(network) {
-  const known = VIEM_CHAINS[network.chainId];
-  if (known) return known;
-
-  // Fallback for unknown chains — provide minimal config
-  return {
-    id: network.chainId,
-    name: `Chain ${network.chainId}`,
-    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
-    rpcUrls: {
-      default: { http: [process.env[network.rpcEnvVar]] },
-    },
-  };
-}
-
-// ============================================================
-// Cache public clients per chain (EVM only)
-// ============================================================
-const publicClientCache = new Map();
-
-function getPublicClient(network) {
-  const cacheKey = network.chainId;
-  if (publicClientCache.has(cacheKey)) {
-    return publicClientCache.get(cacheKey);
-  }
-
-  const rpcUrl = process.env[network.rpcEnvVar];
-  if (!rpcUrl) return null;
-
-  const chain = getViemChain(network);
-  const client = createPublicClient({ chain, transport: http(rpcUrl) });
-  publicClientCache.set(cacheKey, client);
-  return client;
-}
-
-// ============================================================
-// SVM Facilitator — lazy singleton
-// ============================================================
-let _svmFacilitator = null;
-let _svmFacilitatorAddress = null;
-let _svmInitPromise = null;
-
-async function getSvmFacilitator() {
-  if (_svmFacilitator) {
-    return { facilitator: _svmFacilitator, feePayerAddress: _svmFacilitatorAddress };
-  }
-  if (_svmInitPromise) return _svmInitPromise;
-
-  _svmInitPromise = (async () => {
-    const privKeyBase58 = process.env.SOLANA_FACILITATOR_PRIVATE_KEY;
-    if (!privKeyBase58) {
-      throw new Error('SOLANA_FACILITATOR_PRIVATE_KEY not configured');
-    }
-
-    const privKeyBytes = base58.decode(privKeyBase58);
-    const keypairSigner = await createKeyPairSignerFromBytes(privKeyBytes);
-
-    const rpcConfig = { defaultRpcUrl: process.env.SOLANA_RPC_URL };
-    const facilitatorSigner = toFacilitatorSvmSigner(keypairSigner, rpcConfig);
-    const facilitator = new ExactSvmScheme(facilitatorSigner);
-
-    const addresses = facilitatorSigner.getAddresses();
-    const feePayerAddress = addresses[0]?.toString();
-    if (!feePayerAddress) {
-      throw new Error('Failed to derive fee payer address from SOLANA_FACILITATOR_PRIVATE_KEY');
-    }
-
-    console.log(`[x402] SVM facilitator initialized | feePayer: ${feePayerAddress}`);
-
-    _svmFacilitator = facilitator;
-    _svmFacilitatorAddress = feePayerAddress;
-    _svmInitPromise = null;
-    return { facilitator, feePayerAddress };
-  })();
-
-  return _svmInitPromise;
-}
+import { getSvmFacilitator } from '../utils/svm.js';
+import { getFacilitatorRequest, verifyWithFacilitator, settleWithFacilitator } from '../utils/facilitator.js';
 
 // ============================================================
 // Helpers
@@ -171,29 +109,13 @@ function isSvmNetwork(network) {
   return network.vm === 'svm';
 }
 
-async function checkBalance(network, from, requiredAmount) {
-  const client = getPublicClient(network);
-  if (!client) {
-    console.warn(`[x402] No public client for chain ${network.chainId}, skipping balance check`);
-    return { sufficient: true };
-  }
-
-  try {
-    const balance = await client.readContract({
-      address: network.token.address,
-      abi: ERC3009_ABI,
-      functionName: 'balanceOf',
-      args: [from],
-    });
-
-    if (balance < requiredAmount) {
-      return { sufficient: false, balance: balance.toString(), required: requiredAmount.toString() };
-    }
-    return { sufficient: true, balance: balance.toString() };
-  } catch (err) {
-    console.warn(`[x402] Balance check failed (non-critical): ${err.message}`);
-    return { sufficient: true };
-  }
+// Token the client paid with: the `asset` of the accepts entry it
+// echoes back (v2 `accepted`), or the Permit2 token. Absent = primary.
+function getPayloadAsset(paymentPayload) {
+  return paymentPayload.accepted?.asset
+    || paymentPayload.asset
+    || paymentPayload.payload?.permit2Authorization?.permitted?.token
+    || null;
 }
 
 function extractPaymentIdentifier(paymentPayload) {
@@ -216,17 +138,22 @@ function extractPaymentIdentifier(paymentPayload) {
 // ============================================================
 // EVM: Verify payment (local, no facilitator)
 // ============================================================
-async function verifyPaymentEvm(paymentPayload, routeConfig) {
+async function verifyPaymentEvm(paymentPayload, routeConfig, network) {
   const { authorization, signature } = paymentPayload.payload;
-  const network = SUPPORTED_NETWORKS[paymentPayload.network];
 
   if (!network) return { valid: false, reason: `Unsupported network: ${paymentPayload.network}` };
   if (paymentPayload.scheme !== 'exact') return { valid: false, reason: `Unsupported scheme: ${paymentPayload.scheme}` };
 
+  // The token's transfer method picks the path — verify, nonce key, gas
+  // and settlement alike. Tokens without EIP-3009 settle via Permit2 or
+  // EIP-2612 (see permit.js).
+  const mismatch = checkPayloadTransferMethod(paymentPayload, network);
+  if (mismatch) return { valid: false, reason: mismatch };
+  if (isPermitMethod(network)) return verifyPaymentPermit(paymentPayload, routeConfig, network);
+  if (!signature) return { valid: false, reason: 'Missing authorization or signature' };
+
   // Check amount
-  const basePriceAtomic = BigInt(routeConfig.priceAtomic);
-  const decimalDiff = network.token.decimals - 6;
-  const requiredAmount = decimalDiff > 0 ? basePriceAtomic * (10n ** BigInt(decimalDiff)) : basePriceAtomic;
+  const requiredAmount = BigInt(toTokenAmount(routeConfig.priceAtomic, network.token));
   if (BigInt(authorization.value) < requiredAmount) {
     return { valid: false, reason: `Insufficient payment: got ${authorization.value}, need ${requiredAmount}` };
   }
@@ -243,36 +170,43 @@ async function verifyPaymentEvm(paymentPayload, routeConfig) {
 
   // Check replay via Redis
   const existing = await getNonce(authorization.nonce);
+  if (existing?.status === 'submitted') return { valid: false, pending: existing, reason: `Settlement ${existing.txHash} is still in flight — retry later` };
   if (existing) return { valid: false, reason: `Nonce already used (${existing.status || 'unknown'})` };
 
-  // Verify EIP-712 signature
-  const domain = {
-    name: network.token.name,
-    version: network.token.version,
-    chainId: network.chainId,
-    verifyingContract: network.token.address,
-  };
-  const message = {
-    from: authorization.from,
-    to: authorization.to,
-    value: BigInt(authorization.value),
-    validAfter: BigInt(authorization.validAfter),
-    validBefore: BigInt(authorization.validBefore),
-    nonce: authorization.nonce,
-  };
+  // Replays outlive the Redis record (NONCE_CONFIRMED_TTL) — the token
+  // remembers every used authorization. Fail open: settlement would revert.
+  try {
+    if (await isAuthorizationUsed(network, authorization.from, authorization.nonce)) {
+      return { valid: false, reason: 'Authorization already used on-chain' };
+    }
+  } catch (err) {
+    console.warn(`[x402] authorizationState check failed (non-critical): ${err.shortMessage || err.message}`);
+  }
+
+  // Verify EIP-712 signature — EOA locally, smart wallets (EIP-1271,
+  // ERC-6492 counterfactual) through the chain's public client
+  const client = getPublicClient(network);
+  if (!client) return { valid: false, reason: `No RPC configured for ${paymentPayload.network}` };
 
   try {
-    const isValid = await verifyTypedData({
+    const isValid = await client.verifyTypedData({
       address: authorization.from,
-      domain, types: EIP712_TYPES,
-      primaryType: 'TransferWithAuthorization',
-      message, signature,
+      ...getTransferAuthorizationTypedData(authorization, network),
+      signature,
+      mode: 'eoa',
     });
     if (!isValid) return { valid: false, reason: 'Signature does not match sender' };
   } catch (err) {
     return { valid: false, reason: `Signature verification failed: ${err.message}` };
   }
 
+  // Smart wallets: dry-run settlement (token support, on-chain 1271 check)
+  try {
+    await simulateSmartWalletSettlement(paymentPayload, network);
+  } catch (err) {
+    return { valid: false, reason: `Smart wallet payment would not settle: ${err.shortMessage || err.message}` };
+  }
+
   // Balance check
   const balanceCheck = await checkBalance(network, authorization.from, requiredAmount);
   if (!balanceCheck.sufficient) {
@@ -285,37 +219,16 @@ async function verifyPaymentEvm(paymentPayload, routeConfig) {
 // ============================================================
 // EVM: Settle payment on-chain
 // ============================================================
-async function settlePaymentEvm(paymentPayload) {
-  const { authorization, signature } = paymentPayload.payload;
-  const network = SUPPORTED_NETWORKS[paymentPayload.network];
-  const rpcUrl = process.env[network.rpcEnvVar];
-
-  if (!rpcUrl) throw new Error(`No RPC URL for ${paymentPayload.network} (env: ${network.rpcEnvVar})`);
-
-  const chain = getViemChain(network);
-  const account = privateKeyToAccount(process.env.SETTLEMENT_PRIVATE_KEY);
+async function settlePaymentEvm(paymentPayload, network) {
+  const { authorization } = paymentPayload.payload;
 
-  const walletClient = createWalletClient({ account, chain, transport: http(rpcUrl) });
-  const publicClient = createPublicClient({ chain, transport: http(rpcUrl) });
+  const txHash = await submitTransferWithAuthorization(paymentPayload, network);
 
-  const { v, r, s } = parseSignature(signature);
+  // Follows fee-bump replacements; a pending error after the network's timeout
+  const receipt = await waitForSettlementReceipt(network, txHash);
+  console.log(`[x402] EVM settled: ${receipt.transactionHash} | block ${receipt.blockNumber} | payer ${authorization.from}`);
 
-  const txHash = await walletClient.writeContract({
-    address: network.token.address,
-    abi: ERC3009_ABI,
-    functionName: 'transferWithAuthorization',
-    args: [
-      authorization.from, authorization.to,
-      BigInt(authorization.value),
-      BigInt(authorization.validAfter), BigInt(authorization.validBefore),
-      authorization.nonce, Number(v), r, s,
-    ],
-  });
-
-  const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash, confirmations: 1 });
-  console.log(`[x402] EVM settled: ${txHash} | block ${receipt.blockNumber} | payer ${authorization.from}`);
-
-  return { txHash, network: paymentPayload.network, blockNumber: Number(receipt.blockNumber) };
+  return { txHash: receipt.transactionHash, network: paymentPayload.network, blockNumber: Number(receipt.blockNumber) };
 }
 
 // ============================================================
@@ -327,11 +240,7 @@ async function verifyPaymentSvm(paymentPayload, routeConfig, network) {
   const payTo = routeConfig.payToSol;
   if (!payTo) return { valid: false, reason: 'No Solana payTo address configured' };
 
-  const basePriceAtomic = BigInt(routeConfig.priceAtomic);
-  const decimalDiff = network.token.decimals - 6;
-  const amountRequired = decimalDiff > 0
-    ? (basePriceAtomic * (10n ** BigInt(decimalDiff))).toString()
-    : basePriceAtomic.toString();
+  const amountRequired = toTokenAmount(routeConfig.priceAtomic, network.token);
 
   const svmPayload = {
     payload: paymentPayload.payload,
@@ -363,11 +272,7 @@ async function settlePaymentSvm(paymentPayload, routeConfig, network) {
   const payTo = routeConfig.payToSol;
   if (!payTo) throw new Error('No Solana payTo address configured');
 
-  const basePriceAtomic = BigInt(routeConfig.priceAtomic);
-  const decimalDiff = network.token.decimals - 6;
-  const amountRequired = decimalDiff > 0
-    ? (basePriceAtomic * (10n ** BigInt(decimalDiff))).toString()
-    : basePriceAtomic.toString();
+  const amountRequired = toTokenAmount(routeConfig.priceAtomic, network.token);
 
   const svmPayload = {
     payload: paymentPayload.payload,
@@ -390,99 +295,31 @@ async function settlePaymentSvm(paymentPayload, routeConfig, network) {
 // Facilitator-based verify (EVM, external service)
 // ============================================================
 async function verifyPaymentViaFacilitator(paymentPayload, routeConfig, network) {
-  const { url, apiKeyEnv, networkName, facilitatorContract, x402Version } = network.facilitator;
-  const apiKey = process.env[apiKeyEnv];
-  if (!apiKey) return { valid: false, reason: `No API key for facilitator (env: ${apiKeyEnv})` };
-
-  const basePriceAtomic = BigInt(routeConfig.priceAtomic);
-  const decimalDiff = network.token.decimals - 6;
-  const amountRequired = decimalDiff > 0
-    ? (basePriceAtomic * (10n ** BigInt(decimalDiff))).toString()
-    : basePriceAtomic.toString();
-
-  const facilitatorNetwork = networkName || paymentPayload.network;
-  const facilitatorPayTo = facilitatorContract || routeConfig.payTo;
-
-  const body = {
-    paymentPayload: {
-      x402Version: x402Version || paymentPayload.x402Version || 2,
-      scheme: paymentPayload.scheme,
-      network: facilitatorNetwork,
-      payload: paymentPayload.payload,
-    },
-    paymentRequirements: {
-      scheme: 'exact', network: facilitatorNetwork,
-      maxAmountRequired: amountRequired, maxTimeoutSeconds: 3600,
-      payTo: facilitatorPayTo, asset: network.token.address,
-      resource: routeConfig.resource || '', description: routeConfig.description,
-      mimeType: routeConfig.mimeType, amount: amountRequired, recipient: facilitatorPayTo,
-    },
-  };
-
-  try {
-    console.log(`[x402] Facilitator verify: ${url}/verify | network: ${facilitatorNetwork}`);
-    const res = await fetch(`${url}/verify`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-      body: JSON.stringify(body),
-    });
-
-    const resText = await res.text();
-    let data;
-    try { data = JSON.parse(resText); } catch {
-      return { valid: false, reason: `Facilitator returned non-JSON (${res.status})` };
-    }
+  // The facilitator tracks its own nonces, but a payment it is still
+  // settling (or whose result was ambiguous) is only known here
+  const existing = await getNonce(getExactNonceKey(paymentPayload, network));
+  if (existing?.status === 'submitted') return { valid: false, pending: existing, reason: 'Settlement of this payment is still being reconciled — retry later' };
+  if (existing) return { valid: false, reason: `Nonce already used (${existing.status || 'unknown'})` };
 
-    if (!res.ok) return { valid: false, reason: `Facilitator error (${res.status}): ${data.error?.message || data.invalidReason || JSON.stringify(data)}` };
-    if (data.isValid) return { valid: true, payer: data.payer };
-    return { valid: false, reason: data.invalidReason || 'Facilitator rejected payment' };
-  } catch (err) {
-    return { valid: false, reason: `Facilitator verify failed: ${err.message}` };
-  }
+  console.log(`[x402] Facilitator verify: ${network.facilitator.url}/verify | network: ${network.facilitator.networkName || paymentPayload.network}`);
+  return verifyWithFacilitator(network, getFacilitatorRequest(paymentPayload, routeConfig, network));
 }
 
 // ============================================================
 // Facilitator-based settle (EVM, external service)
 // ============================================================
 async function settlePaymentViaFacilitator(paymentPayload, routeConfig, network) {
-  const { url, apiKeyEnv, networkName, facilitatorContract, x402Version } = network.facilitator;
-  const apiKey = process.env[apiKeyEnv];
-
-  const basePriceAtomic = BigInt(routeConfig.priceAtomic);
-  const decimalDiff = network.token.decimals - 6;
-  const amountRequired = decimalDiff > 0
-    ? (basePriceAtomic * (10n ** BigInt(decimalDiff))).toString()
-    : basePriceAtomic.toString();
+  const { url } = network.facilitator;
 
-  const facilitatorNetwork = networkName || paymentPayload.network;
-  const facilitatorPayTo = facilitatorContract || routeConfig.payTo;
-
-  const body = {
-    paymentPayload: {
-      x402Version: x402Version || paymentPayload.x402Version || 2,
-      scheme: paymentPayload.scheme,
-      network: facilitatorNetwork,
-      payload: paymentPayload.payload,
-    },
-    paymentRequirements: {
-      scheme: 'exact', network: facilitatorNetwork,
-      maxAmountRequired: amountRequired, maxTimeoutSeconds: 3600,
-      payTo: facilitatorPayTo, asset: network.token.address,
-      resource: routeConfig.resource || '', description: routeConfig.description,
-      mimeType: routeConfig.mimeType, amount: amountRequired, recipient: facilitatorPayTo,
-    },
-  };
-
-  console.log(`[x402] Facilitator settle: ${url}/settle | network: ${facilitatorNetwork}`);
-  const res = await fetch(`${url}/settle`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-    body: JSON.stringify(body),
-  });
-
-  const data = await res.json();
-  if (!res.ok || !data.success) {
-    throw new Error(`Facilitator settle failed: ${data.errorReason || data.error?.message || JSON.stringify(data)}`);
+  console.log(`[x402] Facilitator settle: ${url}/settle | network: ${network.facilitator.networkName || paymentPayload.network}`);
+  let data;
+  try {
+    data = await settleWithFacilitator(network, getFacilitatorRequest(paymentPayload, routeConfig, network));
+  } catch (err) {
+    // No usable answer — it may have settled. Treated like a stuck tx:
+    // the nonce stays reserved until nonce recovery reconciles it.
+    if (err.ambiguous) Object.assign(err, { pending: true, txHash: null });
+    throw err;
   }
 
   console.log(`[x402] Settled via facilitator: ${data.transaction} | network ${data.network}`);
@@ -494,11 +331,12 @@ async function settlePaymentViaFacilitator(paymentPayload, routeConfig, network)
 // ============================================================
 async function buildPaymentRequired(routeConfig, req, routeKey) {
   const resource = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-  const basePriceAtomic = BigInt(routeConfig.priceAtomic);
+
+  const routeNetworks = getRouteNetworks(routeConfig);
 
   // Get SVM fee payer if any SVM networks are active
   let svmFeePayerAddress = null;
-  const hasSvmNetworks = Object.values(SUPPORTED_NETWORKS).some(n => n.vm === 'svm');
+  const hasSvmNetworks = routeNetworks.some(n => n.vm === 'svm');
   if (hasSvmNetworks) {
     try {
       const { feePayerAddress } = await getSvmFacilitator();
@@ -508,13 +346,26 @@ async function buildPaymentRequired(routeConfig, req, routeKey) {
     }
   }
 
+  // upto needs the settlement account address as permit spender
+  let uptoAvailable = false;
+  if (isUptoRoute(routeConfig)) {
+    try {
+      getSettlementAccount();
+      uptoAvailable = true;
+    } catch (err) {
+      console.warn(`[x402] upto scheme unavailable, advertising exact: ${err.message}`);
+    }
+  }
+
   const accepts = [];
+  const prices = [];                       // { accept, priceAtomic } for the quote
+
+  for (const network of getRouteAssetViews(routeConfig)) {
+    // Dropped while no settlement wallet there can pay gas
+    if (!isNetworkFunded(network)) continue;
 
-  for (const network of Object.values(SUPPORTED_NETWORKS)) {
-    const decimalDiff = network.token.decimals - 6;
-    const amountRequired = decimalDiff > 0
-      ? (basePriceAtomic * (10n ** BigInt(decimalDiff))).toString()
-      : basePriceAtomic.toString();
+    const networkRouteConfig = applyNetworkPricing(routeConfig, network);
+    const amountRequired = toTokenAmount(networkRouteConfig.priceAtomic, network.token);
 
     if (isSvmNetwork(network)) {
       const payTo = routeConfig.payToSol;
@@ -528,21 +379,52 @@ async function buildPaymentRequired(routeConfig, req, routeKey) {
         payTo, asset: network.token.address,
         extra: { feePayer: svmFeePayerAddress },
       });
+    } else if (isUptoRoute(routeConfig) && !network.facilitator && uptoAvailable) {
+      accepts.push(buildUptoAccept(networkRouteConfig, network, resource));
     } else {
       const effectivePayTo = network.facilitator?.facilitatorContract || routeConfig.payTo;
+      let extra = { name: network.token.name, version: network.token.version };
+      if (!network.facilitator) {
+        try {
+          extra = buildExactAcceptExtra(network);
+        } catch (err) {
+          // Permit methods need the settlement account as spender
+          console.warn(`[x402] ${network.caip2} unavailable for ${getTransferMethod(network.token)}: ${err.message}`);
+          continue;
+        }
+      }
+      // Hidden while settlement gas would eat too much of the price
+      if (!network.facilitator && !(await isNetworkProfitable(routeKey, network, networkRouteConfig.priceAtomic, getTransferMethod(network.token)))) {
+        continue;
+      }
       accepts.push({
         scheme: 'exact', network: network.caip2,
         maxAmountRequired: amountRequired, amount: amountRequired,
         maxTimeoutSeconds: 3600, resource,
         description: routeConfig.description, mimeType: routeConfig.mimeType,
         payTo: effectivePayTo, asset: network.token.address,
-        extra: { name: network.token.name, version: network.token.version },
+        extra,
       });
     }
+    if (accepts.length > prices.length) prices.push({ accept: accepts.at(-1), priceAtomic: networkRouteConfig.priceAtomic });
+  }
+
+  // Label testnet entries so faucet tokens are never mistaken for payment
+  for (const accept of accepts) {
+    if (SUPPORTED_NETWORKS[accept.network]?.testnet) accept.extra = { ...accept.extra, testnet: true };
+  }
+
+  // Quote — bind the payment to this request and lock the price (see quote.js)
+  const quote = await issueQuote({ routeKey, routeConfig, req, prices });
+  if (quote) {
+    for (const accept of accepts) accept.extra = { ...accept.extra, quoteId: quote.id };
   }
 
   const extensions = {
     'payment-identifier': { supported: true, required: false },
+    ...(quote && { quote: buildQuoteExtension(quote, routeConfig) }),
+    ...(routeAcceptsBalance(routeConfig) && { 'prepaid-balance': buildBalanceExtension(req) }),
+    ...(isPassEnabled(routeConfig) && { 'access-pass': buildPassExtension(routeKey, routeConfig, req) }),
   };
 
   const headerPayload = {
@@ -566,27 +448,589 @@ async function buildPaymentRequired(routeConfig, req, routeKey) {
   return { headerBase64, body };
 }
 
-// ─── Credit System Helpers ──────────────────────────────────
+async function sendPaymentRequired(res, routeConfig, req, routeKey, error, reason) {
+  const { headerBase64, body } = await buildPaymentRequired(routeConfig, req, routeKey);
+  res.set('PAYMENT-REQUIRED', headerBase64);
+  return res.status(402).json({ ...body, error, reason });
+}
 
-function isCreditSystemEnabled() {
-  return process.env.ENABLE_CREDIT_SYSTEM === 'true';
+// ─── Exact Settlement Helpers ──────────────────────────────
+
+// Replay key for an exact payment. Facilitators enforce nonces too,
+// but the reservation here stops concurrent submissions of one payload.
+function getExactNonceKey(paymentPayload, network) {
+  if (isSvmNetwork(network)) {
+    const txData = paymentPayload.payload?.transaction;
+    return txData ? 'svm:' + crypto.createHash('sha256').update(txData).digest('hex') : null;
+  }
+  if (network.facilitator) {
+    const authorization = paymentPayload.payload?.authorization;
+    if (authorization?.nonce && authorization.from) {
+      return `facilitator:${network.chainId}:${authorization.from.toLowerCase()}:${authorization.nonce}`;
+    }
+    return `facilitator:${network.chainId}:` + crypto.createHash('sha256').update(JSON.stringify(paymentPayload.payload ?? null)).digest('hex');
+  }
+  return isPermitMethod(network) ? getPermitNonceKey(paymentPayload, network) : paymentPayload.payload?.authorization?.nonce;
 }
 
-function getCreditConfig(routeConfig) {
+// Nonce record metadata. It carries what crash recovery needs to check
+// the payment (src/settlement/recovery.js): asset, the SVM transaction,
+// or the facilitator request to re-verify
+function getExactNonceMeta({ paymentPayload, routeConfig, network, payerAddress, routeKey }) {
+  const svm = isSvmNetwork(network);
   return {
-    creditOnStatusCodes: routeConfig.creditOnStatusCodes || CREDIT_DEFAULTS.creditOnStatusCodes,
-    maxCreditsPerPayer: routeConfig.maxCreditsPerPayer ?? CREDIT_DEFAULTS.maxCreditsPerPayer,
-    creditTtl: routeConfig.creditTtl ?? CREDIT_DEFAULTS.creditTtl,
+    network: paymentPayload.network,
+    asset: network.token.address,
+    payer: payerAddress,
+    route: routeKey, vm: svm ? 'svm' : 'evm',
+    ...(routeConfig.quoteId && { quoteId: routeConfig.quoteId }),
+    ...(svm && { transaction: paymentPayload.payload.transaction }),
+    ...(network.facilitator && {
+      facilitator: network.facilitator.url,
+      facilitatorRequest: getFacilitatorRequest(paymentPayload, routeConfig, network),
+    }),
+  };
+}
+
+// Surplus of a local EIP-3009 payment signed above the price, in
+// token units, and how it is handled — null if there is none
+// (see src/settlement/overpayment.js)
+function getExactOverpayment(paymentPayload, routeConfig, network) {
+  const authorization = paymentPayload.payload?.authorization;
+  if (routeConfig.overpayment === false || !authorization) return null;
+  if (isSvmNetwork(network) || network.facilitator || isPermitMethod(network)) return null;
+  const amount = getOverpaidAmount(authorization.value, routeConfig.priceAtomic, network.token);
+  return amount > 0n ? { amount: amount.toString(), mode: getOverpaymentMode(routeConfig) } : null;
+}
+
+// queueContext ({ payer, routeKey }) allows handing local EIP-3009
+// settlements to the async queue when SETTLEMENT_QUEUE=true
+async function settleExactPayment(paymentPayload, enrichedRouteConfig, network, queueContext = null) {
+  if (isSvmNetwork(network)) return settlePaymentSvm(paymentPayload, enrichedRouteConfig, network);
+  if (network.facilitator) return settlePaymentViaFacilitator(paymentPayload, enrichedRouteConfig, network);
+
+  if (isPermitMethod(network)) return settlePaymentPermit(paymentPayload, enrichedRouteConfig, network);
+
+  if (queueContext && isSettlementQueueEnabled()) {
+    const overpayment = getExactOverpayment(paymentPayload, enrichedRouteConfig, network);
+    const queued = await enqueueSettlement({ paymentPayload, network, ...queueContext, overpayment });
+    if (queued) return queued;
+    console.warn('[x402] Settlement queue unavailable, settling inline');
+  }
+  return settlePaymentEvm(paymentPayload, network);
+}
+
+// Gas guard for a verified local EVM payment (see src/settlement/gas.js).
+// EIP-3009 payments get a real gas estimate, plus the deployment of a
+// counterfactual smart wallet; permits use the default.
+async function checkPaymentGasCost(paymentPayload, routeConfig, network) {
+  if (!isGasGuardEnabled() || isSvmNetwork(network) || network.facilitator) return { ok: true };
+
+  if (isPermitMethod(network)) {
+    const gasUnits = getDefaultSettlementGas(getTransferMethod(network.token));
+    return checkSettlementCost(network, routeConfig.priceAtomic, gasUnits);
+  }
+
+  const { authorization } = paymentPayload.payload;
+  const estimate = await estimateTransferWithAuthorizationGas(paymentPayload, network).catch(() => null);
+  const gasUnits = (estimate?.deploymentGas ?? 0n) + (estimate?.transferGas ?? getDefaultSettlementGas());
+  return checkSettlementCost(network, toUsdAtomic(authorization.value, network.token), gasUnits);
+}
+
+// Confirm the nonce, handle any overpayment, set PAYMENT-RESPONSE,
+// cache for idempotency and expose the payment on res.locals.x402
+async function recordExactSettlement({ res, routeKey, routeConfig, network, paymentPayload, idempotency, payerAddress, nonceKey, settlement }) {
+  // Queued settlements apply it once the worker has settled them
+  const overpaid = getExactOverpayment(paymentPayload, routeConfig, network);
+  const overpayment = overpaid && (settlement.queued
+    ? describeOverpayment(network, overpaid)
+    : await applyOverpayment({ payer: settlement.payer || payerAddress, network, ...overpaid }));
+
+  if (nonceKey) {
+    // Queued settlements are confirmed later by the settlement worker
+    const recordNonce = settlement.queued ? setNonceQueued : setNonceConfirmed;
+    await recordNonce(nonceKey, {
+      txHash: settlement.txHash, network: settlement.network,
+      blockNumber: settlement.blockNumber,
+      payer: settlement.payer || payerAddress,
+      route: routeKey, vm: isSvmNetwork(network) ? 'svm' : 'evm',
+      ...(routeConfig.quoteId && { quoteId: routeConfig.quoteId }),
+      ...(overpayment && { overpaidAtomic: overpayment.amountUsdAtomic }),
+      ...(settlement.facilitator && { facilitator: settlement.facilitator }),
+    });
+  }
+
+  const paymentResponseData = {
+    success: true, txHash: settlement.txHash,
+    network: settlement.network, blockNumber: settlement.blockNumber,
+    ...(settlement.queued && { status: 'queued', settlementId: settlement.settlementId }),
+    ...(settlement.facilitator && { facilitator: settlement.facilitator }),
+    ...(overpayment && { overpayment }),
+  };
+
+  const paymentResponseHeader = Buffer.from(JSON.stringify(paymentResponseData)).toString('base64');
+  res.set('PAYMENT-RESPONSE', paymentResponseHeader);
+
+  // Cache for idempotency
+  await cacheIdempotentPayment(idempotency, settlement.payer || payerAddress, { paymentResponseHeader, settlement: paymentResponseData });
+
+  res.locals.x402 = {
+    ...res.locals.x402,
+    payer: settlement.payer || payerAddress,
+    payment: {
+      network: paymentPayload.network,
+      asset: network.token.address,
+      amount: settlement.amount || paymentPayload.payload?.authorization?.value || toTokenAmount(routeConfig.priceAtomic, network.token),
+      txHash: settlement.txHash,
+    },
+  };
+}
+
+// ─── Pending Settlements ────────────────────────────────────
+// A settlement tx broadcast but not mined within the network's
+// timeout (see waitForSettlementReceipt in src/utils/evm.js) may
+// still land, so it is neither retried nor released: the client
+// gets a 504 with the tx hash and should retry the same payment
+// later instead of paying again. The nonce stays reserved as
+// `submitted` until the tx lands (`confirmed`, final tx hash) or is
+// given up on (`failed`). Payments with a payment-identifier are
+// cached for idempotency once confirmed, so the retry is served.
+// A facilitator that gave no usable answer is handled the same way,
+// with no tx to follow: nonce recovery reconciles the record.
+// A settlement that failed before anything was broadcast is a 402.
+
+const PENDING_RETRY_AFTER_SECONDS = 30;
+
+function sendSettlementPending(res, { txHash, network, reason }) {
+  const paymentResponseData = { success: false, status: 'pending', txHash, network };
+  res.set('PAYMENT-RESPONSE', Buffer.from(JSON.stringify(paymentResponseData)).toString('base64'));
+  res.set('Retry-After', String(PENDING_RETRY_AFTER_SECONDS));
+  return res.status(504).json({ error: 'Settlement pending', reason, txHash, network, status: 'pending' });
+}
+
+// nonceMeta is the nonce record's metadata (network, payer, route, ...);
+// responseExtra is merged into the cached PAYMENT-RESPONSE
+async function handlePendingSettlement(res, { err, nonceKey, nonceMeta, idempotency, responseExtra = {} }) {
+  if (nonceKey) await setNonceSubmitted(nonceKey, { ...nonceMeta, txHash: err.txHash });
+  console.warn(`[x402] Settlement pending: ${err.message} | payer ${nonceMeta.payer}`);
+
+  err.waitForReceipt?.().then(async receipt => {
+    if (receipt.status !== 'success') throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+    const settlement = { txHash: receipt.transactionHash, network: nonceMeta.network, blockNumber: Number(receipt.blockNumber) };
+    if (nonceKey) await setNonceConfirmed(nonceKey, { ...nonceMeta, ...settlement });
+    if (idempotency) {
+      const paymentResponseData = { success: true, ...responseExtra, ...settlement };
+      const paymentResponseHeader = Buffer.from(JSON.stringify(paymentResponseData)).toString('base64');
+      await cacheIdempotentPayment(idempotency, nonceMeta.payer, { paymentResponseHeader, settlement: paymentResponseData });
+      // The client got a 504, not the backend response
+      await setIdempotencyUndelivered(idempotency.paymentId);
+    }
+    console.log(`[x402] Late settlement confirmed: ${settlement.txHash} | block ${settlement.blockNumber} | payer ${nonceMeta.payer}`);
+  }).catch(async finalErr => {
+    if (nonceKey) await setNonceFailed(nonceKey, { ...nonceMeta, txHash: err.txHash, reason: finalErr.message });
+    console.error(`[x402] Pending settlement failed: ${finalErr.message}`);
+  });
+
+  return sendSettlementPending(res, {
+    txHash: err.txHash, network: nonceMeta.network,
+    reason: `${err.message}. It may still settle — retry this payment later instead of paying again`,
+  });
+}
+
+// Backend statuses that count as success for settleOnSuccess routes
+function isSettleableStatus(routeConfig, status) {
+  if (Array.isArray(routeConfig.successStatusCodes)) return routeConfig.successStatusCodes.includes(status);
+  return status >= 200 && status < 300;
+}
+
+// ─── Idempotency Helpers ────────────────────────────────────
+// A payment-identifier entry only answers the payment it was made
+// for: same payer, route and request (method, URL and body). A retry
+// with the identical signed payload is served straight away; a
+// re-signed payload under the same id must first verify as the same
+// payer, and is never settled. Anything else is a 409. The backend
+// response is stored when it arrives and replayed on later retries
+// without calling the backend again. Until it is stored the retry
+// gets a 409 `Payment in progress` with Retry-After — except once
+// for a settlement that landed late (the client got a 504), whose
+// first retry is forwarded to the backend. A response too large to
+// store is answered with a 410 on replay.
+
+const DEFAULT_IDEMPOTENCY_MAX_RESPONSE_BYTES = 262144;
+const IDEMPOTENCY_RETRY_AFTER_SECONDS = 5;
+
+function getRequestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+function getIdempotencyContext(req, routeKey, paymentPayload, paymentId) {
+  return {
+    paymentId,
+    route: routeKey,
+    fingerprint: getRequestFingerprint(req),
+    payloadHash: crypto.createHash('sha256').update(JSON.stringify(paymentPayload.payload ?? null)).digest('hex'),
+  };
+}
+
+// Why a cached entry can't answer this request, or null
+function getIdempotencyMismatch(cached, idempotency, payer = null) {
+  if (cached.route !== idempotency.route) return 'it was used on another route';
+  if (cached.fingerprint !== idempotency.fingerprint) return 'it was used for a different request';
+  if (payer && cached.payer?.toLowerCase() !== payer.toLowerCase()) return 'it belongs to another payer';
+  return null;
+}
+
+function sendIdempotencyConflict(res, paymentId, mismatch) {
+  console.warn(`[x402] Idempotency conflict: ${paymentId.slice(0, 16)}... — ${mismatch}`);
+  return res.status(409).json({
+    error: 'Idempotency conflict',
+    reason: `payment-identifier ${paymentId} can't be reused: ${mismatch}`,
+  });
+}
+
+function cacheIdempotentPayment(idempotency, payer, responseData) {
+  if (!idempotency) return;
+  const { paymentId, ...binding } = idempotency;
+  return setIdempotencyCache(paymentId, responseData, { ...binding, payer });
+}
+
+// Store the backend response of a settled request (see proxyToBackend)
+function captureBackendResponse(res, idempotency) {
+  if (!idempotency) return;
+  const maxBytes = parseInt(process.env.IDEMPOTENCY_MAX_RESPONSE_BYTES, 10) || DEFAULT_IDEMPOTENCY_MAX_RESPONSE_BYTES;
+  res.locals.x402 = {
+    ...res.locals.x402,
+    afterResponse: ({ status, headers, body }) => {
+      if (Buffer.byteLength(body) > maxBytes) {
+        console.warn(`[x402] Response not cached for replay (${Buffer.byteLength(body)} bytes > ${maxBytes}): ${idempotency.paymentId.slice(0, 16)}...`);
+        return setIdempotencyResponse(idempotency.paymentId, { status, headers, body: null, bytes: Buffer.byteLength(body) });
+      }
+      return setIdempotencyResponse(idempotency.paymentId, { status, headers, body });
+    },
+  };
+}
+
+// Answer a retry from its idempotency entry — never by calling the
+// backend again, unless a late settlement left it undelivered
+async function serveIdempotentPayment({ res, next, cached, idempotency, payer, options }) {
+  console.log(`[x402] Idempotency hit: ${idempotency.paymentId.slice(0, 16)}...`);
+  if (cached.response?.paymentResponseHeader) {
+    res.set('PAYMENT-RESPONSE', cached.response.paymentResponseHeader);
+  }
+  res.set('X-x402-Replay', 'true');
+
+  // A replayed purchase was already fulfilled — never fulfil it twice
+  if (options.purchase) {
+    return res.json({ success: true, replayed: true, settlement: cached.response?.settlement });
+  }
+
+  const stored = cached.backendResponse;
+  if (stored?.body === null) {
+    return res.status(410).json({
+      error: 'Response not replayable',
+      reason: `The backend answered ${stored.status} with ${stored.bytes} bytes, too large to store for replay`,
+    });
+  }
+  if (stored) return res.status(stored.status).set(stored.headers).send(stored.body);
+
+  if (await claimIdempotentDelivery(idempotency.paymentId)) {
+    console.log(`[x402] Delivering late-settled payment: ${idempotency.paymentId.slice(0, 16)}...`);
+    res.locals.x402 = { payer };
+    captureBackendResponse(res, idempotency);
+    return next();
+  }
+
+  res.set('Retry-After', String(IDEMPOTENCY_RETRY_AFTER_SECONDS));
+  return res.status(409).json({
+    error: 'Payment in progress',
+    reason: `The request for payment-identifier ${idempotency.paymentId} hasn't finished — retry later`,
+  });
+}
+
+// ============================================================
+// upto: verify + reserve now, settle once the backend reports usage
+// ============================================================
+async function handleUptoPayment({ req, res, next, routeKey, routeConfig, network, paymentPayload, idempotency }) {
+  const rejectWith = (error, reason) => sendPaymentRequired(res, routeConfig, req, routeKey, error, reason);
+
+  if (!isUptoRoute(routeConfig) || isSvmNetwork(network) || network.facilitator) {
+    return rejectWith('Unsupported scheme', `Scheme "upto" is not accepted for this route on ${paymentPayload.network}`);
+  }
+
+  const pricedRouteConfig = applyNetworkPricing(routeConfig, network);
+  const verification = await verifyPaymentUpto(paymentPayload, pricedRouteConfig, network);
+  if (!verification.valid) {
+    console.warn(`[x402] Verification failed (upto): ${verification.reason}`);
+    return rejectWith('Payment verification failed', verification.reason);
+  }
+
+  const payerAddress = verification.payer;
+  const nonceKey = getUptoNonceKey(paymentPayload, network);
+  const acquired = await setNoncePending(nonceKey, {
+    network: paymentPayload.network, payer: payerAddress,
+    route: routeKey, vm: 'evm', scheme: 'upto',
+  });
+  if (!acquired) {
+    return res.status(402).json({
+      error: 'Payment verification failed',
+      reason: 'Nonce already used or settlement in progress',
+    });
+  }
+
+  // Release the reservation if the backend was never reached or the
+  // call failed (backendFailed). A client that disconnects once the
+  // request is proxied leaves it held: the backend call is still in
+  // flight and beforeResponse may yet settle.
+  let finalized = false;
+  let proxied = false;
+  const release = () => {
+    if (finalized) return;
+    finalized = true;
+    deleteNonce(nonceKey);
+  };
+  res.on('close', () => {
+    if (proxied && !res.writableFinished) return;
+    release();
+  });
+
+  res.locals.x402 = {
+    payer: payerAddress,
+    backendFailed: release,
+    // Called by proxyToBackend with the backend outcome, before anything is sent.
+    // Returns false after sending an error response in place of the backend's.
+    beforeResponse: async ({ status, headers }) => {
+      finalized = true;
+      const amount = getUsageAmount(pricedRouteConfig, network, status, headers, verification.maxAmount);
+
+      try {
+        let settlement;
+        if (amount > 0n) {
+          settlement = await settlePaymentUpto(paymentPayload, pricedRouteConfig, network, amount);
+        } else {
+          // Nothing consumed — the permit is never submitted on-chain
+          settlement = { txHash: null, network: paymentPayload.network, blockNumber: null, amount: '0' };
+        }
+
+        await setNonceConfirmed(nonceKey, {
+          txHash: settlement.txHash, network: settlement.network,
+          blockNumber: settlement.blockNumber, amount: settlement.amount,
+          payer: payerAddress, route: routeKey, vm: 'evm', scheme: 'upto',
+        });
+
+        const paymentResponseData = {
+          success: true, scheme: 'upto', txHash: settlement.txHash,
+          network: settlement.network, blockNumber: settlement.blockNumber,
+          amount: settlement.amount, maxAmount: verification.maxAmount.toString(),
+        };
+        const paymentResponseHeader = Buffer.from(JSON.stringify(paymentResponseData)).toString('base64');
+        res.set('PAYMENT-RESPONSE', paymentResponseHeader);
+
+        await cacheIdempotentPayment(idempotency, payerAddress, { paymentResponseHeader, settlement: paymentResponseData });
+        return true;
+      } catch (err) {
+        if (err.pending) {
+          await handlePendingSettlement(res, {
+            err, nonceKey, idempotency,
+            nonceMeta: { network: paymentPayload.network, amount: amount.toString(), payer: payerAddress, route: routeKey, vm: 'evm', scheme: 'upto' },
+            responseExtra: { scheme: 'upto', amount: amount.toString(), maxAmount: verification.maxAmount.toString() },
+          });
+          return false;
+        }
+        await deleteNonce(nonceKey);
+        console.error(`[x402] upto settlement failed:`, err.message);
+        res.status(402).json({ error: 'Payment settlement failed', reason: err.message });
+        return false;
+      }
+    },
+  };
+  captureBackendResponse(res, idempotency);
+
+  proxied = true;
+  next();
+}
+
+// ============================================================
+// balance: draw the price down from a prepaid deposit
+// ============================================================
+async function handleBalancePayment({ req, res, next, routeKey, routeConfig, paymentPayload }) {
+  const rejectWith = (error, reason) => sendPaymentRequired(res, routeConfig, req, routeKey, error, reason);
+
+  if (!routeAcceptsBalance(routeConfig)) {
+    return rejectWith('Unsupported scheme', 'Scheme "balance" is not accepted for this route');
+  }
+
+  const verification = await verifyBalanceAuthorization(paymentPayload, routeConfig, req);
+  if (!verification.valid) {
+    console.warn(`[x402] Verification failed (balance): ${verification.reason}`);
+    return rejectWith('Payment verification failed', verification.reason);
+  }
+
+  const payerAddress = verification.payer;
+  const nonceKey = getBalanceNonceKey(payerAddress, paymentPayload.payload.authorization.nonce);
+  const acquired = await setNoncePending(nonceKey, { payer: payerAddress, route: routeKey, scheme: 'balance' });
+  if (!acquired) {
+    return res.status(402).json({
+      error: 'Payment verification failed',
+      reason: 'Nonce already used or settlement in progress',
+    });
+  }
+
+  const balance = await debitBalance(payerAddress, routeConfig.priceAtomic);
+  if (balance < 0) {
+    await deleteNonce(nonceKey);
+    return rejectWith('Insufficient prepaid balance', `Balance does not cover ${routeConfig.price}; deposit more or pay per request`);
+  }
+
+  await setNonceConfirmed(nonceKey, {
+    payer: payerAddress, route: routeKey, scheme: 'balance', amount: routeConfig.priceAtomic,
+  });
+  console.log(`[x402] Balance debited: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | -${routeConfig.priceAtomic} | remaining: ${balance}`);
+
+  const paymentResponseData = { success: true, scheme: 'balance', amount: routeConfig.priceAtomic, balance: String(balance) };
+  res.set('PAYMENT-RESPONSE', Buffer.from(JSON.stringify(paymentResponseData)).toString('base64'));
+  res.set('X-x402-Balance', String(balance));
+  res.locals.x402 = { payer: payerAddress };
+
+  // Backend failures are not charged — same rule as upto
+  res.on('finish', () => {
+    if (res.statusCode < 500) return;
+    creditBalance(payerAddress, routeConfig.priceAtomic).then(refunded => {
+      if (refunded >= 0) console.log(`[x402] Balance refunded: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | backend ${res.statusCode}`);
+    });
+  });
+
+  next();
+}
+
+// ============================================================
+// settleOnSuccess: verify + reserve now, settle only if the
+// backend succeeds — a failed call is never charged
+// ============================================================
+async function handleSettleOnSuccess({ req, res, next, routeKey, routeConfig, baseRouteConfig, enrichedRouteConfig, network, paymentPayload, idempotency, payerAddress }) {
+  const gasCheck = await checkPaymentGasCost(paymentPayload, routeConfig, network);
+  if (!gasCheck.ok) {
+    console.warn(`[x402] Gas guard: ${gasCheck.reason}`);
+    return sendPaymentRequired(res, baseRouteConfig, req, routeKey, 'Settlement too expensive', gasCheck.reason);
+  }
+
+  const nonceKey = getExactNonceKey(paymentPayload, network);
+  // Flagged so nonce recovery leaves it alone while the backend call runs
+  const nonceMeta = { ...getExactNonceMeta({ paymentPayload, routeConfig: enrichedRouteConfig, network, payerAddress, routeKey }), settleOnSuccess: true };
+  if (nonceKey && !(await setNoncePending(nonceKey, nonceMeta))) {
+    return res.status(402).json({
+      error: 'Payment verification failed',
+      reason: 'Nonce already used or settlement in progress',
+    });
+  }
+
+  // Release the reservation unless the backend answers: the client
+  // went away before it was reached, or the call failed (backendFailed).
+  // A client that disconnects mid-call leaves it to the outcome.
+  let finalized = false;
+  let proxied = false;
+  const release = () => {
+    if (!nonceKey || finalized) return;
+    finalized = true;
+    deleteNonce(nonceKey);
   };
+  res.on('close', () => {
+    if (proxied && !res.writableFinished) return;
+    release();
+  });
+
+  res.locals.x402 = {
+    payer: payerAddress,
+    // Called by the route handler when the backend call throws — there
+    // is no outcome to settle on, whether or not the client is still there
+    backendFailed: release,
+    // Called by proxyToBackend with the backend outcome, before anything is sent.
+    // Returns false after sending an error response in place of the backend's.
+    beforeResponse: async ({ status }) => {
+      finalized = true;
+
+      if (!isSettleableStatus(routeConfig, status)) {
+        // Discard the authorization — it is never submitted on-chain
+        if (nonceKey) await deleteNonce(nonceKey);
+        console.log(`[x402] Settlement skipped: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | backend ${status}`);
+        res.set('X-x402-Settlement', 'skipped');
+        return true;
+      }
+
+      try {
+        const settlement = await settleExactPayment(paymentPayload, enrichedRouteConfig, network, { payer: payerAddress, routeKey });
+        await recordExactSettlement({ res, routeKey, routeConfig: enrichedRouteConfig, network, paymentPayload, idempotency, payerAddress, nonceKey, settlement });
+        return true;
+      } catch (err) {
+        if (err.pending) {
+          await handlePendingSettlement(res, { err, nonceKey, nonceMeta, idempotency });
+          return false;
+        }
+        if (nonceKey) await deleteNonce(nonceKey);
+        console.error(`[x402] Settlement failed:`, err.message);
+        res.status(402).json({ error: 'Payment settlement failed', reason: err.message });
+        return false;
+      }
+    },
+  };
+  captureBackendResponse(res, idempotency);
+
+  proxied = true;
+  next();
+}
+
+// ============================================================
+// pass: bearer token bought earlier at /v1/pass/{key}
+// ============================================================
+async function handlePassAccess({ req, res, next, routeKey, routeConfig, passToken }) {
+  const verification = verifyPassToken(passToken, routeKey);
+  if (!verification.valid) {
+    console.warn(`[x402] Pass rejected: ${verification.reason}`);
+    return sendPaymentRequired(res, routeConfig, req, routeKey, 'Invalid access pass', verification.reason);
+  }
+
+  const { sub: payerAddress, jti, calls, exp } = verification.claims;
+  if (calls) {
+    const remaining = await consumePassCall(jti);
+    if (remaining < 0) {
+      return sendPaymentRequired(res, routeConfig, req, routeKey, 'Access pass exhausted', 'Pass call budget is used up');
+    }
+    res.set('X-x402-Pass-Remaining', String(remaining));
+  }
+
+  res.set('X-x402-Pass-Expires', new Date(exp * 1000).toISOString());
+  res.locals.x402 = { payer: payerAddress };
+
+  next();
 }
 
 // ============================================================
 // Express middleware factory
+//
+// options.getRouteConfig(req) — build the route config per
+//   request instead of reading ROUTE_CONFIG[routeKey]
+// options.purchase — the payment buys something the next handler
+//   issues (prepaid deposits, access passes): no credits, and the
+//   settled payment is exposed on res.locals.x402.payment
 // ============================================================
-export function x402PaymentMiddleware(routeKey) {
+export function x402PaymentMiddleware(routeKey, options = {}) {
   return async (req, res, next) => {
-    const routeConfig = ROUTE_CONFIG[routeKey];
-    if (!routeConfig) return res.status(500).json({ error: `Unknown route: ${routeKey}` });
+    const baseRouteConfig = options.getRouteConfig ? options.getRouteConfig(req) : ROUTE_CONFIG[routeKey];
+    if (!baseRouteConfig) return res.status(500).json({ error: `Unknown route: ${routeKey}` });
+    // The route as admitted — the handler proxies with it even if a
+    // config reload changes or removes the route mid-request
+    res.locals.routeConfig = baseRouteConfig;
+
+    // Resolve the price for this request (pricing rules may override the route default)
+    const { price, priceAtomic } = resolveRoutePrice(baseRouteConfig, req);
+    const routeConfig = { ...baseRouteConfig, price, priceAtomic };
+
+    // Access pass — replaces the payment header until it expires or runs out
+    const passToken = req.headers[PASS_HEADER];
+    if (passToken && isPassEnabled(routeConfig)) {
+      return handlePassAccess({ req, res, next, routeKey, routeConfig, passToken });
+    }
 
     // Check for payment header
     const paymentHeader = req.headers['payment-signature'] || req.headers['x-payment'];
@@ -597,7 +1041,7 @@ export function x402PaymentMiddleware(routeKey) {
       return res.status(402).json({
         ...body,
         error: 'Payment required',
-        message: `This endpoint requires ${routeConfig.price} USDC. See accepts array for supported networks.`,
+        message: `This endpoint requires ${routeConfig.price}. See accepts array for supported networks and assets.`,
       });
     }
 
@@ -609,35 +1053,93 @@ export function x402PaymentMiddleware(routeKey) {
       return res.status(400).json({ error: 'Invalid payment payload encoding' });
     }
 
-    // Idempotency check
+    // Idempotency check — see Idempotency Helpers
     const paymentId = extractPaymentIdentifier(paymentPayload);
-    if (paymentId) {
-      const cached = await getIdempotencyCache(paymentId);
-      if (cached) {
-        console.log(`[x402] Idempotency hit: ${paymentId.slice(0, 16)}...`);
-        if (cached.response?.paymentResponseHeader) {
-          res.set('PAYMENT-RESPONSE', cached.response.paymentResponseHeader);
-        }
-        return next();
+    const idempotency = paymentId ? getIdempotencyContext(req, routeKey, paymentPayload, paymentId) : null;
+    const cached = idempotency && (await getIdempotencyCache(paymentId));
+    if (cached) {
+      const mismatch = getIdempotencyMismatch(cached, idempotency);
+      if (mismatch) return sendIdempotencyConflict(res, paymentId, mismatch);
+      if (cached.payloadHash === idempotency.payloadHash) {
+        return serveIdempotentPayment({ res, next, cached, idempotency, payer: cached.payer, options });
+      }
+      // A re-signed payment under a used id is served from the entry
+      // once it verifies as the same payer (below) — never settled
+      if (paymentPayload.scheme !== 'exact') {
+        return sendIdempotencyConflict(res, paymentId, 'it was used for a different payment');
       }
     }
 
+    // Prepaid balance — no network, nothing settles on-chain
+    if (paymentPayload.scheme === 'balance') {
+      return handleBalancePayment({ req, res, next, routeKey, routeConfig, paymentPayload });
+    }
+
     // Resolve network
-    const network = SUPPORTED_NETWORKS[paymentPayload.network];
-    if (!network) {
+    const supportedNetwork = SUPPORTED_NETWORKS[paymentPayload.network];
+    if (!supportedNetwork) {
       return res.status(402).json({
         error: 'Unsupported network',
         reason: `Network ${paymentPayload.network} is not supported`,
       });
     }
 
+    // Route network allow-list; testnet payments never unlock mainnet routes (and vice versa)
+    if (!getRouteNetworks(routeConfig).includes(supportedNetwork)) {
+      const kind = supportedNetwork.testnet ? 'testnet' : 'mainnet';
+      const routeTestnet = routeConfig.testnet ?? getNetworkMode() === 'testnet';
+      const reason = !routeConfig.allowMixedNetworks && !!supportedNetwork.testnet !== !!routeTestnet
+        ? `${paymentPayload.network} is a ${kind}; this route does not accept ${kind} payments`
+        : `${paymentPayload.network} is not accepted on this route`;
+      return sendPaymentRequired(res, routeConfig, req, routeKey, 'Unsupported network', reason);
+    }
+
+    if (!isNetworkFunded(supportedNetwork)) {
+      return sendPaymentRequired(res, routeConfig, req, routeKey, 'Network unavailable',
+        `Settlement on ${paymentPayload.network} is temporarily unavailable; pay on another network`);
+    }
+
+    // Resolve the token paid with — network.token is that asset from here on
+    const network = selectNetworkAsset(supportedNetwork, getPayloadAsset(paymentPayload));
+    if (!network || !isRouteAsset(routeConfig, network.token)) {
+      return sendPaymentRequired(res, routeConfig, req, routeKey, 'Unsupported asset',
+        `Asset ${getPayloadAsset(paymentPayload) || network?.token.address} is not accepted on ${paymentPayload.network}`);
+    }
+
+    // Quote from the 402 this payment answers — same request, not expired
+    const quoteCheck = await checkPaymentQuote({ paymentPayload, routeKey, routeConfig, req, network });
+    if (!quoteCheck.valid) {
+      console.warn(`[x402] Quote rejected: ${quoteCheck.reason}`);
+      return sendPaymentRequired(res, routeConfig, req, routeKey, 'Invalid quote', quoteCheck.reason);
+    }
+    const { quote } = quoteCheck;
+
+    // Price on the network paid on (networkPricing), or the quoted price
+    // while the quote lasts. 402 responses are still built from
+    // routeConfig, which prices every network itself.
+    const pricedRouteConfig = applyQuotedPrice(applyNetworkPricing(routeConfig, network), quote);
+
+    // Usage-based "upto" scheme — settled after the backend reports usage
+    if (paymentPayload.scheme === 'upto') {
+      return handleUptoPayment({ req, res, next, routeKey, routeConfig, network, paymentPayload, idempotency });
+    }
+
+    // Credits cover the rest of an authorization signed below the price
+    // (see src/middleware/credit.js) — it's verified and settled at what's left
+    const creditEnabled = isCreditSystemEnabled() && !options.purchase;
+    const creditShortfall = creditEnabled && !routeConfig.settleOnSuccess
+      ? await getCreditShortfall({ routeConfig, networkRouteConfig: pricedRouteConfig, network, paymentPayload })
+      : 0n;
+    const networkRouteConfig = applyCreditShortfall(pricedRouteConfig, creditShortfall);
+
     // Determine payment path
     const useSvm = isSvmNetwork(network);
     const useEvmFacilitator = !useSvm && !!network.facilitator;
 
     const enrichedRouteConfig = {
-      ...routeConfig,
+      ...networkRouteConfig,
       resource: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      ...(quote && { quoteId: quote.id }),
     };
 
     // Verify payment
@@ -647,7 +1149,12 @@ export function x402PaymentMiddleware(routeKey) {
     } else if (useEvmFacilitator) {
       verification = await verifyPaymentViaFacilitator(paymentPayload, enrichedRouteConfig, network);
     } else {
-      verification = await verifyPaymentEvm(paymentPayload, routeConfig);
+      verification = await verifyPaymentEvm(paymentPayload, networkRouteConfig, network);
+    }
+
+    // Retry of a payment whose settlement tx is still in flight
+    if (verification.pending) {
+      return sendSettlementPending(res, { txHash: verification.pending.txHash, network: paymentPayload.network, reason: verification.reason });
     }
 
     if (!verification.valid) {
@@ -665,129 +1172,129 @@ export function x402PaymentMiddleware(routeKey) {
       || paymentPayload.payload?.authorization?.from
       || 'unknown';
 
-    // ── Credit check — consume credit if available ───────────
-    let creditConsumed = false;
+    if (cached) {
+      const mismatch = getIdempotencyMismatch(cached, idempotency, payerAddress);
+      if (mismatch) return sendIdempotencyConflict(res, paymentId, mismatch);
+      return serveIdempotentPayment({ res, next, cached, idempotency, payer: payerAddress, options });
+    }
 
-    if (isCreditSystemEnabled() && payerAddress !== 'unknown') {
-      const creditConfig = getCreditConfig(routeConfig);
+    // ── Settle-on-success — no charge unless the backend succeeds ──
+    if (routeConfig.settleOnSuccess && !options.purchase) {
+      return handleSettleOnSuccess({
+        req, res, next, routeKey, routeConfig: networkRouteConfig, baseRouteConfig: routeConfig,
+        enrichedRouteConfig, network, paymentPayload, idempotency, payerAddress,
+      });
+    }
 
-      if (creditConfig.creditOnStatusCodes.length > 0) {
-        const creditCount = await getCreditCount(payerAddress, routeKey);
+    // ── Credits — pay the price, or the shortfall priced out above ──
+    const creditConfig = getCreditConfig(routeConfig);
+    const creditRef = getExactNonceKey(paymentPayload, network) || '';
+    let creditApplied = 0n;
+    let creditConsumed = false;
 
-        if (creditCount > 0) {
-          creditConsumed = await decrementCredit(payerAddress, routeKey);
-          if (creditConsumed) {
-            console.log(`[x402] Credit consumed: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | remaining: ${creditCount - 1}`);
-          }
-        }
+    if (creditShortfall) {
+      const remaining = await redeemCredit(payerAddress, creditShortfall, { route: routeKey, reason: 'partial payment', ref: creditRef });
+      if (remaining < 0) {
+        return sendPaymentRequired(res, routeConfig, req, routeKey, 'Insufficient credit',
+          `Credits no longer cover the ${formatUsd(creditShortfall)} this payment is short of ${pricedRouteConfig.price}`);
+      }
+      creditApplied = creditShortfall;
+      console.log(`[x402] Credit applied: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | ${creditShortfall} of ${pricedRouteConfig.priceAtomic} | remaining: ${remaining}`);
+      res.set('X-x402-Credit', 'partial');
+      res.set('X-x402-Credit-Applied', String(creditShortfall));
+      res.set('X-x402-Credit-Balance', String(remaining));
+    } else if (creditEnabled && creditConfig.acceptCredits && payerAddress !== 'unknown') {
+      const remaining = await redeemCredit(payerAddress, pricedRouteConfig.priceAtomic, { route: routeKey, reason: 'full payment', ref: creditRef });
+      if (remaining >= 0) {
+        creditApplied = BigInt(pricedRouteConfig.priceAtomic);
+        creditConsumed = true;
+        console.log(`[x402] Credit consumed: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | ${pricedRouteConfig.priceAtomic} | remaining: ${remaining}`);
+        res.set('X-x402-Credit', 'consumed');
+        res.set('X-x402-Credit-Applied', pricedRouteConfig.priceAtomic);
+        res.set('X-x402-Credit-Balance', String(remaining));
       }
     }
 
-    // ── Settlement (skip if credit was consumed) ─────────────
+    // ── Settlement (skip if credits paid in full) ────────────
     let didSettle = false;
+    let settledTxHash = null;
 
     if (!creditConsumed) {
-      // Mark nonce as pending
-      let nonceKey = null;
-      if (useSvm) {
-        const txData = paymentPayload.payload?.transaction;
-        if (txData) {
-          const crypto = await import('crypto');
-          nonceKey = 'svm:' + crypto.createHash('sha256').update(txData).digest('hex');
-        }
-      } else if (!useEvmFacilitator) {
-        nonceKey = paymentPayload.payload?.authorization?.nonce;
+      // Refuse payments whose settlement gas would eat the revenue
+      const gasCheck = await checkPaymentGasCost(paymentPayload, networkRouteConfig, network);
+      if (!gasCheck.ok) {
+        console.warn(`[x402] Gas guard: ${gasCheck.reason}`);
+        await restoreCredit({ payerAddress, creditApplied, creditConfig, routeKey, ref: creditRef });
+        return sendPaymentRequired(res, routeConfig, req, routeKey, 'Settlement too expensive', gasCheck.reason);
       }
 
-      if (nonceKey) {
-        const acquired = await setNoncePending(nonceKey, {
-          network: paymentPayload.network,
-          payer: payerAddress,
-          route: routeKey, vm: useSvm ? 'svm' : 'evm',
+      // Mark nonce as pending
+      const nonceKey = getExactNonceKey(paymentPayload, network);
+      const nonceMeta = getExactNonceMeta({ paymentPayload, routeConfig: enrichedRouteConfig, network, payerAddress, routeKey });
+      if (nonceKey && !(await setNoncePending(nonceKey, nonceMeta))) {
+        await restoreCredit({ payerAddress, creditApplied, creditConfig, routeKey, ref: creditRef });
+        return res.status(402).json({
+          error: 'Payment verification failed',
+          reason: 'Nonce already used or settlement in progress',
         });
-        if (!acquired) {
-          return res.status(402).json({
-            error: 'Payment verification failed',
-            reason: 'Nonce already used or settlement in progress',
-          });
-        }
       }
 
       // Settle payment on-chain
       try {
-        let settlement;
-        if (useSvm) {
-          settlement = await settlePaymentSvm(paymentPayload, enrichedRouteConfig, network);
-        } else if (useEvmFacilitator) {
-          settlement = await settlePaymentViaFacilitator(paymentPayload, enrichedRouteConfig, network);
-        } else {
-          settlement = await settlePaymentEvm(paymentPayload);
-        }
-
-        // Confirm nonce
-        if (nonceKey) {
-          await setNonceConfirmed(nonceKey, {
-            txHash: settlement.txHash, network: settlement.network,
-            blockNumber: settlement.blockNumber,
-            payer: settlement.payer || payerAddress,
-            route: routeKey, vm: useSvm ? 'svm' : 'evm',
+        // Purchases (deposits, passes) settle inline — they're fulfilled immediately
+        const queueContext = options.purchase ? null : { payer: payerAddress, routeKey };
+        const settlement = await settleExactPayment(paymentPayload, enrichedRouteConfig, network, queueContext).catch(err => {
+          // A purchase is fulfilled right here — keep waiting on a stuck tx
+          // rather than leave it paid for but never issued
+          if (!err.pending || !err.waitForReceipt || !options.purchase) throw err;
+          console.warn(`[x402] ${err.message} — purchase keeps waiting`);
+          return err.waitForReceipt().then(receipt => {
+            if (receipt.status !== 'success') throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+            return { txHash: receipt.transactionHash, network: paymentPayload.network, blockNumber: Number(receipt.blockNumber), payer: payerAddress };
           });
-        }
-
-        const paymentResponseData = {
-          success: true, txHash: settlement.txHash,
-          network: settlement.network, blockNumber: settlement.blockNumber,
-          ...(settlement.facilitator && { facilitator: settlement.facilitator }),
-        };
-
-        const paymentResponseHeader = Buffer.from(JSON.stringify(paymentResponseData)).toString('base64');
-        res.set('PAYMENT-RESPONSE', paymentResponseHeader);
-
-        // Cache for idempotency
-        if (paymentId) {
-          await setIdempotencyCache(paymentId, { paymentResponseHeader, settlement: paymentResponseData });
-        }
-
+        });
+        await recordExactSettlement({ res, routeKey, routeConfig: enrichedRouteConfig, network, paymentPayload, idempotency, payerAddress, nonceKey, settlement });
         didSettle = true;
+        settledTxHash = settlement.txHash || null;
       } catch (err) {
+        if (err.pending) {
+          // The payment may still land — credits applied to it stay spent
+          return handlePendingSettlement(res, { err, nonceKey, nonceMeta, idempotency });
+        }
         if (nonceKey) await deleteNonce(nonceKey);
+        await restoreCredit({ payerAddress, creditApplied, creditConfig, routeKey, ref: creditRef });
         console.error(`[x402] Settlement failed:`, err.message);
         return res.status(402).json({ error: 'Payment settlement failed', reason: err.message });
       }
-    } else {
-      // Credit was consumed — set header indicating credit usage
-      res.set('X-x402-Credit', 'consumed');
     }
 
     // ── Async credit issuance on response finish ─────────────
-    if (didSettle && isCreditSystemEnabled() && payerAddress !== 'unknown') {
-      const creditConfig = getCreditConfig(routeConfig);
-
-      if (creditConfig.creditOnStatusCodes.length > 0) {
-        res.on('finish', () => {
-          const statusCode = res.statusCode;
-
-          if (creditConfig.creditOnStatusCodes.includes(statusCode)) {
-            incrementCredit(
-              payerAddress,
-              routeKey,
-              creditConfig.maxCreditsPerPayer,
-              creditConfig.creditTtl
-            ).then(newCount => {
-              if (newCount >= 0) {
-                console.log(`[x402] Credit issued: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | reason: backend ${statusCode} | total: ${newCount}`);
-                if (newCount >= creditConfig.maxCreditsPerPayer) {
-                  console.warn(`[x402] Credit cap reached: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | cap: ${creditConfig.maxCreditsPerPayer} — backend may be degraded`);
-                }
-              }
-            }).catch(err => {
-              console.error(`[x402] Credit issuance failed (non-critical): ${err.message}`);
-            });
+    // Worth the request's price, however it was paid (settled, credits, or both)
+    if ((didSettle || creditConsumed) && creditEnabled && payerAddress !== 'unknown' && creditConfig.creditOnStatusCodes.length > 0) {
+      res.on('finish', () => {
+        const statusCode = res.statusCode;
+        if (!creditConfig.creditOnStatusCodes.includes(statusCode)) return;
+
+        const amount = pricedRouteConfig.priceAtomic;
+        const capAtomic = getCreditCap(creditConfig, amount);
+        issueCredit(payerAddress, amount, {
+          capAtomic, ttlSeconds: creditConfig.creditTtl,
+          route: routeKey, reason: `backend ${statusCode}`, ref: settledTxHash || creditRef,
+        }).then(result => {
+          if (!result) return;
+          if (result.issued > 0) {
+            console.log(`[x402] Credit issued: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | reason: backend ${statusCode} | +${result.issued} | balance: ${result.balance}`);
+          }
+          if (BigInt(result.issued) < BigInt(amount)) {
+            console.warn(`[x402] Credit cap reached: ${payerAddress.slice(0, 10)}... | route: ${routeKey} | cap: ${capAtomic} — backend may be degraded`);
           }
+        }).catch(err => {
+          console.error(`[x402] Credit issuance failed (non-critical): ${err.message}`);
         });
-      }
+      });
     }
 
+    if (didSettle) captureBackendResponse(res, idempotency);
     next();
   };
 }
\ No newline at end of file
@@ -7,6 +7,11 @@
 //
 // Supports forceMethod to convert GET+query params into POST+body
 // for backends that only accept POST.
+//
+// If the payment middleware registered res.locals.x402.beforeResponse,
+// it runs with the backend status/headers before the response is
+// forwarded, so payment can be settled against the outcome.
+// res.locals.x402.afterResponse gets what was forwarded.
 // ============================================================
 
 export async function proxyToBackend({ req, res, targetBase, targetPath, apiKey, apiKeyHeader, forceMethod }) {
@@ -60,6 +65,15 @@ export async function proxyToBackend({ req, res, targetBase, targetPath, apiKey,
 
   // Call the backend
   const backendRes = await fetch(url.toString(), fetchOptions);
+  const responseText = await backendRes.text();
+
+  // Let the payment middleware settle against the backend outcome
+  // (e.g. usage-based "upto" payments) before anything is sent.
+  // It returns false after sending its own error response.
+  const beforeResponse = res.locals?.x402?.beforeResponse;
+  if (beforeResponse && !(await beforeResponse({ status: backendRes.status, headers: backendRes.headers }))) {
+    return;
+  }
 
   // Forward status
   res.status(backendRes.status);
@@ -70,24 +84,33 @@ export async function proxyToBackend({ req, res, targetBase, targetPath, apiKey,
     res.set('Content-Type', contentType);
   }
 
-  // Read and return the response
-  const responseText = await backendRes.text();
-
+  let sentBody;
   try {
     const json = JSON.parse(responseText);
+    sentBody = JSON.stringify(json);
     res.json(json);
   } catch {
     // If backend returned non-JSON (e.g. Cloudflare HTML error page),
     // wrap it in JSON for agent-friendly consumption on 5xx
     if (backendRes.status >= 500) {
-      res.set('Content-Type', 'application/json');
-      res.json({
+      const json = {
         error: 'Backend unavailable',
         status: backendRes.status,
         message: `Backend returned HTTP ${backendRes.status}. Please retry shortly.`,
-      });
+      };
+      sentBody = JSON.stringify(json);
+      res.set('Content-Type', 'application/json');
+      res.json(json);
     } else {
+      sentBody = responseText;
       res.send(responseText);
     }
   }
+
+  // Hand the forwarded response to the payment middleware (stored
+  // for idempotent replay of a paid request)
+  const afterResponse = res.locals?.x402?.afterResponse;
+  if (afterResponse) {
+    await afterResponse({ status: res.statusCode, headers: { 'Content-Type': res.get('Content-Type') }, body: sentBody });
+  }
 }
@@ -0,0 +1,147 @@
+// src/registry.js
+
+import express from 'express';
+import { x402PaymentMiddleware } from './middleware/x402.js';
+import { proxyToBackend } from './proxy.js';
+import { ROUTE_CONFIG } from './config/routes.js';
+import { getSubpath } from './utils/pricing.js';
+import {
+  isBalanceEnabled,
+  getDepositRouteConfig,
+  depositHandler,
+  balanceLookupHandler,
+} from './middleware/balance.js';
+import { isPassEnabled, getPassRouteConfig, passPurchaseHandler } from './middleware/pass.js';
+import { isCreditSystemEnabled, creditLookupHandler } from './middleware/credit.js';
+
+// ============================================================
+// Route registry — mounts every entry in ROUTE_CONFIG
+//
+// For each route key this registers:
+//   1. Free sub-routes (freeRoutes) — proxied without payment
+//   2. ALL /v1/{key}/* — x402PaymentMiddleware + backend proxy
+//
+// Routes that sell access passes also get POST /v1/pass/{key}
+// (see src/middleware/pass.js). With ENABLE_DEPOSITS=true it
+// mounts POST /v1/deposit and GET /v1/balance/:payer
+// (see src/middleware/balance.js), and with ENABLE_CREDIT_SYSTEM=true
+// GET /v1/credits/:payer (see src/middleware/credit.js).
+//
+// Path aliases, target path prefix and forceMethod are read
+// from the route config at request time, so routes are pure
+// data — no per-route handler code. Paid requests use the config
+// their payment was admitted under (res.locals.routeConfig), so a
+// hot reload mid-request can't strand a settled payment.
+// ============================================================
+
+// ─── Helpers ───────────────────────────────────────────────
+
+function resolveTargetPath(route, subpath) {
+  const prefix = (route.targetPathPrefix ?? '/api/').replace(/\/*$/, '/');
+  const resolvedSubpath = route.pathAliases?.[subpath] || subpath;
+  return prefix + resolvedSubpath;
+}
+
+function routeRemoved(res, routeKey) {
+  return res.status(404).json({
+    error: 'Route not found',
+    message: `Route "${routeKey}" was removed by a configuration reload`,
+  });
+}
+
+function backendNotConfigured(res, routeKey) {
+  return res.status(503).json({
+    error: 'Backend not configured',
+    message: `No backend URL is configured for route "${routeKey}"`,
+  });
+}
+
+// ─── Handlers ──────────────────────────────────────────────
+
+function paidRouteHandler(routeKey) {
+  return async (req, res) => {
+    try {
+      const route = res.locals.routeConfig;
+      if (!route.backendUrl) return backendNotConfigured(res, routeKey);
+
+      await proxyToBackend({
+        req,
+        res,
+        targetBase: route.backendUrl,
+        targetPath: resolveTargetPath(route, getSubpath(req.params)),
+        apiKey: process.env[route.backendApiKeyEnv],
+        apiKeyHeader: route.backendApiKeyHeader,
+        forceMethod: route.forceMethod,
+      });
+    } catch (err) {
+      console.error(`[${routeKey}] Proxy error:`, err.message);
+      // No backend outcome — the payment may release what it reserved
+      res.locals.x402?.backendFailed?.();
+      if (res.headersSent) return;
+      const body = { error: 'Backend unavailable' };
+      res.status(502).json(body);
+      // A paid request that reached no backend is replayed like any answer
+      await res.locals.x402?.afterResponse?.({ status: 502, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    }
+  };
+}
+
+function freeRouteHandler(routeKey, freeRoute) {
+  return async (req, res) => {
+    try {
+      const route = ROUTE_CONFIG[routeKey];
+      if (!route) return routeRemoved(res, routeKey);
+      if (!route.backendUrl) return backendNotConfigured(res, routeKey);
+
+      await proxyToBackend({
+        req,
+        res,
+        targetBase: route.backendUrl,
+        targetPath: freeRoute.targetPath || resolveTargetPath(route, freeRoute.path),
+        apiKey: process.env[route.backendApiKeyEnv],
+        apiKeyHeader: route.backendApiKeyHeader,
+      });
+    } catch (err) {
+      console.error(`[${routeKey}] Proxy error:`, err.message);
+      if (!res.headersSent) res.status(502).json({ error: 'Backend unavailable' });
+    }
+  };
+}
+
+// ============================================================
+// Build an Express router for the current ROUTE_CONFIG
+// ============================================================
+export function buildRouteRouter() {
+  const router = express.Router();
+
+  if (isBalanceEnabled()) {
+    router.get('/v1/balance/:payer', balanceLookupHandler);
+    router.post('/v1/deposit', x402PaymentMiddleware('deposit', { getRouteConfig: getDepositRouteConfig, purchase: true }), depositHandler);
+  }
+
+  if (isCreditSystemEnabled()) {
+    router.get('/v1/credits/:payer', creditLookupHandler);
+  }
+
+  for (const [routeKey, route] of Object.entries(ROUTE_CONFIG)) {
+    // Free routes first so they take precedence over the paid wildcard
+    for (const freeRoute of route.freeRoutes || []) {
+      const method = (freeRoute.method || 'GET').toLowerCase();
+      router[method](`/v1/${routeKey}/${freeRoute.path.replace(/^\/+/, '')}`, freeRouteHandler(routeKey, freeRoute));
+    }
+
+    if (isPassEnabled(route)) {
+      router.post(
+        `/v1/pass/${routeKey}`,
+        x402PaymentMiddleware(routeKey, { getRouteConfig: () => getPassRouteConfig(routeKey), purchase: true }),
+        passPurchaseHandler(routeKey),
+      );
+    } else if (route.pass) {
+      console.warn(`[x402] Route "${routeKey}" defines a pass but PASS_SIGNING_SECRET is not set — passes disabled`);
+    }
+
+    router.all(`/v1/${routeKey}/{*path}`, x402PaymentMiddleware(routeKey), paidRouteHandler(routeKey));
+  }
+
+  return router;
+}
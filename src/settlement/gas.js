@@ -0,0 +1,222 @@
+// src/settlement/gas.js
+
+import { getPublicClient, getViemChain } from '../utils/evm.js';
+import { parseDecimalFraction, formatUsd } from '../utils/pricing.js';
+
+// ============================================================
+// Gas-cost guard (EVM, local settlement)
+//
+// Before a payment is accepted the gateway estimates what
+// settling it will cost in gas, converts that to USD with the
+// chain's native-token price, and refuses the payment when the
+// cost exceeds a fraction of what it earns. The same check hides
+// a network from 402 `accepts` while gas is too expensive for the
+// route's price there, so clients pick a cheaper chain.
+//
+// Env:
+//   GAS_GUARD_MAX_FRACTION=0.5      — enable; max gas cost as a share of revenue
+//   NATIVE_TOKEN_PRICES_USD=ETH=3500,POL=0.25,AVAX=25
+//                                   — static USD prices by native symbol
+//   NATIVE_PRICE_URL=https://…      — JSON { "ETH": 3500, … } (USD by symbol),
+//                                     refreshed every NATIVE_PRICE_CACHE_MS;
+//                                     overrides the static table when reachable
+//   NATIVE_PRICE_CACHE_MS=60000
+//
+// Payments on a chain whose native price is unknown, or whose gas
+// price can't be read, are let through (logged once) — the guard
+// never blocks payments because of its own missing data.
+//
+// Estimates use eth_gasPrice × gas units: the real estimate for
+// EIP-3009 payments, a per-method default otherwise. OP-stack L1
+// data fees are not included. Facilitator and Solana networks are
+// not guarded (the facilitator pays gas; SVM fees are flat and tiny).
+// ============================================================
+
+const GAS_PRICE_CACHE_MS = 15000;
+const DEFAULT_PRICE_CACHE_MS = 60000;
+const PRICE_FETCH_TIMEOUT_MS = 5000;
+
+// Typical settlement gas per transfer method (permit paths send two calls)
+const DEFAULT_GAS_UNITS = {
+  eip3009: 90000n,
+  permit2: 130000n,
+  eip2612: 160000n,
+};
+
+const gasPrices = new Map();             // chainId -> { gasPrice, at }
+const lastEstimates = new Map();         // caip2 -> latest estimate (for /health)
+const hiddenNetworks = new Set();        // `${route}:${caip2}` currently hidden from 402s
+const warned = new Set();
+let remotePrices = { prices: null, at: 0, pending: null };
+
+export function isGasGuardEnabled() {
+  return !!getMaxFraction();
+}
+
+function getMaxFraction() {
+  return parseDecimalFraction(process.env.GAS_GUARD_MAX_FRACTION);
+}
+
+/**
+ * Typical settlement gas for a transfer method.
+ */
+export function getDefaultSettlementGas(transferMethod = 'eip3009') {
+  return DEFAULT_GAS_UNITS[transferMethod] || DEFAULT_GAS_UNITS.eip3009;
+}
+
+function warnOnce(key, message) {
+  if (warned.has(key)) return;
+  warned.add(key);
+  console.warn(message);
+}
+
+// ─── Native Token Prices ───────────────────────────────────
+
+function getStaticPrices() {
+  const prices = {};
+  for (const entry of (process.env.NATIVE_TOKEN_PRICES_USD || '').split(',')) {
+    const [symbol, price] = entry.split('=').map(v => v?.trim());
+    if (symbol && price) prices[symbol.toUpperCase()] = price;
+  }
+  return prices;
+}
+
+async function refreshRemotePrices() {
+  const url = process.env.NATIVE_PRICE_URL;
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(PRICE_FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json();
+    remotePrices.prices = Object.fromEntries(
+      Object.entries(body || {}).map(([symbol, price]) => [symbol.toUpperCase(), String(price)])
+    );
+  } catch (err) {
+    console.warn(`[x402] Native price fetch failed (${url}): ${err.message}`);
+  } finally {
+    // Failures back off for a full cache period too, keeping the last prices
+    remotePrices.at = Date.now();
+  }
+}
+
+async function getNativePrices() {
+  const staticPrices = getStaticPrices();
+  if (!process.env.NATIVE_PRICE_URL) return staticPrices;
+
+  const ttl = parseInt(process.env.NATIVE_PRICE_CACHE_MS, 10) || DEFAULT_PRICE_CACHE_MS;
+  if (Date.now() - remotePrices.at > ttl) {
+    remotePrices.pending ||= refreshRemotePrices().finally(() => { remotePrices.pending = null; });
+    await remotePrices.pending;
+  }
+  return { ...staticPrices, ...remotePrices.prices };
+}
+
+// ─── Gas Price ─────────────────────────────────────────────
+
+// Cached per chain; a failed read is cached as null so a dead RPC
+// doesn't add a round trip to every 402
+async function getGasPrice(network) {
+  const cached = gasPrices.get(network.chainId);
+  if (cached && Date.now() - cached.at < GAS_PRICE_CACHE_MS) return cached.gasPrice;
+
+  let gasPrice = null;
+  try {
+    gasPrice = await getPublicClient(network).getGasPrice();
+  } catch (err) {
+    warnOnce(`gasPrice:${network.caip2}`, `[x402] Gas guard: no gas price for ${network.caip2} (${err.message}) — not guarding`);
+  }
+  gasPrices.set(network.chainId, { gasPrice, at: Date.now() });
+  return gasPrice;
+}
+
+// ============================================================
+// Cost estimate and profitability check
+// ============================================================
+
+/**
+ * Estimated settlement cost on a network, in 6-decimal USD atomic
+ * units. Returns { gasUnits, gasPrice, nativeSymbol, nativeUsd,
+ * costUsdAtomic } — costUsdAtomic is null when it can't be priced.
+ */
+export async function estimateSettlementCost(network, gasUnits) {
+  const { nativeCurrency } = getViemChain(network);
+  const nativeSymbol = nativeCurrency.symbol.toUpperCase();
+  const nativeUsd = (await getNativePrices())[nativeSymbol];
+  const priceFraction = parseDecimalFraction(nativeUsd);
+
+  const gasPrice = await getGasPrice(network);
+  if (!priceFraction) {
+    warnOnce(`native:${nativeSymbol}`, `[x402] Gas guard: no USD price for ${nativeSymbol} (${network.caip2}) — set NATIVE_TOKEN_PRICES_USD`);
+  }
+
+  let costUsdAtomic = null;
+  if (gasPrice !== null && priceFraction) {
+    const [num, den] = priceFraction;
+    const costWei = gasUnits * gasPrice;
+    // Round up — the guard errs towards refusing
+    const scale = den * 10n ** BigInt(nativeCurrency.decimals);
+    costUsdAtomic = (costWei * num * 1000000n + scale - 1n) / scale;
+  }
+
+  const estimate = { gasUnits, gasPrice, nativeSymbol, nativeUsd: nativeUsd ?? null, costUsdAtomic };
+  lastEstimates.set(network.caip2, { ...estimate, at: Date.now() });
+  return estimate;
+}
+
+/**
+ * Whether settling a payment worth `revenueUsdAtomic` on this
+ * network stays within GAS_GUARD_MAX_FRACTION of the revenue.
+ * Returns { ok, costUsdAtomic, reason }. Always ok when the guard
+ * is off or the cost can't be estimated.
+ */
+export async function checkSettlementCost(network, revenueUsdAtomic, gasUnits = getDefaultSettlementGas()) {
+  const maxFraction = getMaxFraction();
+  if (!maxFraction || network.vm !== 'evm' || network.facilitator) return { ok: true, costUsdAtomic: null };
+
+  const { costUsdAtomic } = await estimateSettlementCost(network, gasUnits);
+  if (costUsdAtomic === null) return { ok: true, costUsdAtomic: null };
+
+  const [num, den] = maxFraction;
+  if (costUsdAtomic * den <= BigInt(revenueUsdAtomic) * num) return { ok: true, costUsdAtomic };
+
+  return {
+    ok: false,
+    costUsdAtomic,
+    reason: `Settlement gas on ${network.caip2} (~${formatUsd(costUsdAtomic)}) exceeds ${Number(process.env.GAS_GUARD_MAX_FRACTION) * 100}% of the ${formatUsd(revenueUsdAtomic)} payment — pay on another network`,
+  };
+}
+
+/**
+ * checkSettlementCost for a 402 `accepts` entry. Logs when a
+ * route's network is hidden or shown again.
+ */
+export async function isNetworkProfitable(routeKey, network, priceAtomic, transferMethod) {
+  const { ok, costUsdAtomic } = await checkSettlementCost(network, priceAtomic, getDefaultSettlementGas(transferMethod));
+  const key = `${routeKey}:${network.caip2}`;
+  if (!ok && !hiddenNetworks.has(key)) {
+    hiddenNetworks.add(key);
+    console.warn(`[x402] Gas guard: hiding ${network.caip2} for ${routeKey} — settlement ~${formatUsd(costUsdAtomic)} vs price ${formatUsd(priceAtomic)}`);
+  } else if (ok && hiddenNetworks.delete(key)) {
+    console.log(`[x402] Gas guard: ${network.caip2} back for ${routeKey}`);
+  }
+  return ok;
+}
+
+/**
+ * Guard settings and the latest estimate per network (for /health).
+ */
+export function getGasGuardStatus() {
+  if (!isGasGuardEnabled()) return { enabled: false };
+  return {
+    enabled: true,
+    maxFraction: process.env.GAS_GUARD_MAX_FRACTION,
+    priceSource: process.env.NATIVE_PRICE_URL ? 'url' : 'static',
+    hidden: [...hiddenNetworks],
+    networks: Object.fromEntries([...lastEstimates].map(([caip2, estimate]) => [caip2, {
+      nativeSymbol: estimate.nativeSymbol,
+      nativeUsd: estimate.nativeUsd,
+      gasPriceGwei: estimate.gasPrice === null ? null : Number(estimate.gasPrice) / 1e9,
+      settlementCostUsd: estimate.costUsdAtomic === null ? null : formatUsd(estimate.costUsdAtomic),
+      updatedAt: new Date(estimate.at).toISOString(),
+    }])),
+  };
+}
@@ -0,0 +1,186 @@
+// src/settlement/monitor.js
+
+import { formatUnits } from 'viem';
+import { SUPPORTED_NETWORKS } from '../config/routes.js';
+import { getPublicClient, getViemChain, getSettlementAccounts, setWalletFunded } from '../utils/evm.js';
+import { getSvmFacilitator, getSvmRpc } from '../utils/svm.js';
+import { getDefaultSettlementGas } from './gas.js';
+
+// ============================================================
+// Settlement wallet gas monitor
+//
+// A background loop reads the native balance of every wallet
+// that pays settlement gas — each EVM pool wallet on each active
+// chain, and the Solana fee payer — and compares it with what
+// one settlement currently costs there:
+//
+//   ok     — can pay for GAS_MONITOR_LOW_SETTLEMENTS or more
+//   low    — fewer than that: warning logged once per drop
+//   empty  — fewer than GAS_MONITOR_MIN_SETTLEMENTS: the wallet is
+//            skipped for settlement, and when no wallet on a network
+//            can pay, the network is dropped from 402 `accepts` and
+//            its payments are refused until a top-up is seen
+//
+// Env:
+//   GAS_MONITOR=false                   — disable (on by default)
+//   GAS_MONITOR_INTERVAL_MS=60000       — check interval
+//   GAS_MONITOR_LOW_SETTLEMENTS=200     — low-water mark, in settlements
+//   GAS_MONITOR_MIN_SETTLEMENTS=3       — below this the wallet is empty
+//
+// EVM cost per settlement = EIP-3009 gas × current maxFeePerGas;
+// Solana = SVM_SETTLEMENT_LAMPORTS. Networks are never disabled on
+// missing data: a failed balance read leaves the last status.
+// Facilitator networks are not monitored (the facilitator pays gas).
+// ============================================================
+
+const DEFAULT_INTERVAL_MS = 60000;
+const DEFAULT_LOW_SETTLEMENTS = 200;
+const DEFAULT_MIN_SETTLEMENTS = 3;
+
+// Signature fee (5000) plus priority-fee headroom
+const SVM_SETTLEMENT_LAMPORTS = 10000n;
+
+const networkStates = new Map();         // caip2 -> { status, wallets, checkedAt, error }
+let monitorTimer = null;
+let checking = null;
+
+function getIntEnv(name, fallback) {
+  return parseInt(process.env[name], 10) || fallback;
+}
+
+export function isGasMonitorEnabled() {
+  return process.env.GAS_MONITOR !== 'false';
+}
+
+function isMonitored(network) {
+  return network.vm === 'svm' || (network.vm === 'evm' && !network.facilitator);
+}
+
+/**
+ * Whether the network's settlement wallets can pay gas. True until
+ * the monitor has seen every wallet on it run dry.
+ */
+export function isNetworkFunded(network) {
+  return networkStates.get(network.caip2)?.status !== 'empty';
+}
+
+function classify(balance, perSettlement) {
+  if (balance < perSettlement * BigInt(getIntEnv('GAS_MONITOR_MIN_SETTLEMENTS', DEFAULT_MIN_SETTLEMENTS))) return 'empty';
+  if (balance < perSettlement * BigInt(getIntEnv('GAS_MONITOR_LOW_SETTLEMENTS', DEFAULT_LOW_SETTLEMENTS))) return 'low';
+  return 'ok';
+}
+
+// ─── Balance Reads ─────────────────────────────────────────
+
+async function readEvmWallets(network) {
+  const client = getPublicClient(network);
+  let maxFeePerGas;
+  try {
+    ({ maxFeePerGas } = await client.estimateFeesPerGas());
+  } catch {
+    maxFeePerGas = await client.getGasPrice();    // pre-EIP-1559 chains
+  }
+  const perSettlement = getDefaultSettlementGas() * maxFeePerGas;
+  const { nativeCurrency } = getViemChain(network);
+
+  return Promise.all(getSettlementAccounts().map(async account => {
+    const balance = await client.getBalance({ address: account.address });
+    const status = classify(balance, perSettlement);
+    setWalletFunded(network, account.address, status !== 'empty');
+    return {
+      address: account.address,
+      balance: formatUnits(balance, nativeCurrency.decimals),
+      symbol: nativeCurrency.symbol,
+      settlementsLeft: Number(balance / perSettlement),
+      status,
+    };
+  }));
+}
+
+async function readSvmWallets(network) {
+  const { feePayerAddress } = await getSvmFacilitator();
+  const { value: balance } = await getSvmRpc(network).getBalance(feePayerAddress).send();
+  return [{
+    address: feePayerAddress,
+    balance: formatUnits(balance, 9),
+    symbol: 'SOL',
+    settlementsLeft: Number(balance / SVM_SETTLEMENT_LAMPORTS),
+    status: classify(balance, SVM_SETTLEMENT_LAMPORTS),
+  }];
+}
+
+// ============================================================
+// Check loop
+// ============================================================
+
+async function checkNetwork(network) {
+  const previous = networkStates.get(network.caip2);
+  let wallets;
+  try {
+    wallets = network.vm === 'svm' ? await readSvmWallets(network) : await readEvmWallets(network);
+  } catch (err) {
+    if (!previous?.error) console.warn(`[x402] Gas monitor: balance check failed on ${network.caip2}: ${err.message}`);
+    networkStates.set(network.caip2, { ...(previous || { status: 'unknown', wallets: [] }), error: err.message });
+    return;
+  }
+
+  // The network is as healthy as its best wallet
+  const status = ['ok', 'low', 'empty'].find(s => wallets.some(w => w.status === s));
+  networkStates.set(network.caip2, { status, wallets, checkedAt: new Date().toISOString(), error: null });
+
+  for (const wallet of wallets) {
+    const before = previous?.wallets.find(w => w.address === wallet.address)?.status;
+    if (wallet.status === before || (wallet.status === 'ok' && !before)) continue;
+    const label = `${wallet.address} on ${network.caip2}: ${wallet.balance} ${wallet.symbol} (~${wallet.settlementsLeft} settlements)`;
+    if (wallet.status === 'empty') console.error(`[x402] ✗ Out of gas: ${label}`);
+    else if (wallet.status === 'low') console.warn(`[x402] ⚠ Low gas: ${label}`);
+    else console.log(`[x402] ✓ Gas topped up: ${label}`);
+  }
+
+  if (status === 'empty' && previous?.status !== 'empty') {
+    console.error(`[x402] ✗ ${network.caip2} disabled — no settlement wallet can pay gas`);
+  } else if (status !== 'empty' && previous?.status === 'empty') {
+    console.log(`[x402] ✓ ${network.caip2} re-enabled`);
+  }
+}
+
+/**
+ * Check every monitored network once (concurrent calls share a run).
+ */
+export function checkGasBalances() {
+  checking ||= (async () => {
+    const networks = Object.values(SUPPORTED_NETWORKS).filter(isMonitored);
+    // Forget networks that left the active set (config reload)
+    for (const caip2 of networkStates.keys()) {
+      if (!networks.some(n => n.caip2 === caip2)) networkStates.delete(caip2);
+    }
+    await Promise.all(networks.map(checkNetwork));
+  })().finally(() => { checking = null; });
+  return checking;
+}
+
+/**
+ * Start the background monitor (first check runs immediately).
+ */
+export function startGasMonitor() {
+  if (!isGasMonitorEnabled() || monitorTimer) return;
+
+  const interval = getIntEnv('GAS_MONITOR_INTERVAL_MS', DEFAULT_INTERVAL_MS);
+  const run = () => checkGasBalances().catch(err => console.error(`[x402] Gas monitor failed: ${err.message}`));
+  run();
+  monitorTimer = setInterval(run, interval);
+  monitorTimer.unref();
+  console.log(`[x402-gateway] Gas monitor started | every ${interval}ms`);
+}
+
+/**
+ * Per-network gas status and wallet balances (for /health).
+ */
+export function getGasMonitorStatus() {
+  if (!isGasMonitorEnabled()) return { enabled: false };
+  return {
+    enabled: true,
+    disabledNetworks: [...networkStates].filter(([, state]) => state.status === 'empty').map(([caip2]) => caip2),
+    networks: Object.fromEntries(networkStates),
+  };
+}
@@ -0,0 +1,260 @@
+// src/settlement/overpayment.js
+
+import { SUPPORTED_NETWORKS, DEPOSIT_CONFIG } from '../config/routes.js';
+import {
+  recordOverpayment,
+  creditBalance,
+  addRefundOwed,
+  getRefundsOwed,
+  claimRefund,
+} from '../utils/redis.js';
+import { ERC20_ABI, sendSettlementTransaction, waitForSettlementReceipt } from '../utils/evm.js';
+import { loadEvmRefundAccount } from '../utils/signers.js';
+import { toTokenAmount, toUsdAtomic } from '../utils/pricing.js';
+
+// ============================================================
+// Overpayments
+//
+// An EIP-3009 authorization may be signed for more than the price,
+// and settling it moves the full value to payTo. The surplus is
+// converted to USD atomic units (so 6- and 18-decimal tokens add
+// up), added to the payer's overpayment total and handled by mode:
+//
+//   balance — credited to the payer's prepaid balance, spent with
+//             `balance` payments on any route (needs ENABLE_DEPOSITS)
+//   refund  — owed back on the network it was paid on; a background
+//             batch pays it from the refund wallet in that network's
+//             primary token
+//   keep    — only recorded
+//
+// Mode: the route's `overpayment`, else OVERPAYMENT, else balance
+// when deposits are enabled and refund otherwise. Deposits have no
+// surplus — the full settled value is the deposit (overpayment: false).
+//
+// Only local EIP-3009 settlements are tracked: Permit2 payments must
+// match the price, EIP-2612 ones transfer only the price, and SVM
+// and facilitator payments are left to their verifiers.
+//
+// Env:
+//   OVERPAYMENT=balance|refund|keep   — default mode (see above)
+//   REFUND_INTERVAL_MS=3600000        — refund batch interval
+//   REFUND_MIN_ATOMIC=10000           — refunds below this ($0.01) wait
+//                                       until more is owed
+//   REFUND_PRIVATE_KEY                — refund wallet, holding the
+//                                       stablecoins and gas (or
+//                                       REFUND_KEYSTORE_FILE /
+//                                       REFUND_SIGNER_ADDRESS, see
+//                                       src/utils/signers.js)
+//
+// Without a refund wallet, refunds accumulate in Redis (see /health)
+// for the operator to pay.
+// ============================================================
+
+export const OVERPAYMENT_MODES = ['balance', 'refund', 'keep'];
+
+const DEFAULT_REFUND_INTERVAL_MS = 3600000;   // 1 hour
+const DEFAULT_REFUND_MIN_ATOMIC = 10000;      // $0.01
+
+const stats = { refunded: 0, refundedAtomic: 0, failed: 0, lastRunAt: null };
+let refundTimer = null;
+let refunding = null;
+let refundAccount;
+
+function getIntEnv(name, fallback) {
+  return parseInt(process.env[name], 10) || fallback;
+}
+
+/**
+ * How a route handles overpayments (see modes above).
+ */
+export function getOverpaymentMode(routeConfig) {
+  const mode = routeConfig?.overpayment ?? process.env.OVERPAYMENT;
+  if (OVERPAYMENT_MODES.includes(mode)) return mode;
+  return DEPOSIT_CONFIG.enabled ? 'balance' : 'refund';
+}
+
+/**
+ * Token units an authorization value exceeds a USD atomic price by
+ * (0n when it doesn't).
+ */
+export function getOverpaidAmount(value, priceAtomic, token) {
+  const surplus = BigInt(value) - BigInt(toTokenAmount(priceAtomic, token));
+  return surplus > 0n ? surplus : 0n;
+}
+
+/**
+ * PAYMENT-RESPONSE `overpayment` entry for a surplus of `amount`
+ * token units.
+ */
+export function describeOverpayment(network, { amount, mode }) {
+  return {
+    amount: String(amount),
+    amountUsdAtomic: toUsdAtomic(amount, network.token).toString(),
+    handling: mode,
+  };
+}
+
+/**
+ * Record a settled surplus and credit or owe it per mode. Returns the
+ * PAYMENT-RESPONSE entry; `handling` is "manual" when it could not be
+ * stored (logged for reconciliation).
+ */
+export async function applyOverpayment({ payer, network, amount, mode }) {
+  const summary = describeOverpayment(network, { amount, mode });
+  const usdAtomic = BigInt(summary.amountUsdAtomic);
+  if (usdAtomic === 0n) return summary;
+
+  await recordOverpayment(payer, usdAtomic);
+
+  if (mode === 'balance') {
+    const balance = await creditBalance(payer, usdAtomic);
+    if (balance >= 0) {
+      console.log(`[x402] Overpayment credited: ${payer.slice(0, 10)}... | +${usdAtomic} | balance: ${balance}`);
+      return { ...summary, balance: String(balance) };
+    }
+  } else if (mode === 'refund') {
+    const owed = await addRefundOwed(network.caip2, payer, usdAtomic);
+    if (owed >= 0) {
+      console.log(`[x402] Overpayment owed back: ${payer.slice(0, 10)}... | +${usdAtomic} on ${network.caip2} | owed: ${owed}`);
+      return { ...summary, refundOwedAtomic: String(owed) };
+    }
+  } else {
+    return summary;
+  }
+
+  console.error(`[x402] Overpayment NOT ${mode === 'balance' ? 'credited' : 'recorded for refund'} — reconcile manually: payer ${payer} | ${usdAtomic} on ${network.caip2}`);
+  return { ...summary, handling: 'manual' };
+}
+
+// ============================================================
+// Refund batch
+// ============================================================
+
+function getRefundAccount() {
+  if (refundAccount === undefined) refundAccount = loadEvmRefundAccount();
+  return refundAccount;
+}
+
+// Networks refunds can be paid on: local EVM settlement only
+function getRefundNetworks() {
+  return Object.values(SUPPORTED_NETWORKS).filter(n => n.vm === 'evm' && !n.facilitator);
+}
+
+// Broadcast a refund; resolves with the tx hash
+function sendRefund(network, account, payer, usdAtomic) {
+  const amount = BigInt(toTokenAmount(usdAtomic, network.token));
+  return sendSettlementTransaction(network, {
+    address: network.token.address, abi: ERC20_ABI,
+    functionName: 'transfer', args: [payer, amount],
+  }, { account });
+}
+
+// A reverted refund transferred nothing: it is owed again
+async function recordRefundReceipt(network, payer, claimed, receipt) {
+  if (receipt.status !== 'success') {
+    stats.failed++;
+    await addRefundOwed(network.caip2, payer, claimed);
+    console.warn(`[settle] Refund to ${payer.slice(0, 10)}... on ${network.caip2} reverted (${receipt.transactionHash}), retrying next run`);
+    return;
+  }
+  stats.refunded++;
+  stats.refundedAtomic += claimed;
+  console.log(`[settle] Refunded ${claimed} to ${payer.slice(0, 10)}... on ${network.caip2} | ${receipt.transactionHash}`);
+}
+
+// Once a refund is broadcast its claim is settled by the receipt
+// alone: a refund still in flight is followed in the background, and
+// one whose receipt can't be had is left for manual reconciliation —
+// never owed again, so it is never paid twice.
+async function reconcileRefund(network, payer, claimed, hash) {
+  const label = `Refund to ${payer.slice(0, 10)}... on ${network.caip2}`;
+  let receipt;
+  try {
+    receipt = await waitForSettlementReceipt(network, hash);
+  } catch (err) {
+    if (!err.pending) {
+      console.error(`[settle] ${label} sent (${hash}) but not confirmed — reconcile manually: ${err.shortMessage || err.message}`);
+      return;
+    }
+    console.warn(`[settle] ${label} still in flight (${err.txHash})`);
+    err.waitForReceipt()
+      .then(late => recordRefundReceipt(network, payer, claimed, late))
+      .catch(finalErr => console.error(`[settle] ${label} never confirmed (${err.txHash}) — reconcile manually: ${finalErr.message}`));
+    return;
+  }
+  await recordRefundReceipt(network, payer, claimed, receipt);
+}
+
+async function refundNetwork(network, account) {
+  const minAtomic = getIntEnv('REFUND_MIN_ATOMIC', DEFAULT_REFUND_MIN_ATOMIC);
+  const owed = await getRefundsOwed(network.caip2);
+
+  for (const [payer, amount] of Object.entries(owed)) {
+    if (amount < minAtomic) continue;
+
+    const claimed = await claimRefund(network.caip2, payer);
+    if (claimed <= 0) continue;
+
+    let hash;
+    try {
+      hash = await sendRefund(network, account, payer, claimed);
+    } catch (err) {
+      // Nothing was broadcast — safe to owe it again
+      stats.failed++;
+      await addRefundOwed(network.caip2, payer, claimed);
+      console.warn(`[settle] Refund to ${payer.slice(0, 10)}... on ${network.caip2} failed, retrying next run: ${err.shortMessage || err.message}`);
+      continue;
+    }
+    await reconcileRefund(network, payer, claimed, hash);
+  }
+}
+
+/**
+ * Pay out refunds owed on every network once (concurrent calls
+ * share a run). Does nothing without a refund wallet.
+ */
+export function processRefunds() {
+  refunding ||= (async () => {
+    const account = getRefundAccount();
+    if (!account) return;
+    for (const network of getRefundNetworks()) await refundNetwork(network, account);
+    stats.lastRunAt = new Date().toISOString();
+  })().finally(() => { refunding = null; });
+  return refunding;
+}
+
+/**
+ * Start the background refund batch when a refund wallet is
+ * configured (first batch runs immediately).
+ */
+export function startRefundWorker() {
+  if (refundTimer) return;
+  let account;
+  try {
+    account = getRefundAccount();
+  } catch (err) {
+    console.error(`[settle] Refund wallet could not be loaded — refunds accumulate: ${err.message}`);
+    return;
+  }
+  if (!account) return;
+
+  const interval = getIntEnv('REFUND_INTERVAL_MS', DEFAULT_REFUND_INTERVAL_MS);
+  const run = () => processRefunds().catch(err => console.error(`[settle] Refund batch failed: ${err.message}`));
+  run();
+  refundTimer = setInterval(run, interval);
+  refundTimer.unref();
+  console.log(`[settle] Refund batch started | every ${interval}ms | wallet ${account.address}`);
+}
+
+/**
+ * Refunds owed per network and batch counters (for /health).
+ */
+export async function getRefundStatus() {
+  const owed = {};
+  for (const network of getRefundNetworks()) {
+    const payers = await getRefundsOwed(network.caip2);
+    const total = Object.values(payers).reduce((sum, amount) => sum + amount, 0);
+    if (total > 0) owed[network.caip2] = { payers: Object.keys(payers).length, totalAtomic: total };
+  }
+  return { wallet: refundTimer ? getRefundAccount().address : null, owed, ...stats };
+}
@@ -0,0 +1,267 @@
+// src/settlement/queue.js
+
+import { SUPPORTED_NETWORKS, selectNetworkAsset } from '../config/routes.js';
+import {
+  enqueueSettlement as enqueueItem,
+  claimSettlements,
+  updateSettlementItem,
+  rescheduleSettlement,
+  completeSettlement,
+  deadLetterSettlement,
+  getSettlementQueueStats,
+  setNonceConfirmed,
+  setNonceFailed,
+} from '../utils/redis.js';
+import {
+  getPublicClient,
+  submitTransferWithAuthorization,
+  waitForSettlementReceipt,
+  isSettlementInFlight,
+  isAuthorizationUsed,
+} from '../utils/evm.js';
+import { applyOverpayment } from './overpayment.js';
+
+// ============================================================
+// Async settlement queue (EVM exact payments, local settlement)
+//
+// With SETTLEMENT_QUEUE=true, verified EIP-3009 authorizations
+// are enqueued in Redis and the request proceeds immediately —
+// no waiting on waitForTransactionReceipt. A background worker
+// submits them with retry, exponential backoff and a per-chain
+// concurrency limit, recording the outcome on the nonce record
+// (queued → confirmed, or failed).
+//
+// Crash safety: claimed items are leased, not removed. If the
+// process dies mid-settlement the lease expires and the next
+// worker resumes the item. Before submitting, the worker checks
+// authorizationState on-chain, so a settlement that landed just
+// before a crash is recorded instead of resubmitted. A tx hash the
+// item already has is waited on again while the node still knows
+// the tx; a receipt timeout then reschedules the item without
+// counting an attempt (the tx may still land).
+//
+// Env:
+//   SETTLEMENT_QUEUE=true                   — enable
+//   SETTLEMENT_QUEUE_CONCURRENCY=2          — in-flight settlements per chain
+//   SETTLEMENT_QUEUE_MAX_ATTEMPTS=8         — attempts before dead-lettering
+//   SETTLEMENT_QUEUE_POLL_MS=1000           — worker poll interval
+//
+// SVM, facilitator and upto payments always settle inline.
+// ============================================================
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_POLL_MS = 1000;
+
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 300000;          // 5 minutes
+const RECEIPT_TIMEOUT_MS = 60000;
+// Must outlast one submit + receipt wait, or items are claimed twice
+const LEASE_MS = RECEIPT_TIMEOUT_MS * 2;
+
+const inFlight = new Map();              // chainId -> count
+let pollTimer = null;
+
+function getIntEnv(name, fallback) {
+  return parseInt(process.env[name], 10) || fallback;
+}
+
+export function isSettlementQueueEnabled() {
+  return process.env.SETTLEMENT_QUEUE === 'true';
+}
+
+// Chains the worker serves: local EVM settlement only
+function getQueueNetworks() {
+  return Object.values(SUPPORTED_NETWORKS).filter(n => n.vm === 'evm' && !n.facilitator);
+}
+
+function getBackoffMs(attempts) {
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return backoff + Math.floor(Math.random() * 1000);
+}
+
+// ============================================================
+// Enqueue (called from the payment middleware)
+// ============================================================
+
+/**
+ * Enqueue a verified exact payment. Returns a settlement-shaped
+ * result ({ queued: true, txHash: null, ... }) or null if the
+ * queue is unavailable and the caller should settle inline.
+ * An `overpayment` ({ amount, mode }) is applied once it settles.
+ */
+export async function enqueueSettlement({ paymentPayload, network, payer, routeKey, overpayment = null }) {
+  const { authorization } = paymentPayload.payload;
+  const item = {
+    id: authorization.nonce,
+    chainId: network.chainId,
+    network: paymentPayload.network,
+    asset: network.token.address,
+    payer,
+    route: routeKey,
+    paymentPayload,
+    overpayment,
+    attempts: 0,
+    txHash: null,
+    lastError: null,
+    enqueuedAt: Date.now(),
+  };
+
+  if (!(await enqueueItem(network.chainId, item.id, item))) return null;
+
+  return { queued: true, settlementId: item.id, txHash: null, network: paymentPayload.network, blockNumber: null };
+}
+
+// ============================================================
+// Worker
+// ============================================================
+
+async function processItem(item) {
+  const supportedNetwork = SUPPORTED_NETWORKS[item.network];
+  const network = supportedNetwork && selectNetworkAsset(supportedNetwork, item.asset);
+  const { authorization } = item.paymentPayload.payload;
+  const nonceMeta = { network: item.network, payer: item.payer, route: item.route, vm: 'evm', queued: true };
+  const maxAttempts = getIntEnv('SETTLEMENT_QUEUE_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+
+  item.attempts++;
+  try {
+    if (!network) throw new Error(`Network ${item.network} or asset ${item.asset} is no longer active`);
+
+    let txHash = item.txHash;
+    let blockNumber = null;
+
+    // A tx from an earlier attempt is waited on again, not resubmitted
+    const known = await isKnownTransaction(network, txHash);
+
+    if (!known && await isAuthorizationUsed(network, authorization.from, authorization.nonce)) {
+      // Landed already (e.g. submitted right before a crash)
+      console.log(`[settle] ${item.id.slice(0, 10)}... already used on-chain — recording as settled`);
+    } else {
+      if (!known) {
+        if (Date.now() / 1000 > Number(authorization.validBefore)) {
+          item.attempts = maxAttempts;  // Can never settle — don't retry
+          throw new Error('Authorization expired before it could be settled');
+        }
+
+        // Persist the hash so a resumed item can be traced to its tx
+        txHash = await submitTransferWithAuthorization(item.paymentPayload, network);
+        item.txHash = txHash;
+        await updateSettlementItem(item);
+      }
+
+      const receipt = await waitForSettlementReceipt(network, txHash, { timeout: RECEIPT_TIMEOUT_MS })
+        .catch(err => {
+          // A tx this process no longer tracks times out like any
+          // other: it is broadcast, so it's pending, not failed
+          if (err.name === 'WaitForTransactionReceiptTimeoutError') Object.assign(err, { pending: true, txHash });
+          throw err;
+        });
+      if (receipt.status !== 'success') {
+        item.txHash = null;  // Nothing to wait on — the next attempt resubmits
+        throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+      }
+      // The mined version may be a fee-bump replacement
+      txHash = receipt.transactionHash;
+      blockNumber = Number(receipt.blockNumber);
+    }
+
+    await setNonceConfirmed(item.id, { ...nonceMeta, txHash, blockNumber });
+    await completeSettlement(item);
+    // Surplus of an authorization signed above the price (see overpayment.js)
+    if (item.overpayment) await applyOverpayment({ payer: item.payer, network, ...item.overpayment });
+    console.log(`[settle] Settled ${item.id.slice(0, 10)}... | ${txHash || 'tx unknown'} | chain ${item.chainId} | payer ${item.payer}`);
+  } catch (err) {
+    item.lastError = err.message;
+
+    if (err.pending) {
+      // Broadcast but not mined yet (still being fee-bumped) — not a failed attempt
+      item.attempts--;
+      await rescheduleSettlement(item, BASE_BACKOFF_MS);
+      console.warn(`[settle] ${item.id.slice(0, 10)}... still in flight (${err.txHash}), checking again in ${BASE_BACKOFF_MS / 1000}s`);
+      return;
+    }
+
+    if (item.attempts >= maxAttempts) {
+      await deadLetterSettlement(item);
+      await setNonceFailed(item.id, { ...nonceMeta, reason: err.message, attempts: item.attempts });
+      console.error(`[settle] Gave up on ${item.id.slice(0, 10)}... after ${item.attempts} attempts: ${err.message}`);
+      return;
+    }
+
+    const delay = getBackoffMs(item.attempts);
+    await rescheduleSettlement(item, delay);
+    console.warn(`[settle] Attempt ${item.attempts} failed for ${item.id.slice(0, 10)}..., retrying in ${Math.round(delay / 1000)}s: ${err.message}`);
+  }
+}
+
+// Whether a tx is still tracked by this process (and fee-bumped) or,
+// after a restart, known to the node — pending in the mempool or mined
+async function isKnownTransaction(network, hash) {
+  if (!hash) return false;
+  if (isSettlementInFlight(hash)) return true;
+  return !!(await getPublicClient(network).getTransaction({ hash }).catch(() => null));
+}
+
+async function pollOnce() {
+  const concurrency = getIntEnv('SETTLEMENT_QUEUE_CONCURRENCY', DEFAULT_CONCURRENCY);
+
+  for (const network of getQueueNetworks()) {
+    const running = inFlight.get(network.chainId) || 0;
+    if (running >= concurrency) continue;
+
+    const items = await claimSettlements(network.chainId, concurrency - running, LEASE_MS);
+    for (const item of items) {
+      inFlight.set(network.chainId, (inFlight.get(network.chainId) || 0) + 1);
+      processItem(item).finally(() => {
+        inFlight.set(network.chainId, inFlight.get(network.chainId) - 1);
+      });
+    }
+  }
+}
+
+/**
+ * Start the background worker when SETTLEMENT_QUEUE=true.
+ * Items left by a crashed process are resumed once their lease expires.
+ */
+export function startSettlementWorker() {
+  if (!isSettlementQueueEnabled() || pollTimer) return;
+
+  const interval = getIntEnv('SETTLEMENT_QUEUE_POLL_MS', DEFAULT_POLL_MS);
+  let polling = false;
+  pollTimer = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await pollOnce();
+    } catch (err) {
+      console.error(`[settle] Poll failed: ${err.message}`);
+    } finally {
+      polling = false;
+    }
+  }, interval);
+  pollTimer.unref();
+  console.log(`[settle] Settlement worker started | poll ${interval}ms | concurrency ${getIntEnv('SETTLEMENT_QUEUE_CONCURRENCY', DEFAULT_CONCURRENCY)}/chain`);
+}
+
+/**
+ * Queue depth per network, in-flight counts and lifetime counters (for /health).
+ */
+export async function getSettlementQueueStatus() {
+  if (!isSettlementQueueEnabled()) return { enabled: false };
+
+  const networks = getQueueNetworks();
+  const stats = await getSettlementQueueStats(networks.map(n => n.chainId));
+  if (!stats) return { enabled: true, status: 'unavailable' };
+
+  const counter = name => Number(stats.counters[name] || 0);
+  return {
+    enabled: true,
+    depth: Object.fromEntries(networks.map(n => [n.caip2, stats.depth[n.chainId]])),
+    inFlight: Object.fromEntries(networks.map(n => [n.caip2, inFlight.get(n.chainId) || 0])),
+    deadLetter: stats.deadLetter,
+    enqueued: counter('enqueued'),
+    settled: counter('settled'),
+    retries: counter('retries'),
+    failed: counter('failed'),
+  };
+}
@@ -0,0 +1,211 @@
+// src/settlement/recovery.js
+
+import { SUPPORTED_NETWORKS, selectNetworkAsset } from '../config/routes.js';
+import {
+  getStalePendingNonces,
+  unindexPendingNonce,
+  setNonceConfirmed,
+  setNonceFailed,
+  deleteNonce,
+} from '../utils/redis.js';
+import {
+  isAuthorizationUsed,
+  findAuthorizationTransaction,
+  isSettlementInFlight,
+  getSettlementWatchMs,
+} from '../utils/evm.js';
+import { getSvmTransactionStatus } from '../utils/svm.js';
+import { verifyWithFacilitator } from '../utils/facilitator.js';
+
+// ============================================================
+// Pending nonce recovery
+//
+// A nonce is reserved as `pending` before settlement and moved to
+// `confirmed` after it. If the process dies in between, the record
+// sits there until its TTL with nobody knowing whether the payment
+// landed. A background job scans pending nonces older than
+// NONCE_RECOVERY_MIN_AGE_MS (and `submitted` ones — see Stuck
+// Transactions in src/utils/evm.js — once no process can still be
+// tracking them) and asks the chain:
+//
+//   EIP-3009 — authorizationState(payer, nonce) on the token:
+//              used → confirmed (tx hash from the AuthorizationUsed
+//              event when still in range), unused → released
+//   Solana   — status of the payment transaction's signature:
+//              landed → confirmed, failed or blockhash expired →
+//              released, otherwise checked again next run
+//   Facilitator — authorizationState when the token has it, else
+//              the stored request is re-verified with the facilitator:
+//              still valid → released, rejected → failed (settled, or
+//              unusable — either way it never settles again)
+//
+// Released nonces are deleted, so the payer can retry the same
+// payment. Permit, upto and balance reservations have no on-chain
+// authorization to check and are left to expire, as are pending
+// settleOnSuccess reservations: they are held for the backend call,
+// however long it runs, and releasing one would let the same
+// authorization in for a second call before the first settles.
+//
+// Env:
+//   NONCE_RECOVERY=false                 — disable (on by default)
+//   NONCE_RECOVERY_INTERVAL_MS=60000     — scan interval
+//   NONCE_RECOVERY_MIN_AGE_MS=600000     — leave younger reservations to
+//                                          the request holding them
+// ============================================================
+
+const DEFAULT_INTERVAL_MS = 60000;
+const DEFAULT_MIN_AGE_MS = 600000;       // 10 minutes
+const BATCH_SIZE = 50;
+
+const EIP3009_NONCE_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+const stats = { confirmed: 0, released: 0, failed: 0, lastRunAt: null };
+let recoveryTimer = null;
+let running = null;
+
+function getIntEnv(name, fallback) {
+  return parseInt(process.env[name], 10) || fallback;
+}
+
+export function isNonceRecoveryEnabled() {
+  return process.env.NONCE_RECOVERY !== 'false';
+}
+
+// The network (with the paid asset) a nonce record was reserved on
+function getRecordNetwork(record) {
+  const network = SUPPORTED_NETWORKS[record.network];
+  return network && (record.asset ? selectNetworkAsset(network, record.asset) : network);
+}
+
+// ─── Per-record reconciliation ─────────────────────────────
+// Each returns { outcome: 'confirmed' | 'released' | 'failed' | 'unknown', ... }
+
+async function checkEip3009Nonce(network, authorizer, nonce, knownTxHash) {
+  if (!(await isAuthorizationUsed(network, authorizer, nonce))) return { outcome: 'released' };
+  const found = await findAuthorizationTransaction(network, authorizer, nonce);
+  return { outcome: 'confirmed', txHash: found?.txHash ?? knownTxHash ?? null, blockNumber: found?.blockNumber ?? null };
+}
+
+async function checkFacilitatorNonce(record, network) {
+  const request = record.facilitatorRequest;
+  const authorization = request.paymentPayload.payload?.authorization;
+  if (authorization?.from && EIP3009_NONCE_PATTERN.test(authorization.nonce ?? '')) {
+    try {
+      return await checkEip3009Nonce(network, authorization.from, authorization.nonce, record.txHash);
+    } catch {
+      // Token without authorizationState, or no RPC — ask the facilitator
+    }
+  }
+
+  const verification = await verifyWithFacilitator(network, request);
+  if (verification.valid) return { outcome: 'released' };
+  if (verification.ambiguous) return { outcome: 'unknown' };
+  return { outcome: 'failed', reason: verification.reason };
+}
+
+async function checkSvmNonce(record, network) {
+  const { status, signature } = await getSvmTransactionStatus(network, record.transaction);
+  if (status === 'confirmed') return { outcome: 'confirmed', txHash: signature, blockNumber: null };
+  if (status === 'failed' || status === 'expired') return { outcome: 'released' };
+  return { outcome: 'unknown' };
+}
+
+async function recoverNonce(nonce, record) {
+  // Expired record, or settled since it was indexed
+  if (!record || !['pending', 'submitted'].includes(record.status)) {
+    await unindexPendingNonce(nonce);
+    return;
+  }
+
+  // Held by a settleOnSuccess request (see above) — left to its TTL
+  if (record.status === 'pending' && record.settleOnSuccess) {
+    await unindexPendingNonce(nonce);
+    return;
+  }
+
+  // A submitted tx may still be tracked (and fee-bumped) by a live
+  // process. Facilitator results have nothing to track.
+  if (record.status === 'submitted' && !record.facilitator) {
+    if (record.txHash && isSettlementInFlight(record.txHash)) return;
+    if (Date.now() - record.timestamp < getSettlementWatchMs()) return;
+  }
+
+  // Nothing on-chain to check (or the network is gone) — left to its
+  // TTL, and dropped from the index so it doesn't hold up the scan
+  const network = getRecordNetwork(record);
+  let result;
+  if (network && record.vm === 'svm' && record.transaction) {
+    result = await checkSvmNonce(record, network);
+  } else if (network?.facilitator && record.facilitatorRequest) {
+    result = await checkFacilitatorNonce(record, network);
+  } else if (network && record.vm === 'evm' && !network.facilitator && EIP3009_NONCE_PATTERN.test(nonce)) {
+    result = await checkEip3009Nonce(network, record.payer, nonce, record.txHash);
+  } else {
+    await unindexPendingNonce(nonce);
+    return;
+  }
+
+  const label = `${nonce.slice(0, 14)}... (${record.network}, ${record.status})`;
+  if (result.outcome === 'confirmed') {
+    const { status, timestamp, transaction, facilitatorRequest, ...meta } = record;
+    await setNonceConfirmed(nonce, { ...meta, txHash: result.txHash, blockNumber: result.blockNumber, recovered: true });
+    stats.confirmed++;
+    console.log(`[settle] Recovered ${label}: settled on-chain | ${result.txHash || 'tx not found in recent blocks'}`);
+  } else if (result.outcome === 'released') {
+    await deleteNonce(nonce);
+    stats.released++;
+    console.log(`[settle] Recovered ${label}: never settled — released`);
+  } else if (result.outcome === 'failed') {
+    const { status, timestamp, transaction, facilitatorRequest, ...meta } = record;
+    await setNonceFailed(nonce, { ...meta, reason: result.reason });
+    stats.failed++;
+    console.warn(`[settle] Recovered ${label}: facilitator no longer accepts it (settled or invalid) — marked failed: ${result.reason}`);
+  }
+}
+
+// ============================================================
+// Scan loop
+// ============================================================
+
+/**
+ * Reconcile stale pending nonces once (concurrent calls share a run).
+ */
+export function recoverPendingNonces() {
+  running ||= (async () => {
+    const minAge = getIntEnv('NONCE_RECOVERY_MIN_AGE_MS', DEFAULT_MIN_AGE_MS);
+    const stale = await getStalePendingNonces(minAge, BATCH_SIZE);
+    for (const { nonce, record } of stale) {
+      try {
+        await recoverNonce(nonce, record);
+      } catch (err) {
+        // RPC trouble — the record stays pending and is retried next run
+        console.warn(`[settle] Nonce recovery failed for ${nonce.slice(0, 14)}...: ${err.shortMessage || err.message}`);
+      }
+    }
+    stats.lastRunAt = new Date().toISOString();
+  })().finally(() => { running = null; });
+  return running;
+}
+
+/**
+ * Start the background recovery job (first scan runs immediately,
+ * picking up whatever a crashed process left behind).
+ */
+export function startNonceRecovery() {
+  if (!isNonceRecoveryEnabled() || recoveryTimer) return;
+
+  const interval = getIntEnv('NONCE_RECOVERY_INTERVAL_MS', DEFAULT_INTERVAL_MS);
+  const run = () => recoverPendingNonces().catch(err => console.error(`[settle] Nonce recovery failed: ${err.message}`));
+  run();
+  recoveryTimer = setInterval(run, interval);
+  recoveryTimer.unref();
+  console.log(`[settle] Nonce recovery started | every ${interval}ms | min age ${getIntEnv('NONCE_RECOVERY_MIN_AGE_MS', DEFAULT_MIN_AGE_MS)}ms`);
+}
+
+/**
+ * Recovery counters since startup (for /health).
+ */
+export function getNonceRecoveryStatus() {
+  if (!isNonceRecoveryEnabled()) return { enabled: false };
+  return { enabled: true, ...stats };
+}
@@ -0,0 +1,849 @@
+// src/utils/evm.js
+
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  parseAbi,
+  parseSignature,
+  size,
+  isAddressEqual,
+  recoverTypedDataAddress,
+  isErc6492Signature,
+  parseErc6492Signature,
+  defineChain,
+  domainSeparator,
+} from 'viem';
+import {
+  base,
+  mainnet,
+  arbitrum,
+  optimism,
+  polygon,
+  avalanche,
+  linea,
+  unichain,
+  megaeth,
+  sonic,
+  hyperEvm,
+  ink,
+  monad,
+  baseSepolia,
+  sepolia,
+  arbitrumSepolia,
+  optimismSepolia,
+  polygonAmoy,
+  avalancheFuji,
+} from 'viem/chains';
+import { loadEvmSettlementAccounts } from './signers.js';
+
+// ============================================================
+// Shared EVM helpers — chain configs, public clients,
+// settlement wallet pool, nonces and token reads used by every EVM
+// payment scheme.
+// ============================================================
+
+// ============================================================
+// ERC-20 + EIP-2612 ABI (balance, permit, transfer, transferFrom)
+// ============================================================
+export const ERC20_ABI = parseAbi([
+  'function balanceOf(address account) view returns (uint256)',
+  'function nonces(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function transfer(address to, uint256 value) returns (bool)',
+  'function transferFrom(address from, address to, uint256 value) returns (bool)',
+]);
+
+// ============================================================
+// EIP-3009 ABI (transferWithAuthorization + replay state)
+// The bytes overload accepts EIP-1271 smart-wallet signatures
+// (FiatToken v2.2+).
+// ============================================================
+export const ERC3009_ABI = parseAbi([
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, bytes signature)',
+  'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+  'event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce)',
+]);
+
+// ============================================================
+// EIP-712 types for TransferWithAuthorization
+// ============================================================
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+/**
+ * EIP-712 typed data an exact-payment authorization is signed over.
+ */
+export function getTransferAuthorizationTypedData(authorization, network) {
+  return {
+    domain: {
+      name: network.token.name,
+      version: network.token.version,
+      chainId: network.chainId,
+      verifyingContract: network.token.address,
+    },
+    types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      from: authorization.from,
+      to: authorization.to,
+      value: BigInt(authorization.value),
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+      nonce: authorization.nonce,
+    },
+  };
+}
+
+// ============================================================
+// Viem chain configs (EVM only)
+// Add new chains here when adding EVM network support
+// ============================================================
+const VIEM_CHAINS = {
+  1: mainnet,
+  8453: base,
+  42161: arbitrum,
+  10: optimism,
+  137: polygon,
+  43114: avalanche,
+  59144: linea,
+  130: unichain,
+  4326: megaeth,
+  146: sonic,
+  999: hyperEvm,
+  57073: ink,
+  143: monad,
+  // Testnets (X402_NETWORK_MODE=testnet|both)
+  84532: baseSepolia,
+  11155111: sepolia,
+  421614: arbitrumSepolia,
+  11155420: optimismSepolia,
+  80002: polygonAmoy,
+  43113: avalancheFuji,
+  // Add more: import from viem/chains and register here
+};
+
+export function getViemChain(network) {
+  const known = VIEM_CHAINS[network.chainId];
+  if (known) return known;
+
+  // Chains declared in config (or not yet in viem/chains)
+  return defineChain({
+    id: network.chainId,
+    name: network.name || `Chain ${network.chainId}`,
+    nativeCurrency: network.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: {
+      default: { http: [process.env[network.rpcEnvVar]] },
+    },
+    ...(network.explorerUrl && { blockExplorers: { default: { name: 'Explorer', url: network.explorerUrl } } }),
+    testnet: !!network.testnet,
+  });
+}
+
+/**
+ * Block explorer base URL for a network, or null.
+ */
+export function getExplorerUrl(network) {
+  if (network.vm !== 'evm') return null;
+  return network.explorerUrl || VIEM_CHAINS[network.chainId]?.blockExplorers?.default?.url || null;
+}
+
+// ============================================================
+// Cache public clients per chain (EVM only)
+// ============================================================
+const publicClientCache = new Map();
+
+export function getPublicClient(network) {
+  const cacheKey = network.chainId;
+  if (publicClientCache.has(cacheKey)) {
+    return publicClientCache.get(cacheKey);
+  }
+
+  const rpcUrl = process.env[network.rpcEnvVar];
+  if (!rpcUrl) return null;
+
+  const chain = getViemChain(network);
+  const client = createPublicClient({ chain, transport: http(rpcUrl) });
+  publicClientCache.set(cacheKey, client);
+  return client;
+}
+
+
+// ============================================================
+// Settlement wallet pool (pays gas, submits settlement txs)
+//
+// The first wallet is the primary. Extra wallets (e.g.
+// SETTLEMENT_PRIVATE_KEYS, comma-separated) spread settlement
+// load so one account's nonce sequence doesn't cap throughput:
+//   SETTLEMENT_WALLET_STRATEGY=least-pending  — fewest unconfirmed txs on the chain (default)
+//   SETTLEMENT_WALLET_STRATEGY=round-robin    — rotate per chain
+//
+// Keys come from env, a keystore or a remote signer — see
+// src/utils/signers.js. The primary wallet is always the upto
+// permit spender, so upto settlements are pinned to it.
+// ============================================================
+let _settlementAccounts = null;
+let _settlementAccountsError = null;
+
+export function getSettlementAccounts() {
+  // Don't retry a failed load (e.g. wrong keystore passphrase) on every request
+  if (_settlementAccountsError) throw _settlementAccountsError;
+  if (!_settlementAccounts) {
+    try {
+      const accounts = new Map();
+      for (const account of loadEvmSettlementAccounts()) {
+        accounts.set(account.address.toLowerCase(), account);
+      }
+      _settlementAccounts = [...accounts.values()];
+    } catch (err) {
+      _settlementAccountsError = err;
+      throw err;
+    }
+  }
+  return _settlementAccounts;
+}
+
+export function getSettlementAccount() {
+  return getSettlementAccounts()[0];
+}
+
+// ─── Nonce Manager ─────────────────────────────────────────
+// One state per (chain, wallet). Submissions are serialized
+// only while a nonce is assigned and the tx is broadcast —
+// receipt waits run in parallel, so a wallet can have many
+// settlements in flight with consecutive nonces.
+
+const walletStates = new Map();          // `${chainId}:${address}` -> state
+const pendingTxs = new Map();            // first tx hash -> tracked tx (see Stuck Transactions)
+const roundRobin = new Map();            // chainId -> counter
+const unfundedWallets = new Set();       // `${chainId}:${address}` out of gas (gas monitor)
+
+const NONCE_ERROR_PATTERN = /nonce too low|nonce too high|nonce has already been used|already known|replacement transaction underpriced/i;
+
+function getWalletState(network, account) {
+  const key = `${network.chainId}:${account.address.toLowerCase()}`;
+  if (!walletStates.has(key)) {
+    walletStates.set(key, {
+      account,
+      chainId: network.chainId,
+      nextNonce: null,                   // null = resync from chain before next send
+      pending: 0,                        // submitting + unconfirmed txs
+      lock: Promise.resolve(),
+      walletClient: null,
+    });
+  }
+  return walletStates.get(key);
+}
+
+function pickSettlementAccount(network) {
+  const pool = getSettlementAccounts();
+  if (pool.length === 1) return pool[0];
+
+  // Skip wallets the gas monitor found out of gas, unless all are
+  const funded = pool.filter(account => !unfundedWallets.has(`${network.chainId}:${account.address.toLowerCase()}`));
+  const accounts = funded.length > 0 ? funded : pool;
+
+  if (process.env.SETTLEMENT_WALLET_STRATEGY === 'round-robin') {
+    const i = roundRobin.get(network.chainId) || 0;
+    roundRobin.set(network.chainId, i + 1);
+    return accounts[i % accounts.length];
+  }
+
+  // least-pending (first wallet wins ties)
+  return accounts.reduce((best, account) =>
+    getWalletState(network, account).pending < getWalletState(network, best).pending ? account : best);
+}
+
+/**
+ * Mark a pool wallet as able (or not) to pay gas on a chain.
+ * Unfunded wallets are skipped when picking a settlement wallet.
+ */
+export function setWalletFunded(network, address, funded) {
+  const key = `${network.chainId}:${address.toLowerCase()}`;
+  if (funded) unfundedWallets.delete(key);
+  else unfundedWallets.add(key);
+}
+
+function withNonceLock(state, fn) {
+  const run = state.lock.then(fn);
+  state.lock = run.catch(() => {});
+  return run;
+}
+
+// Contract write ({ address, abi, ... }) or raw call ({ to, data })
+function submitTransaction(state, request, overrides) {
+  return request.abi
+    ? state.walletClient.writeContract({ ...request, ...overrides })
+    : state.walletClient.sendTransaction({ ...request, ...overrides });
+}
+
+/**
+ * Submit a contract write ({ address, abi, functionName, args })
+ * or raw call ({ to, data }) from a pool wallet with a managed
+ * nonce. Returns the tx hash; pass it to waitForSettlementReceipt().
+ * `account` pins the wallet (e.g. the upto permit spender).
+ */
+export async function sendSettlementTransaction(network, request, { account } = {}) {
+  const rpcUrl = process.env[network.rpcEnvVar];
+  if (!rpcUrl) throw new Error(`No RPC URL for ${network.caip2} (env: ${network.rpcEnvVar})`);
+
+  const state = getWalletState(network, account || pickSettlementAccount(network));
+  state.walletClient ||= createWalletClient({ account: state.account, chain: getViemChain(network), transport: http(rpcUrl) });
+  state.pending++;
+
+  try {
+    // Explicit fees, so a stuck tx can be replaced with higher ones
+    const fees = await getSettlementFees(network);
+    const { hash, nonce } = await withNonceLock(state, async () => {
+      for (let attempt = 1; ; attempt++) {
+        if (state.nextNonce === null) {
+          state.nextNonce = await getPublicClient(network).getTransactionCount({
+            address: state.account.address, blockTag: 'pending',
+          });
+        }
+        try {
+          const nonce = state.nextNonce;
+          const txHash = await submitTransaction(state, request, { nonce, ...fees });
+          state.nextNonce++;
+          return { hash: txHash, nonce };
+        } catch (err) {
+          // The nonce may or may not have been consumed — resync before the next send
+          state.nextNonce = null;
+          if (attempt === 1 && NONCE_ERROR_PATTERN.test(`${err.message} ${err.details || ''}`)) {
+            console.warn(`[x402] Nonce conflict on chain ${network.chainId} for ${state.account.address}, resyncing`);
+            continue;
+          }
+          throw err;
+        }
+      }
+    });
+    trackTransaction({ state, network, request, nonce, fees, hash });
+    return hash;
+  } catch (err) {
+    state.pending--;
+    throw err;
+  }
+}
+
+// ─── Stuck Transactions ────────────────────────────────────
+// Every settlement tx is tracked until one of its versions is
+// mined. A tx still unmined after SETTLEMENT_FEE_BUMP_MS is re-sent
+// with the same nonce and higher fees (a replacement), up to
+// SETTLEMENT_MAX_FEE_BUMPS times. Requests wait at most the
+// network's settlement timeout; tracking — and bumping — carries
+// on in the background until the tx lands or SETTLEMENT_WATCH_MS
+// passes, so a late receipt still reaches whoever asked for it.
+//
+// Env:
+//   SETTLEMENT_TIMEOUT_MS=60000              — request wait for a receipt
+//   SETTLEMENT_TIMEOUTS=eip155:1=180000,...  — per-network overrides (CAIP-2 or chain id)
+//   SETTLEMENT_FEE_BUMP_MS=20000             — replace unmined txs after this long
+//   SETTLEMENT_FEE_BUMP_PERCENT=20           — fee increase per replacement (min 10)
+//   SETTLEMENT_MAX_FEE_BUMPS=3
+//   SETTLEMENT_WATCH_MS=1800000              — give up on a tx after this long
+//
+// Networks can set settlementTimeoutMs (e.g. Ethereum, with 12s
+// blocks); SETTLEMENT_TIMEOUTS still wins over it.
+
+const DEFAULT_SETTLEMENT_TIMEOUT_MS = 60000;
+const DEFAULT_FEE_BUMP_MS = 20000;
+const DEFAULT_FEE_BUMP_PERCENT = 20;
+const MIN_FEE_BUMP_PERCENT = 10;         // geth and most nodes reject smaller replacements
+const DEFAULT_MAX_FEE_BUMPS = 3;
+const DEFAULT_WATCH_MS = 1800000;        // 30 minutes
+
+function getIntEnv(name, fallback) {
+  return parseInt(process.env[name], 10) || fallback;
+}
+
+/**
+ * How long a request waits for a settlement receipt on a network.
+ */
+export function getSettlementTimeoutMs(network) {
+  for (const entry of (process.env.SETTLEMENT_TIMEOUTS || '').split(',')) {
+    const [key, ms] = entry.split('=').map(v => v?.trim());
+    if ((key === network.caip2 || key === String(network.chainId)) && parseInt(ms, 10) > 0) return parseInt(ms, 10);
+  }
+  return network.settlementTimeoutMs || getIntEnv('SETTLEMENT_TIMEOUT_MS', DEFAULT_SETTLEMENT_TIMEOUT_MS);
+}
+
+async function getSettlementFees(network) {
+  const client = getPublicClient(network);
+  try {
+    const { maxFeePerGas, maxPriorityFeePerGas } = await client.estimateFeesPerGas();
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  } catch {
+    return { gasPrice: await client.getGasPrice() };    // pre-EIP-1559 chains
+  }
+}
+
+// Each fee raised by `percent` (rounded up), or to the current
+// network fee if that is higher still
+function bumpFees(fees, percent, current) {
+  return Object.fromEntries(Object.entries(fees).map(([field, value]) => {
+    const bumped = value + (value * BigInt(percent) + 99n) / 100n;
+    return [field, current[field] > bumped ? current[field] : bumped];
+  }));
+}
+
+function trackTransaction({ state, network, request, nonce, fees, hash }) {
+  const tx = {
+    state, network, request, nonce, fees,
+    hashes: [hash],                      // original first, then replacements
+    bumps: 0,
+    startedAt: Date.now(),
+    sentAt: Date.now(),
+  };
+  tx.receipt = watchTransaction(tx).finally(() => {
+    state.pending--;
+    pendingTxs.delete(hash);
+  });
+  tx.receipt.catch(() => {});            // handled by whoever waits on it
+  pendingTxs.set(hash, tx);
+}
+
+async function replaceTransaction(tx) {
+  const maxBumps = getIntEnv('SETTLEMENT_MAX_FEE_BUMPS', DEFAULT_MAX_FEE_BUMPS);
+  const percent = Math.max(getIntEnv('SETTLEMENT_FEE_BUMP_PERCENT', DEFAULT_FEE_BUMP_PERCENT), MIN_FEE_BUMP_PERCENT);
+  const current = await getSettlementFees(tx.network).catch(() => ({}));
+  const fees = bumpFees(tx.fees, percent, current);
+  tx.bumps++;
+  tx.sentAt = Date.now();
+
+  try {
+    const hash = await submitTransaction(tx.state, tx.request, { nonce: tx.nonce, ...fees });
+    tx.hashes.push(hash);
+    tx.fees = fees;
+    console.warn(`[x402] Fee bump ${tx.bumps}/${maxBumps} on chain ${tx.network.chainId}: ${tx.hashes[0]} → ${hash} (nonce ${tx.nonce})`);
+  } catch (err) {
+    if (/nonce too low|nonce has already been used/i.test(`${err.message} ${err.details || ''}`)) {
+      // One of the versions was mined; its receipt shows up on a later poll
+      tx.bumps = maxBumps;
+      return;
+    }
+    console.warn(`[x402] Fee bump failed on chain ${tx.network.chainId} for ${tx.hashes[0]}: ${err.shortMessage || err.message}`);
+  }
+}
+
+/**
+ * How long an unmined settlement tx is tracked before it is given up on.
+ */
+export function getSettlementWatchMs() {
+  return getIntEnv('SETTLEMENT_WATCH_MS', DEFAULT_WATCH_MS);
+}
+
+async function watchTransaction(tx) {
+  const client = getPublicClient(tx.network);
+  const watchMs = getSettlementWatchMs();
+
+  while (Date.now() - tx.startedAt < watchMs) {
+    // Newest first — a replacement is the likelier one to be mined
+    for (const hash of [...tx.hashes].reverse()) {
+      const receipt = await client.getTransactionReceipt({ hash }).catch(() => null);
+      if (!receipt) continue;
+      if (hash !== tx.hashes[0]) {
+        console.log(`[x402] ${tx.hashes[0]} replaced by ${hash} after ${tx.bumps} fee bump(s) | block ${receipt.blockNumber}`);
+      }
+      return receipt;
+    }
+
+    const bumpMs = getIntEnv('SETTLEMENT_FEE_BUMP_MS', DEFAULT_FEE_BUMP_MS);
+    if (tx.bumps < getIntEnv('SETTLEMENT_MAX_FEE_BUMPS', DEFAULT_MAX_FEE_BUMPS) && Date.now() - tx.sentAt >= bumpMs) {
+      await replaceTransaction(tx);
+    }
+    await new Promise(resolve => setTimeout(resolve, client.pollingInterval));
+  }
+
+  // Dropped or stuck — don't keep assigning nonces after a gap
+  tx.state.nextNonce = null;
+  throw new Error(`Transaction ${tx.hashes.at(-1)} not mined after ${Math.round(watchMs / 1000)}s (${tx.bumps} fee bumps)`);
+}
+
+/**
+ * Wait for a settlement tx sent with sendSettlementTransaction(),
+ * following fee-bump replacements. Resolves with the receipt of
+ * whichever version was mined (its transactionHash is the final
+ * hash). After the network's settlement timeout (or `timeout`) it
+ * rejects with a pending error — err.pending, err.txHash (latest
+ * version) and err.waitForReceipt(), which resolves once the tx
+ * lands after all. `prerequisite` marks txs that only prepare a
+ * payment (wallet deployment, permit): those time out as plain
+ * failures, since their landing late settles nothing.
+ */
+export async function waitForSettlementReceipt(network, hash, { timeout = getSettlementTimeoutMs(network), prerequisite = false } = {}) {
+  const tx = pendingTxs.get(hash);
+  // Not sent by this process (or finished long ago)
+  if (!tx) return getPublicClient(network).waitForTransactionReceipt({ hash, confirmations: 1, timeout });
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Transaction ${tx.hashes.at(-1)} not confirmed within ${Math.round(timeout / 1000)}s`);
+      if (!prerequisite) {
+        err.pending = true;
+        err.txHash = tx.hashes.at(-1);
+        err.waitForReceipt = () => tx.receipt;
+      }
+      reject(err);
+    }, timeout);
+  });
+  try {
+    return await Promise.race([tx.receipt, timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Whether a tx sent by this process is still being tracked
+ * (unmined, possibly being fee-bumped).
+ */
+export function isSettlementInFlight(hash) {
+  return pendingTxs.has(hash);
+}
+
+/**
+ * Pool wallets with their unconfirmed tx count per chain (for /health).
+ */
+export function getSettlementWalletStatus() {
+  let accounts;
+  try {
+    accounts = getSettlementAccounts();
+  } catch {
+    return [];
+  }
+  return accounts.map(account => {
+    const pending = {};
+    for (const state of walletStates.values()) {
+      if (state.account === account && state.pending > 0) pending[state.chainId] = state.pending;
+    }
+    return { address: account.address, pending };
+  });
+}
+
+// ============================================================
+// Token balance check (non-critical — fails open)
+// ============================================================
+export async function checkBalance(network, from, requiredAmount) {
+  const client = getPublicClient(network);
+  if (!client) {
+    console.warn(`[x402] No public client for chain ${network.chainId}, skipping balance check`);
+    return { sufficient: true };
+  }
+
+  try {
+    const balance = await client.readContract({
+      address: network.token.address,
+      abi: ERC20_ABI,
+      functionName: 'balanceOf',
+      args: [from],
+    });
+
+    if (balance < requiredAmount) {
+      return { sufficient: false, balance: balance.toString(), required: requiredAmount.toString() };
+    }
+    return { sufficient: true, balance: balance.toString() };
+  } catch (err) {
+    console.warn(`[x402] Balance check failed (non-critical): ${err.message}`);
+    return { sufficient: true };
+  }
+}
+
+// ============================================================
+// Token config check — compares each asset's configured EIP-712
+// domain and decimals with the contract. A wrong domain `name`
+// makes every signature fail at settlement, so mismatches are
+// reported at startup and on /health instead.
+// ============================================================
+const TOKEN_METADATA_ABI = parseAbi([
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+]);
+
+const tokenChecks = new Map();           // `${caip2}:${address}` -> result
+
+async function readTokenMetadata(client, address, functionName) {
+  try {
+    return await client.readContract({ address, abi: TOKEN_METADATA_ABI, functionName });
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Read name(), version(), decimals() and DOMAIN_SEPARATOR() from the
+ * network's token and compare them with its config.
+ * Returns { status: 'ok' | 'mismatch' | 'unreachable', issues, onChain }.
+ */
+export async function checkTokenConfig(network) {
+  const { token } = network;
+  const client = getPublicClient(network);
+  if (!client) return { status: 'unreachable', issues: ['No RPC configured'] };
+
+  const [name, version, decimals, separator] = await Promise.all(
+    ['name', 'version', 'decimals', 'DOMAIN_SEPARATOR'].map(fn => readTokenMetadata(client, token.address, fn)));
+  if (decimals === undefined) {
+    return { status: 'unreachable', issues: [`decimals() failed — no token at ${token.address} or RPC unreachable`] };
+  }
+
+  const issues = [];
+  if (Number(decimals) !== token.decimals) issues.push(`decimals: config ${token.decimals}, contract ${decimals}`);
+
+  // Permit2 signatures use Permit2's own domain, not the token's
+  if ((token.transferMethod || 'eip3009') !== 'permit2') {
+    const expected = domainSeparator({
+      domain: { name: token.name, version: token.version, chainId: network.chainId, verifyingContract: token.address },
+    });
+    if (separator !== undefined) {
+      // Authoritative: the contract's own domain separator
+      if (separator.toLowerCase() !== expected.toLowerCase()) {
+        issues.push(`EIP-712 domain: config name "${token.name}" version "${token.version}" does not match DOMAIN_SEPARATOR()`
+          + ` (contract name() "${name}"${version !== undefined ? `, version() "${version}"` : ''})`);
+      }
+    } else {
+      if (name !== undefined && name !== token.name) issues.push(`EIP-712 name: config "${token.name}", contract name() "${name}"`);
+      if (version !== undefined && version !== token.version) issues.push(`EIP-712 version: config "${token.version}", contract version() "${version}"`);
+    }
+  }
+
+  return {
+    status: issues.length > 0 ? 'mismatch' : 'ok',
+    issues,
+    onChain: { name, version, decimals: Number(decimals) },
+  };
+}
+
+/**
+ * Check every asset of the given (local-settlement EVM) networks
+ * without a conclusive result yet, logging mismatches.
+ */
+export async function checkTokenConfigs(networks) {
+  const views = networks
+    .filter(n => n.vm === 'evm' && !n.facilitator)
+    .flatMap(n => n.assets.map(asset => ({ ...n, token: asset })))
+    .filter(view => !['ok', 'mismatch'].includes(tokenChecks.get(`${view.caip2}:${view.token.address}`)?.status));
+
+  await Promise.all(views.map(async (view) => {
+    const result = await checkTokenConfig(view);
+    tokenChecks.set(`${view.caip2}:${view.token.address}`, { ...result, checkedAt: new Date().toISOString() });
+
+    const label = `${view.caip2} ${view.token.symbol || view.token.address}`;
+    if (result.status === 'mismatch') {
+      console.error(`[x402] ✗ Token config mismatch on ${label} — payments will fail:\n    ${result.issues.join('\n    ')}`);
+    } else if (result.status === 'unreachable') {
+      console.warn(`[x402] Token check skipped on ${label}: ${result.issues[0]}`);
+    }
+  }));
+}
+
+/**
+ * Last token check result per asset address on a network (for /health).
+ */
+export function getTokenCheckStatus(network) {
+  const out = {};
+  for (const asset of network.assets || []) {
+    const check = tokenChecks.get(`${network.caip2}:${asset.address}`);
+    if (check) out[asset.symbol || asset.address] = check.status === 'ok' ? 'ok' : { status: check.status, issues: check.issues };
+  }
+  return out;
+}
+
+// ============================================================
+// EIP-3009 settlement primitives
+// ============================================================
+
+async function isContractDeployed(network, address) {
+  const code = await getPublicClient(network).getCode({ address });
+  return !!code && code !== '0x';
+}
+
+/**
+ * Decide how an authorization signature is submitted:
+ *   eoa      — 65-byte ECDSA signature by `from`, (v, r, s) overload
+ *   contract — EIP-1271 smart-wallet signature, bytes overload
+ * ERC-6492 wrappers are unwrapped; `deployment` ({ factory,
+ * factoryData }) is set when the wallet isn't deployed yet.
+ */
+export async function resolveAuthorizationSignature(paymentPayload, network) {
+  const { authorization, signature } = paymentPayload.payload;
+
+  if (isErc6492Signature(signature)) {
+    const { address: factory, data: factoryData, signature: inner } = parseErc6492Signature(signature);
+    const deployed = await isContractDeployed(network, authorization.from);
+    return { kind: 'contract', signature: inner, deployment: deployed ? null : { factory, factoryData } };
+  }
+
+  if (size(signature) === 65) {
+    try {
+      const signer = await recoverTypedDataAddress({
+        ...getTransferAuthorizationTypedData(authorization, network), signature,
+      });
+      if (isAddressEqual(signer, authorization.from)) return { kind: 'eoa', signature, deployment: null };
+    } catch {
+      // Not a recoverable ECDSA signature — treat as EIP-1271
+    }
+  }
+
+  return { kind: 'contract', signature, deployment: null };
+}
+
+function buildTransferWithAuthorizationRequest(authorization, network, resolved) {
+  const signatureArgs = resolved.kind === 'eoa'
+    ? (({ v, r, s }) => [Number(v), r, s])(parseSignature(resolved.signature))
+    : [resolved.signature];
+
+  return {
+    address: network.token.address,
+    abi: ERC3009_ABI,
+    functionName: 'transferWithAuthorization',
+    args: [
+      authorization.from, authorization.to,
+      BigInt(authorization.value),
+      BigInt(authorization.validAfter), BigInt(authorization.validBefore),
+      authorization.nonce, ...signatureArgs,
+    ],
+  };
+}
+
+// Counterfactual (ERC-6492) wallets are deployed through their
+// factory before the token can check their EIP-1271 signature.
+// The settlement wallet pays the deployment gas, so the factory
+// call is estimated when the payment is verified and refused above
+// SMART_WALLET_DEPLOY_MAX_GAS (default 500000); the deployment tx
+// is sent with that as its gas limit, whatever the factory does.
+
+const DEFAULT_DEPLOY_MAX_GAS = 500000;
+
+function getDeployMaxGas() {
+  return BigInt(getIntEnv('SMART_WALLET_DEPLOY_MAX_GAS', DEFAULT_DEPLOY_MAX_GAS));
+}
+
+/**
+ * Gas to deploy a counterfactual smart wallet through its factory.
+ * Throws when the factory call reverts or needs more than
+ * SMART_WALLET_DEPLOY_MAX_GAS.
+ */
+export async function estimateSmartWalletDeploymentGas(network, { factory, factoryData }) {
+  const gas = await getPublicClient(network).estimateGas({
+    account: getSettlementAccount(), to: factory, data: factoryData,
+  });
+  const maxGas = getDeployMaxGas();
+  if (gas > maxGas) throw new Error(`Smart wallet deployment needs ${gas} gas (max ${maxGas})`);
+  return gas;
+}
+
+async function deploySmartWallet(network, from, { factory, factoryData }) {
+  await estimateSmartWalletDeploymentGas(network, { factory, factoryData });
+  const hash = await sendSettlementTransaction(network, { to: factory, data: factoryData, gas: getDeployMaxGas() });
+  const receipt = await waitForSettlementReceipt(network, hash, { prerequisite: true });
+  if (receipt.status !== 'success' && !(await isContractDeployed(network, from))) {
+    throw new Error(`Smart wallet deployment ${hash} reverted`);
+  }
+  console.log(`[x402] Deployed smart wallet ${from} via factory ${factory}: ${hash}`);
+}
+
+/**
+ * Dry-run the settlement of a smart-wallet payment so a token
+ * without the bytes overload, or a rejected EIP-1271 signature,
+ * fails verification instead of settlement. Not-yet-deployed
+ * wallets get their deployment estimated instead (see above).
+ * No-op for EOA signatures.
+ */
+export async function simulateSmartWalletSettlement(paymentPayload, network) {
+  const resolved = await resolveAuthorizationSignature(paymentPayload, network);
+  if (resolved.kind === 'eoa') return;
+  if (resolved.deployment) {
+    await estimateSmartWalletDeploymentGas(network, resolved.deployment);
+    return;
+  }
+
+  await getPublicClient(network).simulateContract({
+    account: getSettlementAccount(),
+    ...buildTransferWithAuthorizationRequest(paymentPayload.payload.authorization, network, resolved),
+  });
+}
+
+/**
+ * Gas estimate for settling an EIP-3009 payment from the primary
+ * settlement wallet: { deploymentGas, transferGas }. A not-yet-
+ * deployed smart wallet has its deployment estimated and
+ * transferGas null (the transfer can't be simulated before it).
+ */
+export async function estimateTransferWithAuthorizationGas(paymentPayload, network) {
+  const resolved = await resolveAuthorizationSignature(paymentPayload, network);
+  if (resolved.deployment) {
+    return { deploymentGas: await estimateSmartWalletDeploymentGas(network, resolved.deployment), transferGas: null };
+  }
+
+  const transferGas = await getPublicClient(network).estimateContractGas({
+    account: getSettlementAccount(),
+    ...buildTransferWithAuthorizationRequest(paymentPayload.payload.authorization, network, resolved),
+  });
+  return { deploymentGas: 0n, transferGas };
+}
+
+/**
+ * Submit transferWithAuthorization for an exact payment from a
+ * pool wallet, deploying a counterfactual payer wallet first.
+ * Returns the tx hash without waiting for the receipt.
+ */
+export async function submitTransferWithAuthorization(paymentPayload, network) {
+  const { authorization } = paymentPayload.payload;
+  const resolved = await resolveAuthorizationSignature(paymentPayload, network);
+
+  if (resolved.deployment) await deploySmartWallet(network, authorization.from, resolved.deployment);
+
+  return sendSettlementTransaction(network, buildTransferWithAuthorizationRequest(authorization, network, resolved));
+}
+
+/**
+ * Whether an EIP-3009 authorization nonce was already used on-chain.
+ */
+export async function isAuthorizationUsed(network, authorizer, nonce) {
+  const client = getPublicClient(network);
+  if (!client) throw new Error(`No public client for chain ${network.chainId}`);
+  return client.readContract({
+    address: network.token.address,
+    abi: ERC3009_ABI,
+    functionName: 'authorizationState',
+    args: [authorizer, nonce],
+  });
+}
+
+// How far back findAuthorizationTransaction searches (most RPCs cap log ranges)
+const AUTHORIZATION_LOG_BLOCKS = 5000n;
+
+/**
+ * The tx that used an EIP-3009 authorization, from the token's
+ * AuthorizationUsed event in recent blocks: { txHash, blockNumber },
+ * or null when it isn't found (older, or the RPC refused the query).
+ */
+export async function findAuthorizationTransaction(network, authorizer, nonce) {
+  const client = getPublicClient(network);
+  try {
+    const latest = await client.getBlockNumber();
+    const [log] = await client.getContractEvents({
+      address: network.token.address,
+      abi: ERC3009_ABI,
+      eventName: 'AuthorizationUsed',
+      args: { authorizer, nonce },
+      fromBlock: latest > AUTHORIZATION_LOG_BLOCKS ? latest - AUTHORIZATION_LOG_BLOCKS : 0n,
+      toBlock: latest,
+    });
+    return log ? { txHash: log.transactionHash, blockNumber: Number(log.blockNumber) } : null;
+  } catch {
+    return null;
+  }
+}
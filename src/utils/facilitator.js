@@ -0,0 +1,112 @@
+// src/utils/facilitator.js
+
+import { toTokenAmount } from './pricing.js';
+
+// ============================================================
+// External facilitator client (EVM networks with `facilitator`,
+// e.g. MegaETH via Meridian) — used by payment verification and
+// settlement, and by nonce recovery to reconcile ambiguous results.
+//
+// A settle call that fails outright (4xx, success: false) settled
+// nothing. One that never answers properly — network error,
+// timeout, 5xx, non-JSON — may or may not have settled: it is
+// thrown with `err.ambiguous` set.
+//
+// Env:
+//   FACILITATOR_TIMEOUT_MS=30000   — per request
+// ============================================================
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function getTimeoutMs() {
+  return parseInt(process.env.FACILITATOR_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * The { paymentPayload, paymentRequirements } body the facilitator
+ * expects for a payment (same for /verify and /settle).
+ */
+export function getFacilitatorRequest(paymentPayload, routeConfig, network) {
+  const { networkName, facilitatorContract, x402Version } = network.facilitator;
+  const amountRequired = toTokenAmount(routeConfig.priceAtomic, network.token);
+
+  const facilitatorNetwork = networkName || paymentPayload.network;
+  const facilitatorPayTo = facilitatorContract || routeConfig.payTo;
+
+  return {
+    paymentPayload: {
+      x402Version: x402Version || paymentPayload.x402Version || 2,
+      scheme: paymentPayload.scheme,
+      network: facilitatorNetwork,
+      payload: paymentPayload.payload,
+    },
+    paymentRequirements: {
+      scheme: 'exact', network: facilitatorNetwork,
+      maxAmountRequired: amountRequired, maxTimeoutSeconds: 3600,
+      payTo: facilitatorPayTo, asset: network.token.address,
+      resource: routeConfig.resource || '', description: routeConfig.description,
+      mimeType: routeConfig.mimeType, amount: amountRequired, recipient: facilitatorPayTo,
+    },
+  };
+}
+
+function ambiguousError(message) {
+  return Object.assign(new Error(message), { ambiguous: true });
+}
+
+// POST to the facilitator: { ok, status, data }. Throws an ambiguous
+// error when no usable answer came back.
+async function postToFacilitator(network, endpoint, body) {
+  const { url, apiKeyEnv } = network.facilitator;
+  const apiKey = process.env[apiKeyEnv];
+  if (!apiKey) throw new Error(`No API key for facilitator (env: ${apiKeyEnv})`);
+
+  let res;
+  try {
+    res = await fetch(`${url}/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(getTimeoutMs()),
+    });
+  } catch (err) {
+    throw ambiguousError(err.name === 'TimeoutError' ? `Facilitator timed out after ${getTimeoutMs()}ms` : `Facilitator unreachable: ${err.message}`);
+  }
+
+  const resText = await res.text().catch(() => '');
+  let data;
+  try { data = JSON.parse(resText); } catch {
+    throw ambiguousError(`Facilitator returned non-JSON (${res.status})`);
+  }
+  if (res.status >= 500) {
+    throw ambiguousError(`Facilitator error (${res.status}): ${data.error?.message || data.errorReason || JSON.stringify(data)}`);
+  }
+  return { ok: res.ok, status: res.status, data };
+}
+
+/**
+ * Ask the facilitator whether a payment is valid: { valid, payer?, reason? }.
+ */
+export async function verifyWithFacilitator(network, body) {
+  try {
+    const { ok, status, data } = await postToFacilitator(network, 'verify', body);
+    if (!ok) return { valid: false, reason: `Facilitator error (${status}): ${data.error?.message || data.invalidReason || JSON.stringify(data)}` };
+    if (data.isValid) return { valid: true, payer: data.payer };
+    return { valid: false, reason: data.invalidReason || 'Facilitator rejected payment' };
+  } catch (err) {
+    return { valid: false, ambiguous: !!err.ambiguous, reason: `Facilitator verify failed: ${err.message}` };
+  }
+}
+
+/**
+ * Have the facilitator settle a payment. Resolves with its response
+ * ({ success, transaction, network, ... }); throws on rejection, with
+ * `err.ambiguous` when the payment may have settled anyway.
+ */
+export async function settleWithFacilitator(network, body) {
+  const { ok, data } = await postToFacilitator(network, 'settle', body);
+  if (!ok || !data.success) {
+    throw new Error(`Facilitator settle failed: ${data.errorReason || data.error?.message || JSON.stringify(data)}`);
+  }
+  return data;
+}
@@ -0,0 +1,165 @@
+// src/utils/pricing.js
+
+// ============================================================
+// Request pricing
+//
+// A route has a default price (price / priceAtomic) and may
+// declare `pricing` rules that override it for specific
+// requests. Rules are checked in order; the first match wins.
+//
+//   pricing: [
+//     { match: { method: 'POST', path: 'generate' }, price: '$0.05', priceAtomic: '50000' },
+//     { match: { body: { model: 'large' } },          price: '$0.10', priceAtomic: '100000' },
+//     { match: { path: 'status', method: 'GET' },     price: '$0.001', priceAtomic: '1000' },
+//   ]
+//
+// Match fields (all optional, every given field must match):
+//   path   — subpath glob after /v1/{key}/ ('*' = one segment, '**' = any)
+//   method — HTTP method or array of methods
+//   query  — { param: value | [values] }
+//   body   — { 'dotted.field': value | [values] } (JSON bodies)
+//
+// `networkPricing` then adjusts the resolved price per network,
+// e.g. to cover L1 settlement gas:
+//
+//   networkPricing: {
+//     'eip155:1':     { surchargeAtomic: '40000' },  // +$0.04 on Ethereum
+//     'eip155:43114': { priceAtomic: '20000' },      // flat $0.02 on Avalanche
+//   }
+//
+// priceAtomic replaces the resolved price (rule or route default),
+// surchargeAtomic is added on top; both may be combined. On upto
+// routes the surcharge also raises maxPriceAtomic.
+// ============================================================
+
+const BASE_PRICE_DECIMALS = 6;
+
+// Express 5 returns wildcard params as arrays
+export function getSubpath(params) {
+  const subpath = Array.isArray(params?.path) ? params.path.join('/') : params?.path;
+  return subpath || '';
+}
+
+/**
+ * A positive decimal ('0.86', 3500, …) as an exact fraction
+ * [numerator, denominator], or null if it isn't one.
+ */
+export function parseDecimalFraction(value) {
+  const text = String(value ?? '').trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match || /^0*\.?0*$/.test(text)) return null;
+  const frac = match[2] || '';
+  return [BigInt(match[1] + frac), 10n ** BigInt(frac.length)];
+}
+
+// token.rate as a fraction (default 1)
+function getRateFraction(token) {
+  const fraction = parseDecimalFraction(token.rate ?? '1');
+  if (!fraction) throw new Error(`Invalid rate for ${token.symbol || token.address}: ${token.rate}`);
+  return fraction;
+}
+
+/**
+ * Scale a 6-decimal USD atomic price to a token's decimals,
+ * converted at the token's rate (rounded up).
+ * Returns the atomic token amount as a string.
+ */
+export function toTokenAmount(priceAtomic, token) {
+  const [num, den] = getRateFraction(token);
+  const decimalDiff = token.decimals - BASE_PRICE_DECIMALS;
+  const scaled = BigInt(priceAtomic) * num * (decimalDiff > 0 ? 10n ** BigInt(decimalDiff) : 1n);
+  return ((scaled + den - 1n) / den).toString();
+}
+
+/**
+ * Convert a token atomic amount back to 6-decimal USD atomic units
+ * (inverse of toTokenAmount; sub-micro-dollar dust is truncated).
+ */
+export function toUsdAtomic(tokenAmount, token) {
+  const [num, den] = getRateFraction(token);
+  const decimalDiff = token.decimals - BASE_PRICE_DECIMALS;
+  return (BigInt(tokenAmount) * den) / (num * (decimalDiff > 0 ? 10n ** BigInt(decimalDiff) : 1n));
+}
+
+/**
+ * Format a USD atomic amount (6 decimals) as a display price, e.g. '$0.015'.
+ */
+export function formatUsd(priceAtomic) {
+  const atomic = BigInt(priceAtomic);
+  const whole = atomic / 1000000n;
+  const frac = (atomic % 1000000n).toString().padStart(6, '0').replace(/0+$/, '');
+  return `$${whole}.${frac.padEnd(2, '0')}`;
+}
+
+/**
+ * The route config as priced on one network (networkPricing applied).
+ * Returns routeConfig itself when the network has no override.
+ */
+export function applyNetworkPricing(routeConfig, network) {
+  const override = routeConfig.networkPricing?.[network.caip2];
+  if (!override) return routeConfig;
+
+  const surcharge = BigInt(override.surchargeAtomic ?? 0);
+  const priceAtomic = (BigInt(override.priceAtomic ?? routeConfig.priceAtomic) + surcharge).toString();
+  const upto = routeConfig.upto?.maxPriceAtomic && surcharge > 0n
+    ? { ...routeConfig.upto, maxPriceAtomic: (BigInt(routeConfig.upto.maxPriceAtomic) + surcharge).toString() }
+    : routeConfig.upto;
+
+  return { ...routeConfig, price: formatUsd(priceAtomic), priceAtomic, ...(upto && { upto }) };
+}
+
+// ─── Rule Matching ─────────────────────────────────────────
+
+const globCache = new Map();
+
+function globToRegExp(glob) {
+  if (globCache.has(glob)) return globCache.get(glob);
+  const source = glob
+    .replace(/^\/+/, '')
+    .split('**')
+    .map(part => part.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  const re = new RegExp(`^${source}$`);
+  globCache.set(glob, re);
+  return re;
+}
+
+function valueMatches(expected, actual) {
+  if (actual === undefined || actual === null) return false;
+  const options = Array.isArray(expected) ? expected : [expected];
+  return options.some(option => String(option) === String(actual));
+}
+
+function getField(obj, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function ruleMatches(match = {}, req) {
+  if (match.method) {
+    const methods = (Array.isArray(match.method) ? match.method : [match.method]).map(m => String(m).toUpperCase());
+    if (!methods.includes(req.method)) return false;
+  }
+  if (match.path && !globToRegExp(match.path).test(getSubpath(req.params))) return false;
+  for (const [param, expected] of Object.entries(match.query || {})) {
+    if (!valueMatches(expected, req.query?.[param])) return false;
+  }
+  for (const [field, expected] of Object.entries(match.body || {})) {
+    if (!valueMatches(expected, getField(req.body, field))) return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve the price for a request against a route's pricing rules.
+ * Returns { price, priceAtomic, rule } — rule is the matched rule
+ * index, or null when the route default applies.
+ */
+export function resolveRoutePrice(routeConfig, req) {
+  const rules = routeConfig.pricing || [];
+  for (const [index, rule] of rules.entries()) {
+    if (ruleMatches(rule.match, req)) {
+      return { price: rule.price, priceAtomic: String(rule.priceAtomic), rule: index };
+    }
+  }
+  return { price: routeConfig.price, priceAtomic: String(routeConfig.priceAtomic), rule: null };
+}
@@ -9,6 +9,12 @@ import { Redis } from '@upstash/redis';
 //   1. Nonce tracking (replay attack prevention)
 //   2. Payment-identifier idempotency (duplicate charge prevention)
 //   3. Credit system (backend failure compensation)
+//   4. Route config source (optional hot-reload)
+//   5. Prepaid deposit balances
+//   6. Access pass call budgets
+//   7. Settlement queue (optional async EVM settlement)
+//   8. Payment quotes issued with 402 challenges
+//   9. Overpayments and the refunds owed for them
 //
 // All keys are prefixed with "x402:" to avoid conflicts
 // with other services sharing the same Upstash instance.
@@ -31,16 +37,35 @@ function getRedis() {
 
 // ─── Key Prefixes ──────────────────────────────────────────
 const NONCE_PREFIX = 'x402:nonce:';
+const NONCE_PENDING_SET_KEY = 'x402:nonces:pending';
 const IDEMPOTENCY_PREFIX = 'x402:idempotency:';
+const IDEMPOTENCY_DELIVERY_PREFIX = 'x402:idempotency-delivery:';
 const CREDIT_PREFIX = 'x402:credit:';
+const CREDIT_LOG_PREFIX = 'x402:credit-log:';
+const BALANCE_PREFIX = 'x402:balance:';
+const OVERPAID_PREFIX = 'x402:overpaid:';
+const REFUND_PREFIX = 'x402:refunds:';
+const PASS_PREFIX = 'x402:pass:';
+const QUOTE_PREFIX = 'x402:quote:';
+const SETTLE_QUEUE_PREFIX = 'x402:settle:queue:';
+const SETTLE_ITEM_PREFIX = 'x402:settle:item:';
+const SETTLE_FAILED_KEY = 'x402:settle:failed';
+const SETTLE_STATS_KEY = 'x402:settle:stats';
 
 // ─── TTLs (seconds) ────────────────────────────────────────
 const NONCE_PENDING_TTL = 3600;        // 1 hour for pending settlements
 const NONCE_CONFIRMED_TTL = 604800;    // 7 days for confirmed settlements
 const IDEMPOTENCY_TTL = 3600;          // 1 hour for cached responses
+const SETTLE_FAILED_TTL = 604800;      // 7 days for dead-lettered settlements
 
 // ============================================================
 // Nonce Operations — Replay Attack Prevention
+//
+// Pending and submitted nonces are also indexed in a ZSET
+// (x402:nonces:pending, scored by reservation time) so the
+// recovery job can find records a crashed process left behind
+// (see src/settlement/recovery.js). Every later status removes
+// the nonce from the index.
 // ============================================================
 
 /**
@@ -69,7 +94,11 @@ export async function setNoncePending(nonce, metadata = {}) {
       { status: 'pending', timestamp: Date.now(), ...metadata },
       { nx: true, ex: NONCE_PENDING_TTL }
     );
-    return result === 'OK';
+    if (result !== 'OK') return false;
+    // Index for crash recovery — a failure here only delays cleanup to the TTL
+    await getRedis().zadd(NONCE_PENDING_SET_KEY, { score: Date.now(), member: nonce })
+      .catch(err => console.error('[redis] setNoncePending index error:', err.message));
+    return true;
   } catch (err) {
     console.error('[redis] setNoncePending error:', err.message);
     return false; // Fail closed — reject payment to be safe
@@ -81,33 +110,128 @@ export async function setNoncePending(nonce, metadata = {}) {
  */
 export async function setNonceConfirmed(nonce, settlementData = {}) {
   try {
-    await getRedis().set(
-      `${NONCE_PREFIX}${nonce}`,
-      { status: 'confirmed', timestamp: Date.now(), ...settlementData },
-      { ex: NONCE_CONFIRMED_TTL }
-    );
+    await getRedis().multi()
+      .set(
+        `${NONCE_PREFIX}${nonce}`,
+        { status: 'confirmed', timestamp: Date.now(), ...settlementData },
+        { ex: NONCE_CONFIRMED_TTL }
+      )
+      .zrem(NONCE_PENDING_SET_KEY, nonce)
+      .exec();
   } catch (err) {
     console.error('[redis] setNonceConfirmed error:', err.message);
   }
 }
 
+/**
+ * Mark a nonce as queued for async settlement. Blocks replays
+ * exactly like a confirmed nonce while the worker settles it.
+ */
+export async function setNonceQueued(nonce, metadata = {}) {
+  try {
+    await getRedis().multi()
+      .set(
+        `${NONCE_PREFIX}${nonce}`,
+        { status: 'queued', timestamp: Date.now(), ...metadata },
+        { ex: NONCE_CONFIRMED_TTL }
+      )
+      .zrem(NONCE_PENDING_SET_KEY, nonce)
+      .exec();
+  } catch (err) {
+    console.error('[redis] setNonceQueued error:', err.message);
+  }
+}
+
+/**
+ * Mark a nonce as submitted: the settlement tx was broadcast but not
+ * confirmed in time. Outlives the pending TTL — the tx may still land.
+ */
+export async function setNonceSubmitted(nonce, metadata = {}) {
+  try {
+    await getRedis().multi()
+      .set(
+        `${NONCE_PREFIX}${nonce}`,
+        { status: 'submitted', timestamp: Date.now(), ...metadata },
+        { ex: NONCE_CONFIRMED_TTL }
+      )
+      .zadd(NONCE_PENDING_SET_KEY, { score: Date.now(), member: nonce })
+      .exec();
+  } catch (err) {
+    console.error('[redis] setNonceSubmitted error:', err.message);
+  }
+}
+
+/**
+ * Mark a nonce as failed after settlement was given up on (queue
+ * dead letter, or a submitted tx that never landed). Kept (not
+ * deleted) so the authorization is never served twice.
+ */
+export async function setNonceFailed(nonce, metadata = {}) {
+  try {
+    await getRedis().multi()
+      .set(
+        `${NONCE_PREFIX}${nonce}`,
+        { status: 'failed', timestamp: Date.now(), ...metadata },
+        { ex: NONCE_CONFIRMED_TTL }
+      )
+      .zrem(NONCE_PENDING_SET_KEY, nonce)
+      .exec();
+  } catch (err) {
+    console.error('[redis] setNonceFailed error:', err.message);
+  }
+}
+
 /**
  * Delete a nonce (e.g., if settlement fails and we want to allow retry).
  */
 export async function deleteNonce(nonce) {
   try {
-    await getRedis().del(`${NONCE_PREFIX}${nonce}`);
+    await getRedis().multi()
+      .del(`${NONCE_PREFIX}${nonce}`)
+      .zrem(NONCE_PENDING_SET_KEY, nonce)
+      .exec();
   } catch (err) {
     console.error('[redis] deleteNonce error:', err.message);
   }
 }
 
+/**
+ * Pending/submitted nonces indexed more than olderThanMs ago, oldest
+ * first: [{ nonce, record }]. record is null when the nonce record
+ * has expired. Returns [] on error.
+ */
+export async function getStalePendingNonces(olderThanMs, limit) {
+  try {
+    const nonces = await getRedis().zrange(NONCE_PENDING_SET_KEY, '-inf', Date.now() - olderThanMs, {
+      byScore: true, offset: 0, count: limit,
+    });
+    if (nonces.length === 0) return [];
+    const records = await getRedis().mget(...nonces.map(nonce => `${NONCE_PREFIX}${nonce}`));
+    return nonces.map((nonce, i) => ({ nonce, record: records[i] || null }));
+  } catch (err) {
+    console.error('[redis] getStalePendingNonces error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Drop a nonce from the recovery index without touching its record.
+ */
+export async function unindexPendingNonce(nonce) {
+  try {
+    await getRedis().zrem(NONCE_PENDING_SET_KEY, nonce);
+  } catch (err) {
+    console.error('[redis] unindexPendingNonce error:', err.message);
+  }
+}
+
 // ============================================================
 // Idempotency Operations — Payment-Identifier Extension
 // ============================================================
 
 /**
- * Get a cached response for a payment identifier.
+ * Get a cached payment for a payment identifier:
+ * { timestamp, payer, route, fingerprint, payloadHash, response, backendResponse? }
  */
 export async function getIdempotencyCache(paymentId) {
   try {
@@ -120,13 +244,15 @@ export async function getIdempotencyCache(paymentId) {
 }
 
 /**
- * Cache a response for a payment identifier after successful settlement.
+ * Cache a payment for a payment identifier after successful settlement.
+ * binding ({ payer, route, fingerprint, payloadHash }) is what a retry
+ * must match to be served from the entry.
  */
-export async function setIdempotencyCache(paymentId, responseData) {
+export async function setIdempotencyCache(paymentId, responseData, binding = {}) {
   try {
     await getRedis().set(
       `${IDEMPOTENCY_PREFIX}${paymentId}`,
-      { timestamp: Date.now(), response: responseData },
+      { timestamp: Date.now(), ...binding, response: responseData },
       { ex: IDEMPOTENCY_TTL }
     );
   } catch (err) {
@@ -134,17 +260,74 @@ export async function setIdempotencyCache(paymentId, responseData) {
   }
 }
 
+/**
+ * Attach the backend response ({ status, headers, body }) to an
+ * existing idempotency entry, keeping its TTL. No-op without one.
+ */
+export async function setIdempotencyResponse(paymentId, backendResponse) {
+  try {
+    const key = `${IDEMPOTENCY_PREFIX}${paymentId}`;
+    const data = await getRedis().get(key);
+    if (!data) return;
+    await getRedis().set(key, { ...data, backendResponse }, { xx: true, keepTtl: true });
+  } catch (err) {
+    console.error('[redis] setIdempotencyResponse error:', err.message);
+  }
+}
+
+/**
+ * Mark a cached payment whose backend response never reached the
+ * client (a settlement that landed late): one retry may still be
+ * forwarded to the backend for it.
+ */
+export async function setIdempotencyUndelivered(paymentId) {
+  try {
+    await getRedis().set(`${IDEMPOTENCY_DELIVERY_PREFIX}${paymentId}`, Date.now(), { ex: IDEMPOTENCY_TTL });
+  } catch (err) {
+    console.error('[redis] setIdempotencyUndelivered error:', err.message);
+  }
+}
+
+/**
+ * Claim the pending delivery of a cached payment. True for exactly
+ * one caller; false when there is none or on error (fail closed —
+ * the backend is never called twice for one payment).
+ */
+export async function claimIdempotentDelivery(paymentId) {
+  try {
+    return (await getRedis().del(`${IDEMPOTENCY_DELIVERY_PREFIX}${paymentId}`)) === 1;
+  } catch (err) {
+    console.error('[redis] claimIdempotentDelivery error:', err.message);
+    return false;
+  }
+}
+
 // ============================================================
 // Credit Operations — Backend Failure Compensation
 //
 // Credits are issued when a paid request settles on-chain but
-// the backend returns a creditworthy error (e.g. 5xx).
-// The payer can redeem credits on subsequent requests by
-// presenting a valid payment signature (proves wallet ownership)
-// without needing to settle on-chain again.
+// the backend returns a creditworthy error (e.g. 5xx), worth
+// the price of that request. They are a USD amount, not a count
+// of calls, so a credit earned on one route can pay (in full or
+// in part) for a request on another (see src/middleware/credit.js).
 //
-// Key format: x402:credit:{payerAddress}:{routeKey}
-// Value: integer count of available credits
+// Key format:
+//   x402:credit:{payerAddress}      — integer USD atomic units,
+//                                     expires creditTtl after the
+//                                     last issuance
+//   x402:credit-log:{payerAddress}  — STREAM, one entry per issuance
+//                                     or redemption: type, amount,
+//                                     balance after, route, reason, ref
+//
+// Balance and log entry are written by one Lua script, so the log
+// always adds up to the balance. The log is append-only and has no
+// TTL — it is the audit trail. A balance that expired is logged as
+// an `expire` entry the next time the payer's credits are issued,
+// redeemed or looked up.
+//
+// Credits from before the USD ledger — per-route call counts under
+// x402:credit:{payerAddress}:{routeKey} — are converted at startup
+// (see migrateLegacyCredits in src/middleware/credit.js).
 //
 // Security: Payer address is extracted from the cryptographically
 // verified EIP-712/SVM signature — cannot be spoofed.
@@ -154,80 +337,594 @@ export async function setIdempotencyCache(paymentId, responseData) {
 //   - Write failures → log and move on, agent misses one credit
 // ============================================================
 
+// Lua: log a balance that expired since the payer's last log entry
+// (logCreditExpiry(balanceKey, logKey)), so the log keeps adding up
+const LOG_CREDIT_EXPIRY_LUA = `
+  local function logCreditExpiry(balanceKey, logKey)
+    if redis.call('EXISTS', balanceKey) == 1 then return end
+    local last = redis.call('XREVRANGE', logKey, '+', '-', 'COUNT', 1)[1]
+    if not last then return end
+    for i = 1, #last[2], 2 do
+      if last[2][i] == 'balance' and tonumber(last[2][i + 1]) > 0 then
+        redis.call('XADD', logKey, '*', 'type', 'expire', 'amount', last[2][i + 1], 'balance', 0,
+          'route', '', 'reason', 'expired', 'ref', '')
+      end
+    end
+  end
+`;
+
 /**
- * Get credit count for a payer on a specific route.
- * Returns integer count (0 if no credits or on error).
- * Fails open — returns 0 on error so normal payment proceeds.
+ * Get a payer's credit balance in USD atomic units.
+ * Returns 0 if none or on error (fails open — normal payment proceeds).
  */
-export async function getCreditCount(payerAddress, routeKey) {
+export async function getCredit(payerAddress) {
   try {
-    const key = `${CREDIT_PREFIX}${payerAddress.toLowerCase()}:${routeKey}`;
-    const count = await getRedis().get(key);
-    return typeof count === 'number' ? count : 0;
+    const amount = await getRedis().get(`${CREDIT_PREFIX}${payerField(payerAddress)}`);
+    return typeof amount === 'number' ? amount : 0;
   } catch (err) {
-    console.error('[redis] getCreditCount error:', err.message);
-    return 0; // Fail open — no credits means normal payment flow
+    console.error('[redis] getCredit error:', err.message);
+    return 0;
   }
 }
 
 /**
- * Atomically decrement a credit for a payer on a specific route.
- * Returns true if a credit was consumed, false if none available.
+ * Atomically add credit, capped so the balance doesn't exceed
+ * capAtomic (null for no cap), and log the issuance. Resets the TTL
+ * so credits stay alive as long as failures keep occurring.
  *
- * Uses Lua script for atomicity — prevents race conditions where
- * two concurrent requests both read count=1 and both try to consume.
+ * @param {string} payerAddress - Wallet address of the payer
+ * @param {bigint|number|string} amountAtomic - USD atomic units to add
+ * @param {object} entry - { capAtomic, ttlSeconds, route, reason, ref }
+ * @returns {{ issued: number, balance: number }|null} issued is 0 at
+ *   the cap; null on error
  */
-export async function decrementCredit(payerAddress, routeKey) {
+export async function issueCredit(payerAddress, amountAtomic, { capAtomic = null, ttlSeconds, route, reason, ref = '' }) {
   try {
-    const key = `${CREDIT_PREFIX}${payerAddress.toLowerCase()}:${routeKey}`;
+    const payer = payerField(payerAddress);
     const result = await getRedis().eval(
-      `local count = tonumber(redis.call('GET', KEYS[1]) or 0)
-       if count > 0 then
-         redis.call('DECR', KEYS[1])
-         return 1
+      `${LOG_CREDIT_EXPIRY_LUA}
+       logCreditExpiry(KEYS[1], KEYS[2])
+       local balance = tonumber(redis.call('GET', KEYS[1]) or 0)
+       local issued = tonumber(ARGV[1])
+       local cap = tonumber(ARGV[2])
+       if cap >= 0 then issued = math.max(math.min(issued, cap - balance), 0) end
+       if issued > 0 then
+         balance = redis.call('INCRBY', KEYS[1], issued)
+         redis.call('XADD', KEYS[2], '*', 'type', 'issue', 'amount', issued, 'balance', balance,
+           'route', ARGV[4], 'reason', ARGV[5], 'ref', ARGV[6])
        end
+       if balance > 0 then redis.call('EXPIRE', KEYS[1], tonumber(ARGV[3])) end
+       return {issued, balance}`,
+      [`${CREDIT_PREFIX}${payer}`, `${CREDIT_LOG_PREFIX}${payer}`],
+      [Number(amountAtomic), capAtomic == null ? -1 : Number(capAtomic), ttlSeconds, route, reason, ref]
+    );
+    return Array.isArray(result) ? { issued: Number(result[0]), balance: Number(result[1]) } : null;
+  } catch (err) {
+    console.error('[redis] issueCredit error:', err.message);
+    return null; // Non-critical — agent misses one credit
+  }
+}
+
+/**
+ * Atomically spend credit — all of amountAtomic or nothing — and log
+ * the redemption. Returns the balance left, or -1 if the balance
+ * doesn't cover it or on error.
+ *
+ * Uses Lua script for atomicity — prevents race conditions where
+ * two concurrent requests both read the same balance and both spend it.
+ */
+export async function redeemCredit(payerAddress, amountAtomic, { route, reason, ref = '' }) {
+  try {
+    const payer = payerField(payerAddress);
+    const result = await getRedis().eval(
+      `${LOG_CREDIT_EXPIRY_LUA}
+       logCreditExpiry(KEYS[1], KEYS[2])
+       local balance = tonumber(redis.call('GET', KEYS[1]) or 0)
+       local amount = tonumber(ARGV[1])
+       if amount <= 0 or balance < amount then return -1 end
+       balance = redis.call('DECRBY', KEYS[1], amount)
+       redis.call('XADD', KEYS[2], '*', 'type', 'redeem', 'amount', amount, 'balance', balance,
+         'route', ARGV[2], 'reason', ARGV[3], 'ref', ARGV[4])
+       return balance`,
+      [`${CREDIT_PREFIX}${payer}`, `${CREDIT_LOG_PREFIX}${payer}`],
+      [Number(amountAtomic), route, reason, ref]
+    );
+    return typeof result === 'number' ? result : -1;
+  } catch (err) {
+    console.error('[redis] redeemCredit error:', err.message);
+    return -1; // Fail closed — don't grant free access on error
+  }
+}
+
+/**
+ * A payer's credit log, newest first (up to `count` entries):
+ * [{ id, type, amount, balance, route, reason, ref, at }].
+ * Returns [] if none or on error.
+ */
+export async function getCreditHistory(payerAddress, count = 50) {
+  try {
+    const payer = payerField(payerAddress);
+    await getRedis().eval(
+      `${LOG_CREDIT_EXPIRY_LUA}
+       logCreditExpiry(KEYS[1], KEYS[2])
        return 0`,
-      [key],
+      [`${CREDIT_PREFIX}${payer}`, `${CREDIT_LOG_PREFIX}${payer}`],
       []
     );
-    return result === 1;
+    const entries = await getRedis().xrevrange(`${CREDIT_LOG_PREFIX}${payer}`, '+', '-', count);
+    return Object.entries(entries || {}).map(([id, fields]) => ({
+      id,
+      type: fields.type,
+      amount: String(fields.amount),
+      balance: String(fields.balance),
+      route: fields.route,
+      reason: fields.reason,
+      ...(fields.ref && { ref: fields.ref }),
+      at: new Date(Number(id.split('-')[0])).toISOString(),
+    }));
+  } catch (err) {
+    console.error('[redis] getCreditHistory error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Legacy per-route credit counts (x402:credit:{payer}:{routeKey},
+ * from before the USD ledger): [{ key, payer, routeKey }].
+ * Returns [] on error.
+ */
+export async function getLegacyCreditKeys() {
+  try {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await getRedis().scan(cursor, { match: `${CREDIT_PREFIX}*:*`, count: 500 });
+      for (const key of keys) {
+        const [payer, ...route] = key.slice(CREDIT_PREFIX.length).split(':');
+        found.push({ key, payer, routeKey: route.join(':') });
+      }
+      cursor = String(next);
+    } while (cursor !== '0');
+    return found;
+  } catch (err) {
+    console.error('[redis] getLegacyCreditKeys error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Atomically convert a legacy credit count into USD on the payer's
+ * balance at priceAtomic per credit, logged as an issuance (reason
+ * `migrated`), and delete the old key. The balance keeps the longer
+ * of the two TTLs (ttlSeconds if the old key had none). Returns the
+ * USD atomic amount added, or -1 on error.
+ */
+export async function migrateLegacyCredit({ key, payer, routeKey }, priceAtomic, ttlSeconds) {
+  try {
+    const field = payerField(payer);
+    const result = await getRedis().eval(
+      `${LOG_CREDIT_EXPIRY_LUA}
+       local count = tonumber(redis.call('GET', KEYS[1]) or 0)
+       local ttl = redis.call('TTL', KEYS[1])
+       redis.call('DEL', KEYS[1])
+       if count <= 0 then return 0 end
+       logCreditExpiry(KEYS[2], KEYS[3])
+       local amount = count * tonumber(ARGV[1])
+       local balance = redis.call('INCRBY', KEYS[2], amount)
+       redis.call('XADD', KEYS[3], '*', 'type', 'issue', 'amount', amount, 'balance', balance,
+         'route', ARGV[2], 'reason', 'migrated', 'ref', count .. ' credits')
+       if ttl <= 0 then ttl = tonumber(ARGV[3]) end
+       if redis.call('TTL', KEYS[2]) < ttl then redis.call('EXPIRE', KEYS[2], ttl) end
+       return amount`,
+      [key, `${CREDIT_PREFIX}${field}`, `${CREDIT_LOG_PREFIX}${field}`],
+      [Number(priceAtomic), routeKey, ttlSeconds]
+    );
+    return typeof result === 'number' ? result : -1;
+  } catch (err) {
+    console.error('[redis] migrateLegacyCredit error:', err.message);
+    return -1;
+  }
+}
+
+// ============================================================
+// Balance Operations — Prepaid Deposits
+//
+// A payer settles one larger payment to /v1/deposit; the amount
+// is credited here in USD atomic units (6 decimals) and drawn
+// down per request without touching the chain.
+//
+// Key format: x402:balance:{payerAddress}
+// Value: integer USD atomic units. No TTL — this is customer
+// money, so the Redis instance must be persistent.
+//
+// EVM addresses are lowercased; Solana addresses are
+// case-sensitive base58 and kept as-is.
+// ============================================================
+
+function balanceKey(payerAddress) {
+  const payer = payerAddress.startsWith('0x') ? payerAddress.toLowerCase() : payerAddress;
+  return `${BALANCE_PREFIX}${payer}`;
+}
+
+/**
+ * Get the prepaid balance for a payer (USD atomic units).
+ * Returns 0 if none or on error.
+ */
+export async function getBalance(payerAddress) {
+  try {
+    const balance = await getRedis().get(balanceKey(payerAddress));
+    return balance === null || balance === undefined ? 0 : Number(balance);
   } catch (err) {
-    console.error('[redis] decrementCredit error:', err.message);
-    return false; // Fail closed — don't grant free access on error
+    console.error('[redis] getBalance error:', err.message);
+    return 0;
   }
 }
 
 /**
- * Atomically increment a credit for a payer on a specific route,
- * capped at maxCredits. Resets TTL on every increment so credits
- * stay alive as long as failures keep occurring.
+ * Credit a payer's balance after a settled deposit.
+ * Returns the new balance, or -1 on error.
+ */
+export async function creditBalance(payerAddress, amountAtomic) {
+  try {
+    const result = await getRedis().incrby(balanceKey(payerAddress), Number(amountAtomic));
+    return typeof result === 'number' ? result : -1;
+  } catch (err) {
+    console.error('[redis] creditBalance error:', err.message);
+    return -1;
+  }
+}
+
+/**
+ * Atomically debit a payer's balance if it covers the amount.
+ * Returns the new balance, or -1 if insufficient or on error.
  *
- * @param {string} payerAddress - Wallet address of the payer
- * @param {string} routeKey - Route identifier (e.g. 'myapi')
- * @param {number} maxCredits - Maximum credits per payer per route
- * @param {number} ttlSeconds - TTL in seconds for the credit key
- * @returns {number} New credit count after increment, or -1 on error
+ * Uses Lua script for atomicity — concurrent requests can never
+ * overdraw the balance.
+ */
+export async function debitBalance(payerAddress, amountAtomic) {
+  try {
+    const result = await getRedis().eval(
+      `local balance = tonumber(redis.call('GET', KEYS[1]) or 0)
+       local amount = tonumber(ARGV[1])
+       if balance >= amount then
+         return redis.call('DECRBY', KEYS[1], amount)
+       end
+       return -1`,
+      [balanceKey(payerAddress)],
+      [Number(amountAtomic)]
+    );
+    return typeof result === 'number' ? result : -1;
+  } catch (err) {
+    console.error('[redis] debitBalance error:', err.message);
+    return -1; // Fail closed — don't grant free access on error
+  }
+}
+
+// ============================================================
+// Overpayment Operations — Change & Refunds
+//
+// The surplus of a payment settled above the price (see
+// src/settlement/overpayment.js), in USD atomic units. Every
+// surplus is added to the payer's running total; in refund mode
+// it is also owed back on the network it was paid on until the
+// refund batch pays it.
+//
+// Key format:
+//   x402:overpaid:{payerAddress}  — integer, total ever overpaid
+//   x402:refunds:{caip2}          — HASH payerAddress -> USD atomic owed
+//
+// No TTL — like balances, this is customer money.
+// ============================================================
+
+function payerField(payerAddress) {
+  return payerAddress.startsWith('0x') ? payerAddress.toLowerCase() : payerAddress;
+}
+
+/**
+ * Add a surplus to a payer's overpayment total.
+ * Returns the new total, or -1 on error.
+ */
+export async function recordOverpayment(payerAddress, amountAtomic) {
+  try {
+    const result = await getRedis().incrby(`${OVERPAID_PREFIX}${payerField(payerAddress)}`, Number(amountAtomic));
+    return typeof result === 'number' ? result : -1;
+  } catch (err) {
+    console.error('[redis] recordOverpayment error:', err.message);
+    return -1;
+  }
+}
+
+/**
+ * Owe a payer a refund on a network (adds to anything already owed).
+ * Returns the amount now owed, or -1 on error.
+ */
+export async function addRefundOwed(caip2, payerAddress, amountAtomic) {
+  try {
+    const result = await getRedis().hincrby(`${REFUND_PREFIX}${caip2}`, payerField(payerAddress), Number(amountAtomic));
+    return typeof result === 'number' ? result : -1;
+  } catch (err) {
+    console.error('[redis] addRefundOwed error:', err.message);
+    return -1;
+  }
+}
+
+/**
+ * Refunds owed on a network: { payerAddress: amountAtomic }.
+ * Returns {} if none or on error.
+ */
+export async function getRefundsOwed(caip2) {
+  try {
+    const owed = await getRedis().hgetall(`${REFUND_PREFIX}${caip2}`);
+    return Object.fromEntries(Object.entries(owed || {}).map(([payer, amount]) => [payer, Number(amount)]));
+  } catch (err) {
+    console.error('[redis] getRefundsOwed error:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Atomically take what a payer is owed on a network, for paying it
+ * out. Returns the amount (0 if nothing is owed or on error). Put it
+ * back with addRefundOwed if the refund is not sent.
  */
-export async function incrementCredit(payerAddress, routeKey, maxCredits, ttlSeconds) {
+export async function claimRefund(caip2, payerAddress) {
   try {
-    const key = `${CREDIT_PREFIX}${payerAddress.toLowerCase()}:${routeKey}`;
     const result = await getRedis().eval(
-      `local count = tonumber(redis.call('GET', KEYS[1]) or 0)
-       if count < tonumber(ARGV[1]) then
-         count = redis.call('INCR', KEYS[1])
+      `local amount = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or 0)
+       redis.call('HDEL', KEYS[1], ARGV[1])
+       return amount`,
+      [`${REFUND_PREFIX}${caip2}`],
+      [payerField(payerAddress)]
+    );
+    return typeof result === 'number' ? result : 0;
+  } catch (err) {
+    console.error('[redis] claimRefund error:', err.message);
+    return 0; // Fail closed — never pay out what may not be owed
+  }
+}
+
+// ============================================================
+// Pass Operations — Time-Boxed Access Passes
+//
+// A pass is a signed bearer token (see src/middleware/pass.js).
+// Passes with a call budget keep the remaining count here,
+// keyed by the token ID and expiring with the token.
+//
+// Key format: x402:pass:{passId}
+// Value: integer count of remaining calls
+// ============================================================
+
+/**
+ * Set the call budget for a newly issued pass.
+ * Returns true if stored, false on error.
+ */
+export async function setPassCalls(passId, calls, ttlSeconds) {
+  try {
+    const result = await getRedis().set(`${PASS_PREFIX}${passId}`, calls, { nx: true, ex: ttlSeconds });
+    return result === 'OK';
+  } catch (err) {
+    console.error('[redis] setPassCalls error:', err.message);
+    return false; // Fail closed — don't issue a pass without a budget
+  }
+}
+
+/**
+ * Atomically consume one call from a pass budget.
+ * Returns remaining calls, or -1 if exhausted, unknown or on error.
+ */
+export async function consumePassCall(passId) {
+  try {
+    const result = await getRedis().eval(
+      `local calls = tonumber(redis.call('GET', KEYS[1]) or 0)
+       if calls > 0 then
+         return redis.call('DECR', KEYS[1])
        end
-       redis.call('EXPIRE', KEYS[1], tonumber(ARGV[2]))
-       return count`,
-      [key],
-      [maxCredits, ttlSeconds]
+       return -1`,
+      [`${PASS_PREFIX}${passId}`],
+      []
     );
     return typeof result === 'number' ? result : -1;
   } catch (err) {
-    console.error('[redis] incrementCredit error:', err.message);
-    return -1; // Non-critical — agent misses one credit
+    console.error('[redis] consumePassCall error:', err.message);
+    return -1; // Fail closed — don't grant free access on error
   }
 }
 
+// ============================================================
+// Quote Operations — 402 Challenge Quotes
+//
+// A quote records what a 402 challenge offered (see
+// src/middleware/quote.js) and expires with it.
+//
+// Key format: x402:quote:{quoteId}
+// Value: { id, route, method, path, rule, accepts, createdAt, expiresAt }
+// ============================================================
+
+/**
+ * Store a quote. Returns true if stored, false on error.
+ */
+export async function setQuote(quoteId, quote, ttlSeconds) {
+  try {
+    const result = await getRedis().set(`${QUOTE_PREFIX}${quoteId}`, quote, { ex: ttlSeconds });
+    return result === 'OK';
+  } catch (err) {
+    console.error('[redis] setQuote error:', err.message);
+    return false; // The 402 goes out without a quote
+  }
+}
+
+/**
+ * Look up a quote. Returns the quote or null if missing/expired/on error.
+ */
+export async function getQuote(quoteId) {
+  try {
+    const data = await getRedis().get(`${QUOTE_PREFIX}${quoteId}`);
+    return data || null;
+  } catch (err) {
+    console.error('[redis] getQuote error:', err.message);
+    return null; // Treated as expired — the client gets a fresh quote
+  }
+}
+
+// ============================================================
+// Settlement Queue Operations — Async EVM Settlement
+//
+// Each chain has a sorted set of settlement IDs scored by the
+// time (ms) the item is next due. Items are JSON documents
+// stored separately.
+//
+// Claiming an item pushes its score forward by a lease instead
+// of removing it. If the worker crashes mid-settlement the
+// lease expires and the item is claimed again — nothing is lost.
+//
+// Key format:
+//   x402:settle:queue:{chainId}  — ZSET of IDs by due time
+//   x402:settle:item:{id}        — item JSON
+//   x402:settle:failed           — ZSET of dead-lettered IDs
+//   x402:settle:stats            — HASH of counters
+// ============================================================
+
+/**
+ * Add a settlement to a chain's queue, due immediately.
+ * Returns true if enqueued, false on error.
+ */
+export async function enqueueSettlement(chainId, id, item) {
+  try {
+    await getRedis().multi()
+      .set(`${SETTLE_ITEM_PREFIX}${id}`, item)
+      .zadd(`${SETTLE_QUEUE_PREFIX}${chainId}`, { score: Date.now(), member: id })
+      .hincrby(SETTLE_STATS_KEY, 'enqueued', 1)
+      .exec();
+    return true;
+  } catch (err) {
+    console.error('[redis] enqueueSettlement error:', err.message);
+    return false; // Caller settles synchronously instead
+  }
+}
+
+/**
+ * Atomically claim up to `limit` due settlements on a chain,
+ * leasing them for leaseMs. Returns the claimed items.
+ */
+export async function claimSettlements(chainId, limit, leaseMs) {
+  try {
+    const now = Date.now();
+    const ids = await getRedis().eval(
+      `local ids = redis.call('ZRANGE', KEYS[1], '-inf', ARGV[1], 'BYSCORE', 'LIMIT', 0, tonumber(ARGV[2]))
+       for _, id in ipairs(ids) do
+         redis.call('ZADD', KEYS[1], tonumber(ARGV[3]), id)
+       end
+       return ids`,
+      [`${SETTLE_QUEUE_PREFIX}${chainId}`],
+      [now, limit, now + leaseMs]
+    );
+    if (!Array.isArray(ids) || ids.length === 0) return [];
+
+    const items = await getRedis().mget(...ids.map(id => `${SETTLE_ITEM_PREFIX}${id}`));
+    return items.filter(Boolean);
+  } catch (err) {
+    console.error('[redis] claimSettlements error:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Save an item's progress (e.g. the submitted tx hash) without
+ * changing when it is due.
+ */
+export async function updateSettlementItem(item) {
+  try {
+    await getRedis().set(`${SETTLE_ITEM_PREFIX}${item.id}`, item);
+  } catch (err) {
+    console.error('[redis] updateSettlementItem error:', err.message);
+  }
+}
+
+/**
+ * Put a failed item back on its queue, due after delayMs.
+ */
+export async function rescheduleSettlement(item, delayMs) {
+  try {
+    await getRedis().multi()
+      .set(`${SETTLE_ITEM_PREFIX}${item.id}`, item)
+      .zadd(`${SETTLE_QUEUE_PREFIX}${item.chainId}`, { score: Date.now() + delayMs, member: item.id })
+      .hincrby(SETTLE_STATS_KEY, 'retries', 1)
+      .exec();
+  } catch (err) {
+    console.error('[redis] rescheduleSettlement error:', err.message);
+  }
+}
+
+/**
+ * Remove a settled item from its queue.
+ */
+export async function completeSettlement(item) {
+  try {
+    await getRedis().multi()
+      .zrem(`${SETTLE_QUEUE_PREFIX}${item.chainId}`, item.id)
+      .del(`${SETTLE_ITEM_PREFIX}${item.id}`)
+      .hincrby(SETTLE_STATS_KEY, 'settled', 1)
+      .exec();
+  } catch (err) {
+    console.error('[redis] completeSettlement error:', err.message);
+  }
+}
+
+/**
+ * Move an item that exhausted its retries to the dead-letter set.
+ * The item document is kept for SETTLE_FAILED_TTL for inspection.
+ */
+export async function deadLetterSettlement(item) {
+  try {
+    await getRedis().multi()
+      .zrem(`${SETTLE_QUEUE_PREFIX}${item.chainId}`, item.id)
+      .set(`${SETTLE_ITEM_PREFIX}${item.id}`, item, { ex: SETTLE_FAILED_TTL })
+      .zadd(SETTLE_FAILED_KEY, { score: Date.now(), member: item.id })
+      .hincrby(SETTLE_STATS_KEY, 'failed', 1)
+      .exec();
+  } catch (err) {
+    console.error('[redis] deadLetterSettlement error:', err.message);
+  }
+}
+
+/**
+ * Queue depth per chain plus lifetime counters.
+ * Returns null on error.
+ */
+export async function getSettlementQueueStats(chainIds) {
+  try {
+    const pipeline = getRedis().pipeline();
+    for (const chainId of chainIds) pipeline.zcard(`${SETTLE_QUEUE_PREFIX}${chainId}`);
+    pipeline.zcard(SETTLE_FAILED_KEY);
+    pipeline.hgetall(SETTLE_STATS_KEY);
+    const results = await pipeline.exec();
+
+    const depth = Object.fromEntries(chainIds.map((chainId, i) => [chainId, results[i] || 0]));
+    const deadLetter = results[chainIds.length] || 0;
+    const counters = results[chainIds.length + 1] || {};
+    return { depth, deadLetter, counters };
+  } catch (err) {
+    console.error('[redis] getSettlementQueueStats error:', err.message);
+    return null;
+  }
+}
+
+// ============================================================
+// Config Operations — Hot-Reloadable Route Config
+// ============================================================
+
+/**
+ * Read a route config document stored under a Redis key.
+ * Returns the raw text (JSON/YAML), or null if missing.
+ * Throws on error so the reloader keeps the current config.
+ */
+export async function getConfigDocument(key) {
+  const data = await getRedis().get(key);
+  if (data === null || data === undefined) return null;
+  // Upstash auto-deserializes JSON values — re-serialize for parsing/hashing
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
 // ============================================================
 // Health Check
 // ============================================================
@@ -0,0 +1,318 @@
+// src/utils/signers.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+import {
+  keccak256,
+  hashMessage,
+  hashTypedData,
+  serializeTransaction,
+  parseSignature,
+  recoverAddress,
+  isAddressEqual,
+  getAddress,
+} from 'viem';
+import { privateKeyToAccount, toAccount } from 'viem/accounts';
+import {
+  address as toSolanaAddress,
+  createKeyPairSignerFromBytes,
+  createKeyPairSignerFromPrivateKeyBytes,
+  getPublicKeyFromAddress,
+  verifySignature,
+} from '@solana/kit';
+import { base58 } from '@scure/base';
+
+// ============================================================
+// Settlement signers
+//
+// Where the gateway's signing keys live. Chosen per VM:
+//
+//   SETTLEMENT_SIGNER=env|keystore|remote         — EVM settlement wallets
+//   SOLANA_FACILITATOR_SIGNER=env|keystore|remote — Solana fee payer
+//
+// env (default) — raw keys from env vars:
+//   SETTLEMENT_PRIVATE_KEY (+ SETTLEMENT_PRIVATE_KEYS pool)
+//   SOLANA_FACILITATOR_PRIVATE_KEY
+//
+// keystore — encrypted Web3 Secret Storage (V3) JSON files,
+// decrypted in memory at startup:
+//   SETTLEMENT_KEYSTORE_FILE          — path(s), comma-separated for a pool
+//   SOLANA_FACILITATOR_KEYSTORE_FILE  — path (ciphertext is the keypair bytes)
+//   KEYSTORE_PASSWORD_FILE            — file holding the passphrase (mounted secret)
+//   KEYSTORE_PASSWORD                 — …or the passphrase itself
+// Create keystores with `npm run keystore` (scripts/keystore.js).
+//
+// remote — keys never leave a signing service (local daemon,
+// HSM or KMS proxy) that implements one endpoint:
+//
+//   POST {REMOTE_SIGNER_URL}/sign
+//   Authorization: Bearer {REMOTE_SIGNER_TOKEN}   (if set)
+//
+//   { "keyId": "0xAbc…", "algorithm": "secp256k1", "digest": "0x<32 bytes>" }
+//     → { "signature": "0x<r><s><v>" }            (65 bytes)
+//   { "keyId": "<base58 address>", "algorithm": "ed25519", "message": "<base64>" }
+//     → { "signature": "<base64, 64 bytes>" }
+//
+//   SETTLEMENT_SIGNER_ADDRESSES  — EVM wallet address(es), comma-separated
+//   SOLANA_FACILITATOR_ADDRESS   — Solana fee payer address
+//
+// The optional refund wallet (src/settlement/overpayment.js) uses
+// the same signer kind as settlement: REFUND_PRIVATE_KEY,
+// REFUND_KEYSTORE_FILE or REFUND_SIGNER_ADDRESS.
+//
+// Every remote signature is verified against the configured
+// address before use.
+// ============================================================
+
+const REMOTE_SIGNER_TIMEOUT_MS = 10000;
+
+const SIGNER_KINDS = ['env', 'keystore', 'remote'];
+
+function listEnv(name) {
+  return (process.env[name] || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function getSignerKind(envVar) {
+  const kind = process.env[envVar] || 'env';
+  if (!SIGNER_KINDS.includes(kind)) throw new Error(`${envVar} must be one of: ${SIGNER_KINDS.join(', ')}`);
+  return kind;
+}
+
+export function getEvmSignerKind() {
+  return getSignerKind('SETTLEMENT_SIGNER');
+}
+
+export function getSvmSignerKind() {
+  return getSignerKind('SOLANA_FACILITATOR_SIGNER');
+}
+
+// ============================================================
+// Keystore (Web3 Secret Storage V3: scrypt|pbkdf2 + aes-128-ctr)
+// ============================================================
+
+function getKeystorePassword() {
+  if (process.env.KEYSTORE_PASSWORD_FILE) {
+    return fs.readFileSync(process.env.KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+  if (process.env.KEYSTORE_PASSWORD !== undefined) return process.env.KEYSTORE_PASSWORD;
+  throw new Error('KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD not configured');
+}
+
+function deriveKeystoreKey(password, kdf, params) {
+  const salt = Buffer.from(params.salt, 'hex');
+  if (kdf === 'scrypt') {
+    return crypto.scryptSync(password, salt, params.dklen, {
+      N: params.n, r: params.r, p: params.p, maxmem: 256 * params.n * params.r,
+    });
+  }
+  if (kdf === 'pbkdf2' && params.prf === 'hmac-sha256') {
+    return crypto.pbkdf2Sync(password, salt, params.c, params.dklen, 'sha256');
+  }
+  throw new Error(`Unsupported keystore KDF: ${kdf}`);
+}
+
+/**
+ * Decrypt a V3 keystore document. Returns the secret bytes.
+ */
+export function decryptKeystore(json, password) {
+  const keystore = typeof json === 'string' ? JSON.parse(json) : json;
+  const c = keystore.crypto || keystore.Crypto;
+  if (keystore.version !== 3 || !c) throw new Error('Not a V3 keystore');
+  if (c.cipher !== 'aes-128-ctr') throw new Error(`Unsupported keystore cipher: ${c.cipher}`);
+
+  const derived = deriveKeystoreKey(password, c.kdf, c.kdfparams);
+  const ciphertext = Buffer.from(c.ciphertext, 'hex');
+  const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext])).slice(2);
+  if (mac !== c.mac.toLowerCase()) throw new Error('Wrong keystore passphrase or corrupt keystore');
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', derived.subarray(0, 16), Buffer.from(c.cipherparams.iv, 'hex'));
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt secret bytes into a V3 keystore document (scrypt, n=2^18).
+ */
+export function encryptKeystore(secret, password, { address } = {}) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const kdfparams = { dklen: 32, n: 262144, r: 8, p: 1, salt: salt.toString('hex') };
+  const derived = deriveKeystoreKey(password, 'scrypt', kdfparams);
+
+  const cipher = crypto.createCipheriv('aes-128-ctr', derived.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    ...(address && { address: address.replace(/^0x/, '').toLowerCase() }),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext])).slice(2),
+    },
+  };
+}
+
+function readKeystoreFile(file) {
+  try {
+    return decryptKeystore(fs.readFileSync(file, 'utf8'), getKeystorePassword());
+  } catch (err) {
+    throw new Error(`Keystore ${file}: ${err.message}`);
+  }
+}
+
+// ============================================================
+// Remote signer
+// ============================================================
+
+async function remoteSign(request) {
+  const url = process.env.REMOTE_SIGNER_URL;
+  if (!url) throw new Error('REMOTE_SIGNER_URL not configured');
+
+  const res = await fetch(`${url.replace(/\/+$/, '')}/sign`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.REMOTE_SIGNER_TOKEN && { Authorization: `Bearer ${process.env.REMOTE_SIGNER_TOKEN}` }),
+    },
+    body: JSON.stringify(request),
+    signal: AbortSignal.timeout(REMOTE_SIGNER_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Remote signer error ${res.status}: ${text.slice(0, 200)}`);
+  }
+
+  const { signature } = await res.json();
+  if (typeof signature !== 'string') throw new Error('Remote signer returned no signature');
+  return signature;
+}
+
+function remoteEvmAccount(address) {
+  const signDigest = async (digest) => {
+    const signature = await remoteSign({ keyId: address, algorithm: 'secp256k1', digest });
+    const recovered = await recoverAddress({ hash: digest, signature });
+    if (!isAddressEqual(recovered, address)) {
+      throw new Error(`Remote signer returned a signature for ${recovered}, expected ${address}`);
+    }
+    return signature;
+  };
+
+  return toAccount({
+    address,
+    signMessage: ({ message }) => signDigest(hashMessage(message)),
+    signTypedData: (typedData) => signDigest(hashTypedData(typedData)),
+    async signTransaction(transaction, { serializer = serializeTransaction } = {}) {
+      const signature = await signDigest(keccak256(serializer(transaction)));
+      return serializer(transaction, parseSignature(signature));
+    },
+  });
+}
+
+async function remoteSvmSigner(address) {
+  const publicKey = await getPublicKeyFromAddress(address);
+
+  return {
+    address,
+    async signMessages(messages) {
+      return Promise.all(messages.map(async ({ content }) => {
+        const signature = Buffer.from(await remoteSign({
+          keyId: address, algorithm: 'ed25519', message: Buffer.from(content).toString('base64'),
+        }), 'base64');
+        if (signature.length !== 64 || !(await verifySignature(publicKey, signature, content))) {
+          throw new Error(`Remote signer returned an invalid signature for ${address}`);
+        }
+        return Object.freeze({ [address]: new Uint8Array(signature) });
+      }));
+    },
+  };
+}
+
+// ============================================================
+// Loaders
+// ============================================================
+
+/**
+ * EVM settlement accounts (viem Accounts), primary first.
+ * Synchronous — remote accounts only need their address here.
+ */
+export function loadEvmSettlementAccounts() {
+  switch (getEvmSignerKind()) {
+    case 'keystore': {
+      const files = listEnv('SETTLEMENT_KEYSTORE_FILE');
+      if (files.length === 0) throw new Error('SETTLEMENT_KEYSTORE_FILE not configured');
+      return files.map(file => privateKeyToAccount(`0x${readKeystoreFile(file).toString('hex')}`));
+    }
+    case 'remote': {
+      const addresses = listEnv('SETTLEMENT_SIGNER_ADDRESSES');
+      if (addresses.length === 0) throw new Error('SETTLEMENT_SIGNER_ADDRESSES not configured');
+      return addresses.map(address => remoteEvmAccount(getAddress(address)));
+    }
+    default: {
+      const keys = [process.env.SETTLEMENT_PRIVATE_KEY?.trim(), ...listEnv('SETTLEMENT_PRIVATE_KEYS')].filter(Boolean);
+      if (keys.length === 0) throw new Error('SETTLEMENT_PRIVATE_KEY not configured');
+      return keys.map(key => privateKeyToAccount(key));
+    }
+  }
+}
+
+/**
+ * EVM refund wallet (viem Account), or null when none is configured.
+ * It holds the stablecoins refunds are paid from, so it is never
+ * part of the settlement pool.
+ */
+export function loadEvmRefundAccount() {
+  switch (getEvmSignerKind()) {
+    case 'keystore': {
+      const file = process.env.REFUND_KEYSTORE_FILE;
+      return file ? privateKeyToAccount(`0x${readKeystoreFile(file).toString('hex')}`) : null;
+    }
+    case 'remote': {
+      const address = process.env.REFUND_SIGNER_ADDRESS;
+      return address ? remoteEvmAccount(getAddress(address)) : null;
+    }
+    default: {
+      const key = process.env.REFUND_PRIVATE_KEY?.trim();
+      return key ? privateKeyToAccount(key) : null;
+    }
+  }
+}
+
+/**
+ * Whether a Solana fee payer is configured (without loading it).
+ */
+export function isSvmSignerConfigured() {
+  switch (process.env.SOLANA_FACILITATOR_SIGNER || 'env') {
+    case 'keystore': return !!process.env.SOLANA_FACILITATOR_KEYSTORE_FILE;
+    case 'remote': return !!process.env.SOLANA_FACILITATOR_ADDRESS && !!process.env.REMOTE_SIGNER_URL;
+    default: return !!process.env.SOLANA_FACILITATOR_PRIVATE_KEY;
+  }
+}
+
+/**
+ * Solana fee payer signer ({ address, signMessages }) for @x402/svm.
+ */
+export async function loadSvmFacilitatorSigner() {
+  switch (getSvmSignerKind()) {
+    case 'keystore': {
+      const file = process.env.SOLANA_FACILITATOR_KEYSTORE_FILE;
+      if (!file) throw new Error('SOLANA_FACILITATOR_KEYSTORE_FILE not configured');
+      const bytes = readKeystoreFile(file);
+      // 64-byte keypair (solana-keygen format) or 32-byte private key
+      return bytes.length === 32 ? createKeyPairSignerFromPrivateKeyBytes(bytes) : createKeyPairSignerFromBytes(bytes);
+    }
+    case 'remote': {
+      const address = process.env.SOLANA_FACILITATOR_ADDRESS;
+      if (!address) throw new Error('SOLANA_FACILITATOR_ADDRESS not configured');
+      return remoteSvmSigner(toSolanaAddress(address));
+    }
+    default: {
+      const privKeyBase58 = process.env.SOLANA_FACILITATOR_PRIVATE_KEY;
+      if (!privKeyBase58) throw new Error('SOLANA_FACILITATOR_PRIVATE_KEY not configured');
+      return createKeyPairSignerFromBytes(base58.decode(privKeyBase58));
+    }
+  }
+}
@@ -0,0 +1,117 @@
+// src/utils/svm.js
+
+import { toFacilitatorSvmSigner, createRpcClient } from '@x402/svm';
+import {
+  getBase64Encoder,
+  getTransactionDecoder,
+  getCompiledTransactionMessageDecoder,
+  getSignatureFromTransaction,
+} from '@solana/kit';
+import { ExactSvmScheme } from '@x402/svm/exact/facilitator';
+import { SUPPORTED_NETWORKS } from '../config/routes.js';
+import { loadSvmFacilitatorSigner } from './signers.js';
+
+// ============================================================
+// Shared SVM helpers — the @x402/svm facilitator (fee payer)
+// and RPC clients, used by payment verification/settlement, the
+// gas monitor and nonce recovery.
+// ============================================================
+
+const rpcClients = new Map();            // `${caip2}:${url}` -> rpc
+
+/**
+ * @solana/kit RPC client for a Solana network.
+ */
+export function getSvmRpc(network) {
+  const url = process.env[network.rpcEnvVar];
+  const key = `${network.caip2}:${url}`;
+  if (!rpcClients.has(key)) rpcClients.set(key, createRpcClient(network.caip2, url));
+  return rpcClients.get(key);
+}
+
+// ============================================================
+// SVM Facilitator — lazy singleton
+// ============================================================
+let _svmFacilitator = null;
+let _svmFacilitatorAddress = null;
+let _svmFacilitatorSigner = null;
+let _svmInitPromise = null;
+
+export async function getSvmFacilitator() {
+  if (_svmFacilitator) {
+    return { facilitator: _svmFacilitator, feePayerAddress: _svmFacilitatorAddress, signer: _svmFacilitatorSigner };
+  }
+  if (_svmInitPromise) return _svmInitPromise;
+
+  _svmInitPromise = (async () => {
+    // Env key, keystore or remote signer — see src/utils/signers.js
+    const signer = await loadSvmFacilitatorSigner();
+
+    // One RPC client per active Solana network (mainnet, devnet)
+    const rpcConfig = Object.fromEntries(Object.values(SUPPORTED_NETWORKS)
+      .filter(n => n.vm === 'svm')
+      .map(n => [n.caip2, getSvmRpc(n)]));
+    const facilitatorSigner = toFacilitatorSvmSigner(signer, rpcConfig);
+    const facilitator = new ExactSvmScheme(facilitatorSigner);
+
+    const addresses = facilitatorSigner.getAddresses();
+    const feePayerAddress = addresses[0]?.toString();
+    if (!feePayerAddress) {
+      throw new Error('Failed to derive fee payer address from the Solana facilitator signer');
+    }
+
+    console.log(`[x402] SVM facilitator initialized | feePayer: ${feePayerAddress}`);
+
+    _svmFacilitator = facilitator;
+    _svmFacilitatorAddress = feePayerAddress;
+    _svmFacilitatorSigner = facilitatorSigner;
+    _svmInitPromise = null;
+    return { facilitator, feePayerAddress, signer: facilitatorSigner };
+  })();
+
+  return _svmInitPromise;
+}
+
+// ============================================================
+// Settlement status of a payer-signed transaction
+// ============================================================
+
+async function getSignatureStatus(rpc, signature) {
+  const { value: [status] } = await rpc.getSignatureStatuses([signature], { searchTransactionHistory: true }).send();
+  return status;
+}
+
+/**
+ * On-chain outcome of an x402 SVM payment transaction (base64, as
+ * signed by the payer): { status, signature } with status
+ *   confirmed — landed and succeeded
+ *   failed    — landed and failed
+ *   expired   — never landed and its blockhash is no longer valid,
+ *               so it never can
+ *   unknown   — not landed (yet), or only processed
+ * The fee payer co-signs at settlement and Ed25519 signatures are
+ * deterministic, so signing again yields the settled tx's signature.
+ */
+export async function getSvmTransactionStatus(network, transaction) {
+  const { signer, feePayerAddress } = await getSvmFacilitator();
+  const signed = await signer.signTransaction(transaction, feePayerAddress, network.caip2);
+  const decoded = getTransactionDecoder().decode(getBase64Encoder().encode(signed));
+  const signature = getSignatureFromTransaction(decoded);
+  const rpc = getSvmRpc(network);
+
+  const classify = status => {
+    if (!status) return null;
+    if (status.err) return 'failed';
+    return ['confirmed', 'finalized'].includes(status.confirmationStatus) ? 'confirmed' : 'unknown';
+  };
+
+  const landed = classify(await getSignatureStatus(rpc, signature));
+  if (landed) return { status: landed, signature };
+
+  const { lifetimeToken } = getCompiledTransactionMessageDecoder().decode(decoded.messageBytes);
+  const { value: valid } = await rpc.isBlockhashValid(lifetimeToken, { commitment: 'processed' }).send();
+  if (valid) return { status: 'unknown', signature };
+
+  // It may have landed just before the blockhash expired
+  return { status: classify(await getSignatureStatus(rpc, signature)) || 'expired', signature };
+}
@@ -0,0 +1,100 @@
+// test/credit.test.js
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startUpstashStub } from './upstash-stub.js';
+import {
+  getCreditConfig,
+  getCreditCap,
+  getCreditShortfall,
+  applyCreditShortfall,
+} from '../src/middleware/credit.js';
+
+const PAYER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const routeConfig = { price: '$0.01', priceAtomic: '10000', acceptCredits: true };
+const network = { caip2: 'eip155:8453', token: { symbol: 'USDC', decimals: 6 } };
+
+describe('getCreditConfig', () => {
+  it('redeems credits only on routes that opt in', () => {
+    assert.equal(getCreditConfig({}).acceptCredits, false);
+    assert.equal(getCreditConfig({ acceptCredits: true }).acceptCredits, true);
+  });
+
+  it('falls back to the defaults', () => {
+    const config = getCreditConfig({ creditTtl: 60 });
+    assert.deepEqual(config.creditOnStatusCodes, [500, 502, 503, 504]);
+    assert.equal(config.maxCreditsPerPayer, 10);
+    assert.equal(config.creditTtl, 60);
+  });
+});
+
+describe('getCreditCap', () => {
+  it('caps at maxCreditsPerPayer calls of the route price', () => {
+    assert.equal(getCreditCap(getCreditConfig({ maxCreditsPerPayer: 3 }), '10000'), 30000n);
+  });
+
+  it('prefers an explicit maxCreditAtomic', () => {
+    assert.equal(getCreditCap(getCreditConfig({ maxCreditAtomic: '25000' }), '10000'), 25000n);
+  });
+});
+
+describe('applyCreditShortfall', () => {
+  it('prices the route at what is left after credits', () => {
+    assert.deepEqual(applyCreditShortfall(routeConfig, 4000n), {
+      ...routeConfig, price: '$0.006', priceAtomic: '6000',
+    });
+  });
+
+  it('leaves the route as is without a shortfall', () => {
+    assert.equal(applyCreditShortfall(routeConfig, 0n), routeConfig);
+  });
+});
+
+describe('getCreditShortfall', () => {
+  let redis;
+
+  before(async () => {
+    redis = await startUpstashStub();
+  });
+
+  after(() => redis.close());
+
+  beforeEach(() => {
+    redis.store.clear();
+    redis.store.set(`x402:credit:${PAYER.toLowerCase()}`, '5000');
+  });
+
+  const shortfall = (value, route = routeConfig) => getCreditShortfall({
+    routeConfig: route,
+    networkRouteConfig: { priceAtomic: route.priceAtomic },
+    network,
+    paymentPayload: { payload: { authorization: { from: PAYER, value } } },
+  });
+
+  it('covers a partial payment from the balance', async () => {
+    assert.equal(await shortfall('6000'), 4000n);
+    assert.equal(await shortfall('5000'), 5000n);
+  });
+
+  it('returns 0n when the balance is short', async () => {
+    assert.equal(await shortfall('4000'), 0n);
+  });
+
+  it('returns 0n on routes that do not accept credits', async () => {
+    assert.equal(await shortfall('6000', { ...routeConfig, acceptCredits: false }), 0n);
+  });
+
+  it('returns 0n for a payment of the full price', async () => {
+    assert.equal(await shortfall('10000'), 0n);
+    assert.equal(await shortfall('12000'), 0n);
+  });
+
+  it('returns 0n for payloads without an EIP-3009 authorization', async () => {
+    const result = await getCreditShortfall({
+      routeConfig, networkRouteConfig: routeConfig, network,
+      paymentPayload: { payload: { permit2Authorization: { from: PAYER } } },
+    });
+    assert.equal(result, 0n);
+  });
+});
@@ -0,0 +1,138 @@
+// test/idempotency.test.js
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import express from 'express';
+import { startUpstashStub } from './upstash-stub.js';
+import { x402PaymentMiddleware } from '../src/middleware/x402.js';
+
+const PAYMENT_ID = 'idempotency-test-0001';
+const PAYER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const routeConfig = {
+  price: '$0.01',
+  priceAtomic: '10000',
+  payTo: '0x1111111111111111111111111111111111111111',
+  description: 'Test route',
+};
+
+const signedPayload = { authorization: { from: PAYER, nonce: '0x' + 'ab'.repeat(32) }, signature: '0x01' };
+
+function paymentHeader(payload = signedPayload, scheme = 'exact') {
+  return Buffer.from(JSON.stringify({
+    x402Version: 2, scheme, network: 'eip155:8453', payload,
+    extensions: { 'payment-identifier': { paymentId: PAYMENT_ID } },
+  })).toString('base64');
+}
+
+// An entry as cached after settling GET `url` on route `route`
+function cachedEntry({ url = '/v1/test/x', route = 'test', backendResponse } = {}) {
+  return {
+    timestamp: Date.now(),
+    payer: PAYER,
+    route,
+    fingerprint: crypto.createHash('sha256').update(`GET ${url}\nnull`).digest('hex'),
+    payloadHash: crypto.createHash('sha256').update(JSON.stringify(signedPayload)).digest('hex'),
+    response: { paymentResponseHeader: 'cGFpZA==', settlement: { success: true } },
+    ...(backendResponse && { backendResponse }),
+  };
+}
+
+describe('payment-identifier idempotency', () => {
+  let redis;
+  let server;
+  let base;
+  let backendCalls;
+
+  before(async () => {
+    redis = await startUpstashStub();
+    const app = express();
+    app.get('/v1/test/*path', x402PaymentMiddleware('test', { getRouteConfig: () => routeConfig }), (req, res) => {
+      backendCalls++;
+      res.json({ backend: true });
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await redis.close();
+  });
+
+  beforeEach(() => {
+    redis.store.clear();
+    backendCalls = 0;
+  });
+
+  const cache = entry => redis.store.set(`x402:idempotency:${PAYMENT_ID}`, JSON.stringify(entry));
+  const pay = (path = '/v1/test/x', header = paymentHeader()) => fetch(base + path, { headers: { 'payment-signature': header } });
+
+  it('replays the stored backend response for the same payment and request', async () => {
+    cache(cachedEntry({
+      backendResponse: { status: 201, headers: { 'Content-Type': 'application/json' }, body: '{"stored":true}' },
+    }));
+
+    const res = await pay();
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('x-x402-replay'), 'true');
+    assert.equal(res.headers.get('payment-response'), 'cGFpZA==');
+    assert.deepEqual(await res.json(), { stored: true });
+    assert.equal(backendCalls, 0);
+  });
+
+  it('rejects an id used for a different request', async () => {
+    cache(cachedEntry());
+
+    const res = await pay('/v1/test/other');
+    assert.equal(res.status, 409);
+    const body = await res.json();
+    assert.equal(body.error, 'Idempotency conflict');
+    assert.match(body.reason, /it was used for a different request$/);
+  });
+
+  it('rejects an id used on another route', async () => {
+    cache(cachedEntry({ route: 'other' }));
+
+    const res = await pay();
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).reason, /it was used on another route$/);
+  });
+
+  it('rejects a different payload under the id for non-exact schemes', async () => {
+    cache(cachedEntry());
+
+    const res = await pay('/v1/test/x', paymentHeader({ ...signedPayload, signature: '0x02' }, 'upto'));
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).reason, /it was used for a different payment$/);
+  });
+
+  it('answers 409 with Retry-After while the first call is in progress', async () => {
+    cache(cachedEntry());
+
+    const res = await pay();
+    assert.equal(res.status, 409);
+    assert.equal(res.headers.get('retry-after'), '5');
+    assert.equal((await res.json()).error, 'Payment in progress');
+    assert.equal(backendCalls, 0);
+  });
+
+  it('forwards a late-settled payment to the backend once', async () => {
+    cache(cachedEntry());
+    redis.store.set(`x402:idempotency-delivery:${PAYMENT_ID}`, String(Date.now()));
+
+    const [first, second] = await Promise.all([pay(), pay()]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 409]);
+    assert.equal(backendCalls, 1);
+  });
+
+  it('answers 410 for a response too large to replay', async () => {
+    cache(cachedEntry({ backendResponse: { status: 200, headers: {}, body: null, bytes: 300000 } }));
+
+    const res = await pay();
+    assert.equal(res.status, 410);
+    assert.equal((await res.json()).error, 'Response not replayable');
+  });
+});
@@ -0,0 +1,86 @@
+// test/permit.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPermitMethod, checkPayloadTransferMethod, getPermitNonceKey } from '../src/middleware/permit.js';
+
+const OWNER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function network(transferMethod) {
+  return {
+    caip2: 'eip155:8453',
+    chainId: 8453,
+    token: { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', ...(transferMethod && { transferMethod }) },
+  };
+}
+
+const authorization = { from: OWNER, nonce: '0x' + '01'.repeat(32) };
+const permit2Authorization = { from: OWNER, nonce: '42' };
+const permit = { owner: OWNER, nonce: '7', deadline: '1900000000' };
+
+describe('isPermitMethod', () => {
+  it('follows the token transfer method', () => {
+    assert.equal(isPermitMethod(network()), false);
+    assert.equal(isPermitMethod(network('eip3009')), false);
+    assert.equal(isPermitMethod(network('permit2')), true);
+    assert.equal(isPermitMethod(network('eip2612')), true);
+  });
+});
+
+describe('checkPayloadTransferMethod', () => {
+  it('accepts a payload signed for the token method', () => {
+    assert.equal(checkPayloadTransferMethod({ payload: { authorization } }, network()), null);
+    assert.equal(checkPayloadTransferMethod({ payload: { permit2Authorization } }, network('permit2')), null);
+    assert.equal(checkPayloadTransferMethod({ payload: { permit } }, network('eip2612')), null);
+  });
+
+  it('rejects a payload without the token method fields', () => {
+    assert.equal(
+      checkPayloadTransferMethod({ payload: { permit } }, network()),
+      'eip155:8453 accepts eip3009 payments'
+    );
+    assert.equal(
+      checkPayloadTransferMethod({ payload: { authorization } }, network('permit2')),
+      'eip155:8453 accepts permit2 payments'
+    );
+    assert.equal(checkPayloadTransferMethod({}, network('eip2612')), 'eip155:8453 accepts eip2612 payments');
+  });
+
+  it("rejects a payload that also carries another method's fields", () => {
+    assert.match(
+      checkPayloadTransferMethod({ payload: { authorization, permit } }, network()),
+      /^Unexpected permit: USDC on eip155:8453 settles via eip3009$/
+    );
+    assert.match(
+      checkPayloadTransferMethod({ payload: { authorization, permit2Authorization } }, network()),
+      /^Unexpected permit2Authorization:/
+    );
+    assert.match(
+      checkPayloadTransferMethod({ payload: { permit, authorization } }, network('eip2612')),
+      /^Unexpected authorization: .* settles via eip2612$/
+    );
+  });
+});
+
+describe('getPermitNonceKey', () => {
+  it('keys Permit2 payments by owner and nonce', () => {
+    assert.equal(
+      getPermitNonceKey({ payload: { permit2Authorization } }, network('permit2')),
+      `permit2:8453:${OWNER.toLowerCase()}:42`
+    );
+  });
+
+  it('keys EIP-2612 payments by owner, nonce and deadline', () => {
+    assert.equal(
+      getPermitNonceKey({ payload: { permit } }, network('eip2612')),
+      `permit:8453:${OWNER.toLowerCase()}:7:1900000000`
+    );
+  });
+
+  it('uses an explicit method over the token one', () => {
+    assert.equal(
+      getPermitNonceKey({ payload: { permit } }, network('permit2'), 'eip2612'),
+      `permit:8453:${OWNER.toLowerCase()}:7:1900000000`
+    );
+  });
+});
@@ -0,0 +1,66 @@
+// test/upstash-stub.js
+
+import http from 'node:http';
+
+// ============================================================
+// In-memory stand-in for the Upstash REST API — GET, SET (NX/XX,
+// EX/KEEPTTL ignored) and DEL, single or pipelined (the client
+// auto-pipelines), which is all the tests need. Values are stored
+// as the strings the client sends.
+// ============================================================
+
+function run(store, [command, ...args]) {
+  switch (command.toLowerCase()) {
+    case 'get':
+      return store.get(args[0]) ?? null;
+    case 'set': {
+      const [key, value, ...options] = args.map(String);
+      const flags = options.map(o => o.toLowerCase());
+      if (flags.includes('nx') && store.has(key)) return null;
+      if (flags.includes('xx') && !store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    }
+    case 'del':
+      return args.filter(key => store.delete(key)).length;
+    default:
+      throw new Error(`Unsupported command: ${command}`);
+  }
+}
+
+// The client asks for base64 strings (Upstash-Encoding: base64)
+function encode(value, base64) {
+  if (!base64 || typeof value !== 'string' || value === 'OK') return value;
+  return Buffer.from(value).toString('base64');
+}
+
+/**
+ * Start the stub on a free port and point the Redis client at it.
+ * Returns { store, close }.
+ */
+export async function startUpstashStub() {
+  const store = new Map();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const base64 = String(req.headers['upstash-encoding']).toLowerCase() === 'base64';
+      const exec = command => {
+        try {
+          return { result: encode(run(store, command), base64) };
+        } catch (err) {
+          return { error: err.message };
+        }
+      };
+      const commands = JSON.parse(body);
+      const out = req.url.startsWith('/pipeline') ? commands.map(exec) : exec(commands);
+      res.writeHead(out.error ? 400 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(out));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  process.env.UPSTASH_REDIS_REST_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.UPSTASH_REDIS_REST_TOKEN = 'test';
+  return { store, close: () => new Promise(resolve => server.close(resolve)) };
+}